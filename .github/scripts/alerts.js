@@ -0,0 +1,49 @@
+/**
+ * Upside Maximizer - Alert Inbox
+ * Writes dashboard alerts to portfolios/{uid}/alerts, one document each,
+ * so the portfolio document doesn't grow with them. The app only changes
+ * their read, acknowledged and snoozed state (src/AlertInbox.js).
+ */
+
+const alertsRef = (db, userId) => db.collection('portfolios').doc(userId).collection('alerts');
+
+// Records are { id, type, stockId, symbol, date, message, time } from alertRecords
+async function saveAlerts(db, userId, records) {
+  if (records.length === 0) return;
+  const batch = db.batch();
+  for (const record of records) {
+    batch.set(alertsRef(db, userId).doc(String(record.id)), {
+      ...record,
+      read: false,
+      acknowledgedAt: null,
+      note: '',
+      snoozedUntil: null
+    });
+  }
+  await batch.commit();
+  console.log(`  ✓ ${records.length} alert(s) added to the inbox`);
+}
+
+// Alerts kept in the portfolio document before the inbox existed, moved over as read
+async function migrateLegacyAlerts(db, userId, legacy) {
+  const batch = db.batch();
+  for (const alert of legacy) {
+    batch.set(alertsRef(db, userId).doc(String(alert.id)), {
+      type: alert.rule ? 'rule' : 'trigger',
+      stockId: alert.stockId || null,
+      date: alert.date || alert.time.split('T')[0],
+      ...alert,
+      read: true,
+      acknowledgedAt: null,
+      note: '',
+      snoozedUntil: null
+    });
+  }
+  await batch.commit();
+  console.log(`  ✓ Moved ${legacy.length} alert(s) into the inbox`);
+}
+
+module.exports = {
+  saveAlerts,
+  migrateLegacyAlerts
+};
@@ -0,0 +1,72 @@
+/**
+ * Upside Maximizer - UM Rule Backtest
+ * Usage: node .github/scripts/backtest.js SYMBOL --vol 8 [--exchange LSE] [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--multipliers 1.5,2,2.5]
+ *
+ * Uses the same provider chain as the nightly updater, so
+ * PRICE_PROVIDERS=fixture PRICE_FIXTURES=./prices.json runs it offline.
+ */
+
+const { priceClient } = require('./price-client');
+const { adjustCandlesForSplits, toDateString } = require('../../src/shared/priceProviders');
+const { DEFAULT_MULTIPLIERS, sweepMultipliers } = require('../../src/shared/backtest');
+const { EXCHANGES, currencyOf, listingKey, formatPrice } = require('../../src/shared/listings');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseArgs(argv) {
+  const args = { symbol: null, exchange: 'US', vol: null, from: null, to: null, multipliers: DEFAULT_MULTIPLIERS };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--vol') args.vol = parseFloat(argv[++i]);
+    else if (arg === '--exchange') args.exchange = argv[++i].toUpperCase();
+    else if (arg === '--from') args.from = argv[++i];
+    else if (arg === '--to') args.to = argv[++i];
+    else if (arg === '--multipliers') args.multipliers = argv[++i].split(',').map(parseFloat);
+    else args.symbol = arg.toUpperCase();
+  }
+  return args;
+}
+
+async function runBacktest() {
+  const args = parseArgs(process.argv.slice(2));
+  
+  if (!args.symbol || !(args.vol > 0) || !EXCHANGES[args.exchange]) {
+    console.error(`Usage: node .github/scripts/backtest.js SYMBOL --vol 8 [--exchange ${Object.keys(EXCHANGES).join('|')}] [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--multipliers 1.5,2,2.5]`);
+    process.exit(1);
+  }
+  const listing = { symbol: args.symbol, exchange: args.exchange };
+  const name = listingKey(listing);
+  const currency = currencyOf(listing);
+  
+  const to = args.to || toDateString(new Date());
+  const from = args.from || toDateString(new Date(Date.now() - 365 * DAY_MS));
+  
+  const candleResult = await priceClient.getDailyCandles(listing, from, to);
+  if (!candleResult) {
+    console.error(`No candles for ${name} between ${from} and ${to}`);
+    process.exit(1);
+  }
+  const splitResult = await priceClient.getSplits(listing, from, to);
+  const candles = adjustCandlesForSplits(candleResult.data, splitResult ? splitResult.data : []);
+  
+  console.log(`${name}: ${candles.length} sessions ${candles[0].date} → ${candles[candles.length - 1].date} (${candleResult.source})`);
+  console.log(`Typical volatility: ${args.vol}%\n`);
+  console.log('Mult  Triggered    Exit       Gain     Buy&Hold  Capture  Days');
+  
+  for (const result of sweepMultipliers(candles, args.vol, args.multipliers)) {
+    console.log([
+      `${result.multiplier.toFixed(2)}×`.padEnd(6),
+      (result.triggerDate || '—').padEnd(13),
+      formatPrice(result.exitPrice, currency).padEnd(11),
+      `${result.gain.toFixed(1)}%`.padEnd(9),
+      `${result.buyAndHoldGain.toFixed(1)}%`.padEnd(10),
+      (result.captureRatio === null ? '—' : `${(result.captureRatio * 100).toFixed(0)}%`).padEnd(9),
+      result.daysHeld
+    ].join(''));
+  }
+}
+
+runBacktest().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
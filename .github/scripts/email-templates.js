@@ -0,0 +1,354 @@
+/**
+ * Upside Maximizer - Message Templates
+ * Every outbound message is built here: a subject, an HTML email body, a
+ * plain-text part (also used by the chat channels and push) and any inline
+ * images. Each template returns { subject, html, text, attachments }.
+ *
+ * Templates are pure so preview-emails.js can render them from fixtures
+ * without Firestore or any provider. Images are attached with a content id
+ * and referenced as cid:<id>; the preview swaps those for data: URIs.
+ */
+
+const { sparklinePng } = require('./sparkline');
+const { sharesBought, portfolioTotals } = require('../../src/shared/positions');
+const { currencyOf, listingKey, formatPrice, formatAmount } = require('../../src/shared/listings');
+const { approachThreshold } = require('../../src/shared/alertRules');
+const { calculateStopPrice, describeStopModel, withMultiplier } = require('../../src/shared/umRules');
+const { eligiblePrice } = require('../../src/shared/watchlist');
+const { describePolicy } = require('../../src/shared/eligibility');
+
+// Where "Manage notifications" points, e.g. https://you.github.io/upside-maximizer
+const APP_URL = process.env.APP_URL || null;
+// How many closes a summary sparkline covers
+const SPARKLINE_SESSIONS = 30;
+
+const manageUrl = () => (APP_URL ? `${APP_URL.replace(/\/$/, '')}/?settings=notifications` : null);
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const CELL = 'padding: 10px 12px; border-bottom: 1px solid #e5e7eb;';
+const HEAD = 'padding: 10px 12px; text-align: left; border-bottom: 2px solid #e5e7eb;';
+const LABEL = 'padding: 5px 20px 5px 0; color: #6b7280;';
+
+// Shared frame: heading, body and the manage-preferences footer
+function layout({ title, color, width = 600, body, note }) {
+  const manage = manageUrl();
+  return `
+    <div style="font-family: Arial, sans-serif; max-width: ${width}px; margin: 0 auto;">
+      <h1 style="color: ${color};">${title}</h1>
+      ${body}
+      ${note ? `<p style="color: #9ca3af; font-size: 12px;">${note}</p>` : ''}
+      <p style="color: #9ca3af; font-size: 12px; border-top: 1px solid #e5e7eb; padding-top: 12px; margin-top: 24px;">
+        ${manage
+          ? `You get this because of your Upside Maximizer notification settings. <a href="${manage}" style="color: #6b7280;">Manage or unsubscribe</a>.`
+          : 'You get this because of your Upside Maximizer notification settings. Change them under Settings in the app.'}
+      </p>
+    </div>
+  `;
+}
+
+function textLayout(lines, note) {
+  const manage = manageUrl();
+  return [
+    ...lines,
+    ...(note ? ['', note] : []),
+    '',
+    manage ? `Manage or unsubscribe: ${manage}` : 'Change what you receive under Settings in the app.'
+  ].join('\n');
+}
+
+// Label / value rows for the single-position emails
+const detailRows = (rows) => rows.map(([label, value, style = '']) => `
+          <tr>
+            <td style="${LABEL}">${label}:</td>
+            <td style="${style}">${value}</td>
+          </tr>`).join('');
+
+const positionCard = (stock, background, border, rows) => `
+      <div style="background: ${background}; border: 1px solid ${border}; border-radius: 8px; padding: 20px; margin: 20px 0;">
+        <h2 style="margin: 0 0 10px 0; color: #1f2937;">${escapeHtml(stock.symbol)}</h2>
+        <p style="margin: 0; color: #6b7280;">${escapeHtml(stock.companyName)}</p>
+        <table style="margin-top: 15px;">${detailRows(rows)}
+        </table>
+      </div>`;
+
+const distancePercent = (stock, umPrice) => (umPrice === null ? null : (stock.currentPrice - umPrice) / stock.currentPrice * 100);
+
+// Change from the previous session's close, when the nightly update recorded one
+function dayChange(stock) {
+  if (!stock.previousClose || !stock.currentPrice) return null;
+  const amount = stock.currentPrice - stock.previousClose;
+  return { amount, percent: amount / stock.previousClose * 100 };
+}
+
+const isNewHigh = (stock) => Boolean(stock.highestCloseDate) && stock.highestCloseDate === stock.lastProcessedDate;
+
+const signed = (value, digits = 1) => `${value >= 0 ? '+' : ''}${value.toFixed(digits)}`;
+
+/**
+ * Daily or weekly summary. `history` maps listing keys to closes, oldest
+ * first, for the sparklines; positions without history are shown without one.
+ */
+function summaryEmail({ stocks, session, summaryType = 'Daily', baseCurrency = 'USD', fx = null, alertRules = [], history = {} }) {
+  const totals = portfolioTotals(stocks, { baseCurrency, fx, umPrice: calculateStopPrice });
+  const notCounted = [
+    totals.withoutShares.length > 0 ? `${totals.withoutShares.join(', ')} (no share counts)` : null,
+    totals.withoutFx.length > 0 ? `positions in ${totals.withoutFx.join(', ')} (no FX rate)` : null
+  ].filter(Boolean).join('; ');
+
+  // Closest to triggering first; triggered at the top, pending at the bottom
+  const rows = stocks
+    .map(stock => {
+      const umPrice = calculateStopPrice(stock);
+      return { stock, umPrice, distance: stock.triggered ? -Infinity : distancePercent(stock, umPrice) };
+    })
+    .sort((a, b) => (a.distance ?? Infinity) - (b.distance ?? Infinity));
+
+  const attachments = [];
+  const newHighs = rows.filter(({ stock }) => isNewHigh(stock)).map(({ stock }) => stock.symbol);
+
+  const htmlRows = rows.map(({ stock, umPrice, distance }, i) => {
+    const currency = currencyOf(stock);
+    const isClose = distance !== null && distance < approachThreshold(stock, alertRules);
+    const change = dayChange(stock);
+    const closes = (history[listingKey(stock)] || []).slice(-SPARKLINE_SESSIONS).map(c => c.close);
+    const png = sparklinePng(closes, { reference: umPrice });
+    let chart = '';
+    if (png) {
+      const contentId = `spark-${i}`;
+      attachments.push({ filename: `${contentId}.png`, content: png.toString('base64'), contentId });
+      chart = `<img src="cid:${contentId}" width="120" height="32" alt="${escapeHtml(stock.symbol)} last ${closes.length} closes" style="display: block;">`;
+    }
+    return `
+        <tr style="background: ${isClose ? '#fef2f2' : '#ffffff'}">
+          <td style="${CELL} font-weight: bold;">${escapeHtml(stock.symbol)}${isNewHigh(stock) ? ' <span style="color: #059669;">★</span>' : ''}<div style="font-weight: normal; color: #6b7280; font-size: 12px;">${escapeHtml(stock.companyName || '')}</div></td>
+          <td style="${CELL}">${chart}</td>
+          <td style="${CELL}">${formatPrice(stock.currentPrice, currency)}${change ? `<div style="font-size: 12px; color: ${change.amount >= 0 ? '#059669' : '#dc2626'};">${signed(change.percent)}%</div>` : ''}</td>
+          <td style="${CELL}">${formatPrice(stock.highestClose, currency)}</td>
+          <td style="${CELL} color: #ea580c; font-weight: bold;">${umPrice === null ? 'Pending' : formatPrice(umPrice, currency)}</td>
+          <td style="${CELL} color: ${stock.triggered || isClose ? '#dc2626' : '#059669'}">
+            ${stock.triggered ? 'Triggered' : distance === null ? '—' : `${distance.toFixed(1)}% (${formatPrice(stock.currentPrice - umPrice, currency)})`}
+          </td>
+        </tr>`;
+  }).join('');
+
+  const totalsHtml = totals.counted > 0 ? `
+      <table style="margin: 0 0 20px 0;">${detailRows([
+        [`Portfolio Value (${baseCurrency})`, formatAmount(totals.marketValue, baseCurrency), 'font-weight: bold;'],
+        ['Protected at UM Prices', formatAmount(totals.protectedValue, baseCurrency), 'font-weight: bold; color: #ea580c;'],
+        ['Unrealized Gain', formatAmount(totals.unrealizedGain, baseCurrency)]
+      ])}
+      </table>
+      <p style="color: #9ca3af; font-size: 12px;">
+        Prices are in each listing's own currency. Totals are converted to ${baseCurrency}${fx ? ` at ${fx.date} FX rates` : ''}${notCounted ? ` and leave out ${notCounted}` : ''}.
+      </p>` : '';
+
+  const html = layout({
+    title: `📈 Upside Maximizer ${summaryType} Summary`,
+    color: '#10b981',
+    width: 800,
+    body: `
+      <p style="color: #6b7280;">Here's your portfolio status as of the ${session} close, closest to its UM Execution Price first.</p>
+      ${newHighs.length > 0 ? `<p style="color: #059669;">★ New highest close: ${newHighs.map(escapeHtml).join(', ')}</p>` : ''}
+      <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+        <thead>
+          <tr style="background: #f3f4f6;">
+            <th style="${HEAD}">Symbol</th>
+            <th style="${HEAD}">Last ${SPARKLINE_SESSIONS} Closes</th>
+            <th style="${HEAD}">Last Close</th>
+            <th style="${HEAD}">Highest Close</th>
+            <th style="${HEAD}">UM Price</th>
+            <th style="${HEAD}">Distance</th>
+          </tr>
+        </thead>
+        <tbody>${htmlRows}
+        </tbody>
+      </table>
+      ${totalsHtml}`,
+    note: 'Positions highlighted in red are within 10% of their UM Execution Price, or the distance set by an approaching alert rule. The dashed line on each chart is the UM price.'
+  });
+
+  const textLines = rows.map(({ stock, umPrice, distance }) => {
+    const currency = currencyOf(stock);
+    const change = dayChange(stock);
+    const status = stock.triggered
+      ? 'TRIGGERED'
+      : umPrice === null ? 'UM pending' : `UM ${formatPrice(umPrice, currency)}, ${distance.toFixed(1)}% away`;
+    return `${stock.symbol}: ${formatPrice(stock.currentPrice, currency)}${change ? ` (${signed(change.percent)}% on the day)` : ''}, ${status}${isNewHigh(stock) ? ', new high' : ''}`;
+  });
+  if (totals.counted > 0) {
+    textLines.push('', `Value ${formatAmount(totals.marketValue, baseCurrency)}, protected ${formatAmount(totals.protectedValue, baseCurrency)}, unrealized gain ${formatAmount(totals.unrealizedGain, baseCurrency)}`);
+  }
+
+  return {
+    subject: `📈 Upside Maximizer ${summaryType} Summary - ${session}`,
+    html,
+    text: textLayout([`As of the ${session} close, closest to triggering first:`, '', ...textLines]),
+    attachments
+  };
+}
+
+// One message for every alert rule that fired in a run
+function ruleAlertsEmail(notifications) {
+  const symbols = notifications.map(n => n.stock.symbol).filter((s, i, all) => all.indexOf(s) === i);
+  const rows = notifications.map(({ stock, message, date }) => `
+        <tr>
+          <td style="${CELL} font-weight: bold;">${escapeHtml(stock.symbol)}</td>
+          <td style="${CELL}">${escapeHtml(message)}</td>
+          <td style="${CELL} color: #6b7280;">${date}</td>
+        </tr>`).join('');
+  const note = 'Each rule alerts once when it starts matching and again only after it has stopped. Edit rules in Settings or on a position\'s Alerts panel.';
+
+  return {
+    subject: `🔔 Upside Maximizer Alerts - ${symbols.join(', ')}`,
+    html: layout({
+      title: '🔔 Upside Maximizer Alerts',
+      color: '#2563eb',
+      width: 700,
+      body: `
+      <p style="color: #6b7280;">Your alert rules matched on these closes:</p>
+      <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">${rows}
+      </table>`,
+      note
+    }),
+    text: textLayout(notifications.map(n => `• ${n.message} (${n.date})`), note),
+    attachments: []
+  };
+}
+
+// A position closing at or below its UM price; `level` is set for tiered positions
+function triggerAlertEmail(stock, umPrice, level) {
+  const currency = currencyOf(stock);
+  const bought = sharesBought(stock);
+  const rule = level ? describeStopModel({ ...withMultiplier(stock, level.tier.multiplier), tiers: null }) : describeStopModel(stock);
+  const rows = [
+    ['Last Close', formatPrice(stock.currentPrice, currency), 'font-weight: bold;'],
+    ['UM Execution Price', formatPrice(umPrice, currency), 'font-weight: bold; color: #ea580c;'],
+    ['Highest Close', formatPrice(stock.highestClose, currency)],
+    ['Entry Price', formatPrice(stock.entryPrice, currency)],
+    ['Rule', rule],
+    ...(level ? [
+      ['UM Level', `${level.index} of ${level.count} (${level.tier.multiplier}×)`, 'font-weight: bold;'],
+      ['Planned Sale', `${level.tier.sharePercent}% of the position${bought ? ` (${+(bought * level.tier.sharePercent / 100).toFixed(4)} shares)` : ''}`]
+    ] : [])
+  ];
+  const where = level ? `UM level ${level.index} of ${level.count} (${level.tier.sharePercent}% of the position)` : 'its UM Execution Price';
+
+  return {
+    subject: level
+      ? `🚨 ${stock.symbol} Hit UM Level ${level.index} of ${level.count}`
+      : `🚨 ${stock.symbol} Hit UM Execution Price`,
+    html: layout({
+      title: '🚨 UM Execution Price Triggered!',
+      color: '#dc2626',
+      body: `${positionCard(stock, '#fef2f2', '#fecaca', rows)}
+      <p style="color: #6b7280;">
+        Consider reviewing this position. The stock has closed at or below your UM Execution Price.
+      </p>`
+    }),
+    text: textLayout([
+      `${stock.symbol} closed at ${formatPrice(stock.currentPrice, currency)}, at or below ${where} of ${formatPrice(umPrice, currency)}.`,
+      `Highest close ${formatPrice(stock.highestClose, currency)}, entry ${formatPrice(stock.entryPrice, currency)}. Rule: ${rule}.`
+    ]),
+    attachments: []
+  };
+}
+
+// Intraday watch: trading below the UM price before the close
+function intradayBreachEmail(stock, breach) {
+  const currency = currencyOf(stock);
+  const note = 'This is not a trigger. The UM rule only triggers on the closing price, which is checked after the market closes.';
+  return {
+    subject: `⚠️ ${stock.symbol} Trading Below UM Price - Close Pending`,
+    html: layout({
+      title: '⚠️ Intraday Breach - Close Pending',
+      color: '#d97706',
+      body: `${positionCard(stock, '#fffbeb', '#fde68a', [
+        ['Trading At', `${formatPrice(breach.price, currency)} (${breach.time})`, 'font-weight: bold;'],
+        ['UM Execution Price', formatPrice(breach.umPrice, currency), 'font-weight: bold; color: #ea580c;'],
+        ['Highest Close', formatPrice(stock.highestClose, currency)]
+      ])}
+      <p style="color: #6b7280;">${note}</p>`
+    }),
+    text: textLayout([`${stock.symbol} traded at ${formatPrice(breach.price, currency)} at ${breach.time}, below its UM Execution Price of ${formatPrice(breach.umPrice, currency)}.`], note),
+    attachments: []
+  };
+}
+
+// A drop by a whole-number ratio with no split reported: triggers wait for the user
+function suspectedSplitEmail(stock, date, ratio) {
+  const currency = currencyOf(stock);
+  const previousClose = stock.splitSuspected.previousClose;
+  const note = `Open the position in the app and choose Apply split if it was a ${ratio}:1 split, or Not a split to evaluate the close as a real drop.`;
+  return {
+    subject: `⚠️ ${stock.symbol} Possible ${ratio}:1 Split - Please Confirm`,
+    html: layout({
+      title: '⚠️ Possible Split - Confirm',
+      color: '#d97706',
+      body: `${positionCard(stock, '#fffbeb', '#fde68a', [
+        ['Close', `${formatPrice(stock.currentPrice, currency)} (${date})`, 'font-weight: bold;'],
+        ['Previous Close', formatPrice(previousClose, currency)],
+        ['Highest Close', formatPrice(stock.highestClose, currency)]
+      ])}
+      <p style="color: #6b7280;">The close is about 1/${ratio} of the previous one and no split was reported. UM triggers and alert rules for ${escapeHtml(stock.symbol)} are on hold until you confirm.</p>
+      <p style="color: #6b7280;">${note}</p>`
+    }),
+    text: textLayout([
+      `${stock.symbol} closed at ${formatPrice(stock.currentPrice, currency)} on ${date}, about 1/${ratio} of the previous close of ${formatPrice(previousClose, currency)}, with no split reported.`,
+      'UM triggers and alert rules are on hold until you confirm.'
+    ], note),
+    attachments: []
+  };
+}
+
+// Watchlist candidates that have just met the eligibility policy
+function watchlistEligibleEmail(items, policy) {
+  const rows = items.map(item => {
+    const currency = currencyOf(item);
+    const gain = (item.currentPrice - item.entryPrice) / item.entryPrice * 100;
+    return `
+        <tr>
+          <td style="${CELL} font-weight: bold;">${escapeHtml(item.symbol)}</td>
+          <td style="${CELL}">${formatPrice(item.currentPrice, currency)}</td>
+          <td style="${CELL} color: #059669;">+${gain.toFixed(1)}%</td>
+          <td style="${CELL}">${item.volatilityEstimate ? `${item.volatilityEstimate.value}%` : '-'}</td>
+        </tr>`;
+  }).join('');
+  const note = 'Promote a candidate from the Watchlist in the app to start its Upside Maximizer with the suggested volatility.';
+
+  return {
+    subject: `🎯 Watchlist - ${items.map(item => item.symbol).join(', ')} Now Eligible`,
+    html: layout({
+      title: '🎯 Watchlist Candidates Eligible',
+      color: '#059669',
+      body: `
+      <p style="color: #6b7280;">These now meet your eligibility policy (${escapeHtml(describePolicy(policy).toLowerCase())}) and can get an Upside Maximizer:</p>
+      <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+        <tr>
+          <th style="${HEAD}">Symbol</th>
+          <th style="${HEAD}">Last Close</th>
+          <th style="${HEAD}">Gain</th>
+          <th style="${HEAD}">Suggested Volatility</th>
+        </tr>${rows}
+      </table>`,
+      note
+    }),
+    text: textLayout(items.map(item => {
+      const currency = currencyOf(item);
+      return `• ${item.symbol} closed at ${formatPrice(item.currentPrice, currency)}, at or above ${formatPrice(eligiblePrice(item, policy), currency)} (+${policy.minGainPercent}% from entry)${item.volatilityEstimate ? `. Suggested volatility ${item.volatilityEstimate.value}%` : ''}`;
+    }), note),
+    attachments: []
+  };
+}
+
+module.exports = {
+  SPARKLINE_SESSIONS,
+  manageUrl,
+  summaryEmail,
+  ruleAlertsEmail,
+  triggerAlertEmail,
+  intradayBreachEmail,
+  suspectedSplitEmail,
+  watchlistEligibleEmail
+};
@@ -0,0 +1,239 @@
+/**
+ * Upside Maximizer - Trigger Evaluator
+ * The one place closes are applied to positions: new highs, indicators,
+ * alert rules and UM triggers. Runs server-side only, in update-prices.js,
+ * for closes from the price providers and for closes entered by hand in the
+ * app (stock.manualCloses), so both behave the same.
+ *
+ * Sessions applied from a manual close are kept in stock.manualSessions
+ * with the state before them. When a provider close for one comes in and
+ * differs, the position goes back to that state and the sessions from
+ * there are evaluated again with the provider's close.
+ */
+
+const { hasLots, applySplitToLots } = require('../../src/shared/positions');
+const { currencyOf, listingKey, formatPrice } = require('../../src/shared/listings');
+const { evaluateAlertRules } = require('../../src/shared/alertRules');
+const { calculateStopPrice, computeIndicators, hasTiers, tierIsOpen, umLadder } = require('../../src/shared/umRules');
+
+// A one-day drop below this fraction of the last close is checked for an unreported split
+const SPLIT_SUSPECT_DROP = 0.6;
+
+// A close that dropped by almost exactly a whole-number ratio, with no split
+// reported, is more likely an unreported split than a crash
+function detectSuspectedSplit(previousClose, close) {
+  if (!previousClose || close >= previousClose * SPLIT_SUSPECT_DROP) return null;
+  const ratio = previousClose / close;
+  const rounded = Math.round(ratio);
+  return rounded >= 2 && Math.abs(ratio - rounded) / rounded < 0.03 ? rounded : null;
+}
+
+// Apply new splits to a position, then replay each unprocessed session in
+// date order so missed highs and triggers are not lost. Mutates the stock
+// and returns the triggers, alert-rule notifications and suspected splits
+// it found. `splitsChecked` is set when a provider answered for splits, so
+// a drop with none reported is a real move. `stock.replay` ({ from,
+// previousClose }), set by the app, evaluates sessions from `from` again.
+// Candles before `replayFrom`, the backfill limit, only feed indicators.
+function processStock(stock, { candles: fetched, splits, splitsChecked = false, replayFrom = null }, alertRules = []) {
+  const symbol = listingKey(stock);
+  const currency = currencyOf(stock);
+  const since = stock.lastProcessedDate || null;
+  const appliedSplits = stock.splits || [];
+
+  for (const split of splits) {
+    if (split.date <= (since || stock.dateAdded) || appliedSplits.some(s => s.date === split.date)) continue;
+    stock.entryPrice /= split.ratio;
+    stock.highestClose /= split.ratio;
+    stock.currentPrice /= split.ratio;
+    if (hasLots(stock)) Object.assign(stock, applySplitToLots(stock, split));
+    stock.splitSuspected = null;
+    appliedSplits.push(split);
+    console.log(`  ${symbol}: ${split.ratio}:1 split on ${split.date}, entry and highest close rescaled`);
+  }
+  stock.splits = appliedSplits;
+
+  // Manual sessions past the backfill limit can no longer be replaced
+  const manualSessions = (stock.manualSessions || []).filter(entry => !replayFrom || entry.date >= replayFrom);
+  const provided = new Map(fetched.filter(c => !c.manual).map(c => [c.date, c.close]));
+  const candles = [
+    ...fetched,
+    ...manualSessions.filter(entry => !provided.has(entry.date) && !fetched.some(c => c.date === entry.date)).map(({ date, close }) => ({ date, close, manual: true }))
+  ].sort((a, b) => a.date.localeCompare(b.date));
+  const corrected = manualSessions.find(entry => provided.has(entry.date) && provided.get(entry.date) !== entry.close);
+  if (corrected && !(stock.replay && stock.replay.from <= corrected.date)) {
+    stock.replay = { from: corrected.date, previousClose: corrected.previousClose };
+    stock.highestClose = corrected.highestClose;
+    stock.highestCloseDate = corrected.highestCloseDate;
+    console.log(`  ${symbol}: Provider close for ${corrected.date} replaces the manual ${formatPrice(corrected.close, currency)}`);
+  }
+  stock.manualSessions = manualSessions.filter(entry => !provided.has(entry.date));
+  const appliedManual = [];
+
+  // Without a processed date we only know about today's close
+  const replay = stock.replay || null;
+  const sessions = replay
+    ? candles.filter(c => c.date >= replay.from && (!replayFrom || c.date >= replayFrom))
+    : since ? candles.filter(c => c.date > since && (!replayFrom || c.date >= replayFrom)) : candles.slice(-1);
+  if (sessions.length === 0) {
+    console.log(`  ${symbol}: No new sessions since ${since}`);
+    return { triggers: [], notifications: [], suspectedSplits: [] };
+  }
+  if (replay) {
+    stock.currentPrice = replay.previousClose ?? stock.currentPrice;
+    stock.replay = null;
+    console.log(`  ${symbol}: Evaluating again from ${replay.from}`);
+  }
+
+  const triggers = [];
+  const suspectedSplits = [];
+  // Latest notification per rule, so a replayed backlog sends one each
+  const notifications = new Map();
+  const firstSession = candles.length - sessions.length;
+  for (const [i, { date, close, manual }] of sessions.entries()) {
+    const oldPrice = stock.currentPrice;
+    const oldHighest = stock.highestClose;
+    if (manual) appliedManual.push({ date, close, previousClose: oldPrice ?? null, highestClose: oldHighest ?? null, highestCloseDate: stock.highestCloseDate || null });
+    
+    const suspectedRatio = (stock.dismissedSplits || []).includes(date) ? null : detectSuspectedSplit(oldPrice, close);
+    if (suspectedRatio && splitsChecked) {
+      console.log(`  ${symbol}: ${suspectedRatio}:1 sized drop on ${date} with no split reported, evaluating it as a real move`);
+    } else if (suspectedRatio) {
+      stock.splitSuspected = { date, ratio: suspectedRatio, previousClose: oldPrice };
+      suspectedSplits.push({ stock: { ...stock, currentPrice: close }, date, ratio: suspectedRatio });
+      console.log(`  ⚠ ${symbol}: Possible unreported ${suspectedRatio}:1 split on ${date}, holding triggers until confirmed`);
+    }
+    
+    stock.previousClose = oldPrice;
+    stock.currentPrice = close;
+    
+    if (close > (stock.highestClose || 0)) {
+      stock.highestClose = close;
+      stock.highestCloseDate = date;
+      console.log(`  ${symbol}: New high! ${oldHighest ? formatPrice(oldHighest, currency) : 'N/A'} → ${formatPrice(close, currency)} (${date})`);
+    } else {
+      console.log(`  ${symbol}: ${oldPrice ? formatPrice(oldPrice, currency) : 'N/A'} → ${formatPrice(close, currency)} (${date})`);
+    }
+    
+    // Indicators as of this session; keep the last known ones if the window is too short
+    stock.indicators = computeIndicators(stock, candles.slice(0, firstSession + i + 1)) || stock.indicators || null;
+    if (stock.splitSuspected) continue;
+
+    const fired = evaluateAlertRules(stock, alertRules, { date, close, previousHigh: oldHighest, umPrice: calculateStopPrice(stock, stock.indicators, date) });
+    for (const notification of fired) {
+      notifications.set(notification.key, { stock: { ...stock }, ...notification });
+      console.log(`  🔔 ${notification.message}`);
+    }
+
+    if (hasTiers(stock)) {
+      // Each level triggers once, and a gap down can hit several in one session
+      const ladder = umLadder(stock, stock.indicators, date);
+      for (const [index, level] of ladder.entries()) {
+        if (!tierIsOpen(level) || level.umPrice === null || close > level.umPrice) continue;
+        const tier = stock.tiers.find(t => t.id === level.id);
+        tier.triggered = true;
+        tier.triggeredDate = date;
+        triggers.push({ stock: { ...stock }, umPrice: level.umPrice, level: { tier: { ...tier }, index: index + 1, count: ladder.length } });
+        console.log(`  🚨 ${symbol} LEVEL ${index + 1}/${ladder.length} (${tier.multiplier}×) TRIGGERED at ${formatPrice(close, currency)} on ${date} (UM: ${formatPrice(level.umPrice, currency)})`);
+      }
+      continue;
+    }
+
+    const umPrice = calculateStopPrice(stock, stock.indicators, date);
+    if (umPrice !== null && close <= umPrice && !stock.triggered) {
+      stock.triggered = true;
+      stock.triggeredDate = date;
+      triggers.push({ stock: { ...stock }, umPrice });
+      console.log(`  🚨 ${symbol} TRIGGERED at ${formatPrice(close, currency)} on ${date} (UM: ${formatPrice(umPrice, currency)})`);
+    }
+  }
+
+  stock.lastProcessedDate = sessions[sessions.length - 1].date;
+  // Replayed manual sessions are kept with their new starting state
+  stock.manualSessions = [
+    ...stock.manualSessions.filter(entry => !appliedManual.some(m => m.date === entry.date)),
+    ...appliedManual
+  ].sort((a, b) => a.date.localeCompare(b.date));
+  // Manual closes up to here are applied, or superseded by a provider close
+  if (stock.manualCloses) stock.manualCloses = stock.manualCloses.filter(entry => entry.date > stock.lastProcessedDate);
+  // The close has settled any intraday breach from the watch script
+  if (stock.intradayBreach && stock.intradayBreach.date <= stock.lastProcessedDate) {
+    stock.intradayBreach = null;
+  }
+  return { triggers, notifications: [...notifications.values()], suspectedSplits };
+}
+
+// The earliest session a position needs fetched: after its last processed
+// one, from a requested replay, or a manual session awaiting the provider's close
+function fetchSince(stock) {
+  const dates = [
+    stock.lastProcessedDate,
+    stock.replay && stock.replay.from,
+    ...(stock.manualSessions || []).map(entry => entry.date)
+  ].filter(Boolean).sort();
+  return dates[0] || null;
+}
+
+// Manual closes still to apply, oldest first; older ones are superseded by processed sessions
+const pendingManualCloses = (stock) => (stock.manualCloses || [])
+  .filter(entry => !stock.lastProcessedDate || entry.date > stock.lastProcessedDate)
+  .sort((a, b) => a.date.localeCompare(b.date));
+
+// Add a position's manual closes to fetched market data (or none). A
+// provider close for the same session wins over the manual one.
+function withManualCloses(marketData, manualCloses) {
+  const candles = marketData ? [...marketData.candles] : [];
+  const known = new Set(candles.map(c => c.date));
+  for (const { date, close } of manualCloses) {
+    if (!known.has(date)) candles.push({ date, close, manual: true });
+  }
+  candles.sort((a, b) => a.date.localeCompare(b.date));
+  return { splits: [], splitsChecked: false, ...marketData, candles };
+}
+
+// Dashboard alert records for what a run found, newest first. `eligible`
+// are watchlist candidates that just met the eligibility policy.
+function alertRecords(triggers, notifications, eligible = [], suspectedSplits = [], now = new Date()) {
+  const time = now.toISOString();
+  return [
+    ...triggers.map(({ stock, umPrice, level }) => ({
+      type: 'trigger',
+      stockId: stock.id,
+      symbol: stock.symbol,
+      date: level ? level.tier.triggeredDate : stock.triggeredDate,
+      message: level
+        ? `${stock.symbol} hit UM level ${level.index} of ${level.count} at ${formatPrice(stock.currentPrice, currencyOf(stock))} (UM Price: ${formatPrice(umPrice, currencyOf(stock))})`
+        : `${stock.symbol} triggered at ${formatPrice(stock.currentPrice, currencyOf(stock))} (UM Price: ${formatPrice(umPrice, currencyOf(stock))})`
+    })),
+    ...notifications.map(notification => ({
+      type: 'rule',
+      rule: notification.rule.type,
+      stockId: notification.stock.id,
+      symbol: notification.stock.symbol,
+      date: notification.date,
+      message: notification.message
+    })),
+    ...eligible.map(item => ({
+      type: 'watchlist',
+      stockId: item.id,
+      symbol: item.symbol,
+      date: item.eligibleDate,
+      message: `${item.symbol} is eligible at ${formatPrice(item.currentPrice, currencyOf(item))} (entry ${formatPrice(item.entryPrice, currencyOf(item))}) and can be promoted from the watchlist`
+    })),
+    ...suspectedSplits.map(({ stock, date, ratio }) => ({
+      type: 'split',
+      stockId: stock.id,
+      symbol: stock.symbol,
+      date,
+      message: `${stock.symbol} closed at ${formatPrice(stock.currentPrice, currencyOf(stock))}, about 1/${ratio} of the last close. Possible ${ratio}:1 split: confirm or dismiss it on the position, triggers are on hold until then`
+    }))
+  ].map((alert, i) => ({ id: now.getTime() + i, ...alert, time }));
+}
+
+module.exports = {
+  processStock,
+  fetchSince,
+  pendingManualCloses,
+  withManualCloses,
+  alertRecords
+};
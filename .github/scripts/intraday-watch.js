@@ -0,0 +1,164 @@
+/**
+ * Upside Maximizer - Intraday Watch Script
+ * Polls quotes while the market is open (per the market calendar) and flags
+ * positions trading at or below their UM Execution Price. A breach is only a warning: triggers still come
+ * from the nightly close in update-prices.js, which also clears the flag.
+ *
+ * Runs for portfolios with emailPreferences.intradayWatch set to 'flag'
+ * (card warning only) or 'email' (warning plus one alert per breach on the
+ * portfolio's alert channels; the value predates other channels).
+ * Crypto positions are checked on every run; pass --force to check stocks
+ * outside market hours. Each run also retries failed notifications.
+ */
+
+const admin = require('firebase-admin');
+const { FINNHUB_KEY, CRYPTO_CLOSE_HOUR_UTC, PRICE_PROVIDERS, priceClient } = require('./price-client');
+const { notify, retryNotifications } = require('./notify');
+const { intradayBreachEmail } = require('./email-templates');
+const { saveAlerts } = require('./alerts');
+const { savePortfolioChanges } = require('./portfolio-writes');
+const { calculateStopPrice } = require('../../src/shared/umRules');
+const { exchangeClock, isMarketOpen, cryptoSessionOf } = require('../../src/shared/marketCalendar');
+const { currencyOf, isCrypto, listingKey, formatPrice } = require('../../src/shared/listings');
+
+const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
+
+admin.initializeApp({
+  credential: admin.credential.cert(serviceAccount),
+});
+
+const db = admin.firestore();
+
+// The session a quote taken now belongs to: today on the exchange, or the
+// crypto session still trading
+const sessionNow = (listing, clock) => (isCrypto(listing) ? cryptoSessionOf(Date.now(), CRYPTO_CLOSE_HOUR_UTC) : clock.date);
+
+// Flag a new breach on the stock; returns it when this poll found it first
+function checkStock(stock, quote, clock) {
+  const session = sessionNow(stock, clock);
+  if (stock.triggered || (stock.intradayBreach && stock.intradayBreach.date === session)) return null;
+  // The UM price is on the pre-split scale until the user confirms or dismisses the split
+  if (stock.splitSuspected) {
+    console.log(`  ${stock.symbol}: Possible split on ${stock.splitSuspected.date} awaiting confirmation, not watched`);
+    return null;
+  }
+
+  const umPrice = calculateStopPrice(stock);
+  if (umPrice === null || quote.price > umPrice) return null;
+  const currency = currencyOf(stock);
+
+  stock.intradayBreach = { date: session, time: clock.time, price: quote.price, umPrice };
+  console.log(`  ⚠ ${stock.symbol}: ${formatPrice(quote.price, currency)} at ${clock.time} is at or below UM ${formatPrice(umPrice, currency)}, close pending`);
+  return stock.intradayBreach;
+}
+
+async function watchIntraday() {
+  const clock = exchangeClock();
+  console.log('='.repeat(50));
+  console.log('Upside Maximizer - Intraday Watch');
+  console.log(`Time: ${new Date().toISOString()} (${clock.date} ${clock.time})`);
+  console.log('='.repeat(50));
+
+  const stocksOpen = isMarketOpen() || process.argv.includes('--force');
+  if (!stocksOpen) console.log('Market is closed, watching crypto only.');
+
+  if (PRICE_PROVIDERS.includes('finnhub') && !FINNHUB_KEY) {
+    console.error('ERROR: FINNHUB_API_KEY not set');
+    process.exit(1);
+  }
+
+  try {
+    // Runs every 30 minutes, so it also picks up failed notifications between nightly runs
+    await retryNotifications(db);
+
+    const portfoliosRef = db.collection('portfolios');
+    const snapshot = await portfoliosRef.get();
+
+    const watched = [];
+    snapshot.forEach(doc => {
+      const data = doc.data();
+      const mode = data.emailPreferences?.intradayWatch || 'off';
+      if (mode !== 'off' && (data.stocks || []).length > 0) {
+        watched.push({ userId: doc.id, stocks: data.stocks, mode, emailPreferences: data.emailPreferences });
+      }
+    });
+
+    if (watched.length === 0) {
+      console.log('No portfolios have intraday watch turned on.');
+      return;
+    }
+
+    const symbols = new Map();
+    watched.forEach(({ stocks }) => stocks.forEach(stock => {
+      if (stock.symbol && (stocksOpen || isCrypto(stock))) symbols.set(listingKey(stock), { symbol: stock.symbol, exchange: stock.exchange });
+    }));
+    if (symbols.size === 0) {
+      console.log('Nothing to watch right now.');
+      return;
+    }
+    console.log(`Watching ${symbols.size} symbol(s) for ${watched.length} portfolio(s).\n`);
+
+    const quotes = new Map();
+    for (const [symbol, listing] of symbols) {
+      try {
+        const result = await priceClient.getQuote(listing);
+        // A quote from an earlier session (holiday, halted) says nothing about today
+        if (result && (!result.data.date || result.data.date === sessionNow(listing, clock))) {
+          quotes.set(symbol, result.data);
+        }
+      } catch (error) {
+        console.error(`  Error fetching ${symbol}:`, error.message);
+      }
+    }
+
+    for (const { userId, stocks, mode, emailPreferences } of watched) {
+      console.log(`Checking portfolio for user: ${userId.substring(0, 8)}...`);
+
+      // checkStock flags breaches in place; save only those, not the whole list
+      const before = { stocks: JSON.parse(JSON.stringify(stocks)) };
+      const breaches = [];
+      for (const stock of stocks) {
+        const quote = stock.symbol ? quotes.get(listingKey(stock)) : undefined;
+        if (!quote) continue;
+        const breach = checkStock(stock, quote, clock);
+        if (breach) breaches.push({ stock, breach });
+      }
+
+      if (breaches.length === 0) {
+        console.log('  No new breaches');
+        continue;
+      }
+
+      await savePortfolioChanges(db, userId, before, { stocks });
+      console.log(`  ✓ Flagged ${breaches.length} breach(es)`);
+      const time = new Date();
+      await saveAlerts(db, userId, breaches.map(({ stock, breach }, i) => ({
+        id: time.getTime() + i,
+        type: 'intraday',
+        stockId: stock.id,
+        symbol: stock.symbol,
+        date: breach.date,
+        message: `${stock.symbol} traded at ${formatPrice(breach.price, currencyOf(stock))} at ${breach.time}, below its UM Price of ${formatPrice(breach.umPrice, currencyOf(stock))}. Close pending.`,
+        time: time.toISOString()
+      })));
+
+      if (mode === 'email') {
+        for (const { stock, breach } of breaches) {
+          await notify(db, userId, emailPreferences, 'alerts', {
+            key: `intraday-${stock.id}-${breach.date}`,
+            kind: 'intradayBreach',
+            ...intradayBreachEmail(stock, breach),
+            data: { symbol: stock.symbol, ...breach, currency: currencyOf(stock) }
+          });
+        }
+      }
+    }
+
+    console.log('\nIntraday watch complete.');
+  } catch (error) {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  }
+}
+
+watchIntraday();
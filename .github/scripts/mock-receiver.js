@@ -0,0 +1,31 @@
+/**
+ * Upside Maximizer - Mock Notification Receiver
+ * A local HTTP server that accepts any POST and prints it, for dry runs of
+ * the notification channels without sending anything real:
+ *
+ *   node .github/scripts/mock-receiver.js            # listens on :8787
+ *   RESEND_API_URL=http://localhost:8787 TELEGRAM_API_URL=http://localhost:8787 ...
+ *
+ * Use http://localhost:8787/slack (any path) as a webhook URL in settings.
+ * MOCK_STATUS=500 makes every request fail.
+ */
+
+const http = require('http');
+
+const PORT = parseInt(process.env.PORT || '8787', 10);
+const STATUS = parseInt(process.env.MOCK_STATUS || '200', 10);
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    let shown = body;
+    try { shown = JSON.stringify(JSON.parse(body), null, 2); } catch (e) {}
+    console.log(`${new Date().toISOString()} ${req.method} ${req.url} -> ${STATUS}`);
+    if (shown) console.log(shown);
+    res.writeHead(STATUS, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ ok: STATUS < 300, id: `mock-${Date.now()}` }));
+  });
+});
+
+server.listen(PORT, () => console.log(`Mock receiver listening on http://localhost:${PORT}`));
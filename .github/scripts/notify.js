@@ -0,0 +1,212 @@
+/**
+ * Upside Maximizer - Notification Dispatcher
+ * Sends a message to every channel a portfolio chose for the audience
+ * (see src/shared/notifications.js). A failing channel is logged and does
+ * not stop the others.
+ *
+ * A message is { key, kind, subject, html, text, attachments, data, url }
+ * (see email-templates.js): html and inline image attachments for email,
+ * text for the email's plain-text part, chat channels and push, data for
+ * generic webhooks.
+ * Every endpoint can be pointed at a local mock receiver (mock-receiver.js):
+ * webhook URLs are the user's own, and RESEND_API_URL and TELEGRAM_API_URL
+ * override the service addresses.
+ *
+ * Every send is recorded in portfolios/{uid}/notifications, one document per
+ * message and channel, keyed by the message's idempotency key. A message
+ * whose key is already logged is not sent again, so re-running a workflow
+ * can't double-send; failed sends are retried with backoff by
+ * retryNotifications on later runs. The record keeps the message's text and
+ * data but not its HTML or images, which could outgrow a document once per
+ * channel, so a retried email has the plain-text part only.
+ */
+
+const crypto = require('crypto');
+
+const { sendEmail } = require('./send-email');
+const { manageUrl } = require('./email-templates');
+const { CHANNELS, notificationSettings, channelsFor } = require('../../src/shared/notifications');
+
+const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
+const TELEGRAM_API_URL = process.env.TELEGRAM_API_URL || 'https://api.telegram.org';
+const VAPID_PUBLIC_KEY = process.env.VAPID_PUBLIC_KEY;
+const VAPID_PRIVATE_KEY = process.env.VAPID_PRIVATE_KEY;
+const VAPID_SUBJECT = process.env.VAPID_SUBJECT || 'mailto:noreply@upsidemaximizer.com';
+// Where a push notification opens, e.g. https://you.github.io/upside-maximizer
+const APP_URL = process.env.APP_URL || null;
+
+// A failed send is retried after 30 min, 1 h, 2 h and 4 h, then abandoned
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 30 * 60 * 1000;
+
+async function postJson(url, body) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  if (!response.ok) throw new Error(`${response.status} ${await response.text()}`);
+}
+
+// Each sender takes (emailPreferences, notification settings, message)
+const SENDERS = {
+  email: (prefs, settings, message) => sendEmail(prefs.emailAddress, message.subject, message.html || null, message.text, {
+    attachments: message.attachments || [],
+    unsubscribeUrl: manageUrl()
+  }),
+
+  webhook: (prefs, settings, message) => postJson(settings.webhookUrl, {
+    source: 'upside-maximizer',
+    kind: message.kind,
+    subject: message.subject,
+    text: message.text,
+    data: message.data || null,
+    sentAt: new Date().toISOString()
+  }),
+
+  slack: (prefs, settings, message) => postJson(settings.slackWebhookUrl, { text: `*${message.subject}*\n${message.text}` }),
+
+  // Discord rejects content over 2000 characters
+  discord: (prefs, settings, message) => postJson(settings.discordWebhookUrl, { content: `**${message.subject}**\n${message.text}`.slice(0, 2000) }),
+
+  telegram: async (prefs, settings, message) => {
+    if (!TELEGRAM_BOT_TOKEN) throw new Error('TELEGRAM_BOT_TOKEN not set');
+    await postJson(`${TELEGRAM_API_URL}/bot${TELEGRAM_BOT_TOKEN}/sendMessage`, {
+      chat_id: settings.telegramChatId,
+      text: `${message.subject}\n\n${message.text}`.slice(0, 4096)
+    });
+  },
+
+  // Loaded lazily so runs without push configured don't need the package
+  webpush: async (prefs, settings, message) => {
+    if (!VAPID_PUBLIC_KEY || !VAPID_PRIVATE_KEY) throw new Error('VAPID keys not set');
+    const webpush = require('web-push');
+    webpush.setVapidDetails(VAPID_SUBJECT, VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY);
+    const payload = JSON.stringify({ title: message.subject, body: message.text.slice(0, 500), url: message.url || APP_URL });
+    const results = await Promise.allSettled(settings.pushSubscriptions.map(subscription => webpush.sendNotification(subscription, payload)));
+    const failed = results.filter(result => result.status === 'rejected');
+    // One stale browser shouldn't fail the others
+    if (failed.length === results.length) throw failed[0].reason;
+  }
+};
+
+// Short stable key for a set of items, e.g. the alert rules that fired in one run
+const digestKey = (parts) => crypto.createHash('sha1').update(parts.join('|')).digest('hex').slice(0, 12);
+
+const logRef = (db, userId, key, channel) =>
+  db.collection('portfolios').doc(userId).collection('notifications').doc(`${key}_${channel}`.replace(/[^\w.-]/g, '-'));
+
+// One send of a logged message, in full when `message` is still at hand;
+// records the outcome and when to try again
+async function attempt(ref, record, prefs, message = record.message) {
+  const settings = notificationSettings(prefs);
+  const attempts = (record.attempts || 0) + 1;
+  const now = new Date();
+  try {
+    if (!CHANNELS[record.channel] || !CHANNELS[record.channel].configured(prefs, settings)) {
+      throw new Error('channel is no longer configured');
+    }
+    await SENDERS[record.channel](prefs, settings, message);
+    await ref.set({ status: 'sent', attempts, lastAttemptAt: now.toISOString(), sentAt: now.toISOString(), nextAttemptAt: null, lastError: null }, { merge: true });
+    if (record.channel !== 'email') console.log(`  ✓ ${record.channel} notification sent`);
+    return { channel: record.channel, ok: true };
+  } catch (error) {
+    const abandoned = attempts >= MAX_ATTEMPTS;
+    await ref.set({
+      status: abandoned ? 'abandoned' : 'failed',
+      attempts,
+      lastAttemptAt: now.toISOString(),
+      nextAttemptAt: abandoned ? null : new Date(now.getTime() + RETRY_BASE_MS * 2 ** (attempts - 1)).toISOString(),
+      lastError: error.message
+    }, { merge: true });
+    console.error(`  ✗ ${record.channel} notification failed${abandoned ? ', giving up' : ', will retry'}: ${error.message}`);
+    return { channel: record.channel, ok: false, error: error.message };
+  }
+}
+
+/**
+ * Log records for a message on every configured channel of the audience
+ * that hasn't logged it yet, as [{ ref, record, message }]. Nothing is
+ * written, so the caller can save the records together with the change
+ * they report on.
+ */
+async function pendingNotifications(db, userId, prefs, audience, message) {
+  const pending = [];
+  for (const channel of channelsFor(prefs, audience)) {
+    const ref = logRef(db, userId, message.key, channel);
+    const existing = await ref.get();
+    if (existing.exists) {
+      console.log(`  ${channel} notification ${message.key} already ${existing.data().status}, not resending`);
+      continue;
+    }
+    const now = new Date().toISOString();
+    const record = {
+      key: message.key,
+      channel,
+      audience,
+      kind: message.kind,
+      subject: message.subject,
+      message: {
+        kind: message.kind,
+        subject: message.subject,
+        text: message.text || '',
+        data: message.data || null,
+        url: message.url || null
+      },
+      status: 'pending',
+      attempts: 0,
+      createdAt: now,
+      // Picked up by a retry if this run dies before the send is recorded
+      nextAttemptAt: new Date(Date.now() + RETRY_BASE_MS).toISOString()
+    };
+    pending.push({ ref, record, message });
+  }
+  return pending;
+}
+
+// Send saved records from pendingNotifications; returns [{ channel, ok, error }]
+async function sendPending(pending, prefs) {
+  const results = [];
+  for (const { ref, record, message } of pending) results.push(await attempt(ref, record, prefs, message));
+  return results;
+}
+
+/**
+ * Log and send a message to every configured channel of the audience.
+ * message.key identifies it across runs, e.g. `summary-2026-10-19`.
+ * Returns [{ channel, ok, error }] for the channels actually tried.
+ */
+async function notify(db, userId, prefs, audience, message) {
+  const pending = await pendingNotifications(db, userId, prefs, audience, message);
+  for (const { ref, record } of pending) await ref.set(record);
+  return sendPending(pending, prefs);
+}
+
+// Resend failed messages whose backoff has passed, using each portfolio's current settings
+async function retryNotifications(db) {
+  const now = new Date().toISOString();
+  const portfolios = await db.collection('portfolios').get();
+  let retried = 0;
+  for (const portfolio of portfolios.docs) {
+    const due = (await portfolio.ref.collection('notifications').where('status', 'in', ['pending', 'failed']).get())
+      .docs.filter(doc => doc.data().nextAttemptAt <= now);
+    if (due.length === 0) continue;
+    console.log(`Retrying ${due.length} notification(s) for user: ${portfolio.id.substring(0, 8)}...`);
+    const prefs = portfolio.data().emailPreferences || {};
+    for (const doc of due) {
+      await attempt(doc.ref, doc.data(), prefs);
+      retried++;
+    }
+  }
+  return retried;
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  SENDERS,
+  digestKey,
+  pendingNotifications,
+  sendPending,
+  notify,
+  retryNotifications
+};
@@ -0,0 +1,52 @@
+/**
+ * Upside Maximizer - Portfolio Writes
+ * Saves what a script run changed in a portfolio without overwriting edits
+ * made in the app while it ran. The scripts read every portfolio at the
+ * start and can take minutes, so instead of writing their copy of the
+ * positions back, the document is read again in a transaction and only the
+ * fields the run changed are applied, per entry id. A field the app changed
+ * in the meantime keeps the app's value, and entries added or removed in
+ * the app stay added or removed.
+ */
+
+const { portfolioChanges } = require('../../src/shared/auditTrail');
+
+// The run's field changes applied to `current`, for each list in `after`
+function mergeChanges(current, before, after) {
+  const lists = Object.keys(after);
+  const pick = (portfolio) => Object.fromEntries(lists.map(list => [list, portfolio[list] || []]));
+  const changed = (changes, list, id) => changes.find(c => c.list === list && c.id === id && c.kind === 'changed');
+  const fromRun = portfolioChanges(pick(before), pick(after));
+  const fromApp = portfolioChanges(pick(before), pick(current));
+
+  return Object.fromEntries(lists.map(list => [list, (current[list] || []).map(entry => {
+    const change = changed(fromRun, list, entry.id);
+    if (!change) return entry;
+    const edited = changed(fromApp, list, entry.id);
+    const fields = Object.entries(change.fields).filter(([field]) => !(edited && edited.fields[field]));
+    return { ...entry, ...Object.fromEntries(fields.map(([field, { after: value }]) => [field, value])) };
+  })]));
+}
+
+/**
+ * Write the changes between `before` (the run's starting copy) and `after`
+ * to portfolios/{userId}, plus `fields` as they are. `notifications` are
+ * log records from pendingNotifications (notify.js), created in the same
+ * write so a saved trigger always has its alert queued. Returns the lists
+ * as saved.
+ */
+async function savePortfolioChanges(db, userId, before, after, fields = {}, notifications = []) {
+  const ref = db.collection('portfolios').doc(userId);
+  return db.runTransaction(async (tx) => {
+    const doc = await tx.get(ref);
+    const merged = mergeChanges(doc.exists ? doc.data() : {}, before, after);
+    tx.update(ref, { ...merged, ...fields });
+    for (const { ref: logRef, record } of notifications) tx.set(logRef, record);
+    return merged;
+  });
+}
+
+module.exports = {
+  mergeChanges,
+  savePortfolioChanges
+};
@@ -0,0 +1,95 @@
+/**
+ * Upside Maximizer - Email Preview
+ * Renders every message template from fixture portfolios to files, so
+ * layout changes can be checked in a browser without sending anything:
+ *
+ *   node .github/scripts/preview-emails.js [fixtures.json] [--out dir]
+ *
+ * Fixtures default to fixtures/email-preview.json next to this script;
+ * output goes to a temporary directory unless --out is given. Each message
+ * is written as .html (inline images as data: URIs) and .txt (the subject
+ * and plain-text part). Set APP_URL to preview the manage link.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { summaryEmail, ruleAlertsEmail, triggerAlertEmail, intradayBreachEmail, suspectedSplitEmail, watchlistEligibleEmail } = require('./email-templates');
+const { listingKey } = require('../../src/shared/listings');
+const { calculateStopPrice, hasTiers, umLadder } = require('../../src/shared/umRules');
+const { isEligible } = require('../../src/shared/watchlist');
+const { eligibilityPolicy } = require('../../src/shared/eligibility');
+
+const args = process.argv.slice(2);
+const outIndex = args.indexOf('--out');
+const outDir = outIndex >= 0 ? args[outIndex + 1] : path.join(os.tmpdir(), 'upside-maximizer-emails');
+const fixturePath = args.find((arg, i) => !arg.startsWith('--') && i !== outIndex + 1) || path.join(__dirname, 'fixtures', 'email-preview.json');
+
+// Fixture history is a plain list of closes ending on the session
+const withDates = (closes, session) => closes.map((close, i) => ({
+  date: new Date(new Date(session).getTime() - (closes.length - 1 - i) * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
+  close
+}));
+
+function writeMessage(name, message) {
+  const html = (message.attachments || []).reduce(
+    (body, image) => body.split(`cid:${image.contentId}`).join(`data:image/png;base64,${image.content}`),
+    message.html
+  );
+  fs.writeFileSync(path.join(outDir, `${name}.html`), html);
+  fs.writeFileSync(path.join(outDir, `${name}.txt`), `Subject: ${message.subject}\n\n${message.text}\n`);
+  console.log(`  ${name}: ${message.subject}`);
+}
+
+// Every trigger email a position would have sent, one per triggered level
+function triggerMessages(stock) {
+  if (!hasTiers(stock)) {
+    return stock.triggered ? [triggerAlertEmail(stock, calculateStopPrice(stock), null)] : [];
+  }
+  const ladder = umLadder(stock);
+  return ladder
+    .map((level, index) => ({ level, index }))
+    .filter(({ level }) => level.triggered)
+    .map(({ level, index }) => triggerAlertEmail(stock, level.umPrice, { tier: level, index: index + 1, count: ladder.length }));
+}
+
+function previewEmails() {
+  const fixtures = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+  fs.mkdirSync(outDir, { recursive: true });
+  console.log(`Rendering ${fixturePath} to ${outDir}\n`);
+
+  for (const portfolio of fixtures.portfolios) {
+    console.log(`Portfolio: ${portfolio.name}`);
+    const prefs = portfolio.emailPreferences || {};
+    const stocks = portfolio.stocks;
+    const history = {};
+    for (const [key, closes] of Object.entries(portfolio.history || {})) history[key] = withDates(closes, fixtures.session);
+
+    for (const summaryType of ['Daily', 'Weekly']) {
+      writeMessage(`${portfolio.name}-summary-${summaryType.toLowerCase()}`, summaryEmail({
+        stocks,
+        session: fixtures.session,
+        summaryType,
+        baseCurrency: prefs.baseCurrency || 'USD',
+        fx: fixtures.fx || null,
+        alertRules: prefs.alertRules || [],
+        history
+      }));
+    }
+
+    for (const stock of stocks) {
+      triggerMessages(stock).forEach((message, i) => writeMessage(`${portfolio.name}-trigger-${listingKey(stock)}-${i + 1}`, message));
+      if (stock.intradayBreach) writeMessage(`${portfolio.name}-intraday-${listingKey(stock)}`, intradayBreachEmail(stock, stock.intradayBreach));
+      if (stock.splitSuspected) writeMessage(`${portfolio.name}-split-${listingKey(stock)}`, suspectedSplitEmail(stock, stock.splitSuspected.date, stock.splitSuspected.ratio));
+    }
+
+    const alerts = (portfolio.alerts || []).map(alert => ({ ...alert, stock: stocks.find(s => s.symbol === alert.symbol) || { symbol: alert.symbol } }));
+    if (alerts.length > 0) writeMessage(`${portfolio.name}-rules`, ruleAlertsEmail(alerts));
+    const policy = eligibilityPolicy(prefs);
+    const eligible = (portfolio.watchlist || []).filter(item => isEligible(item, policy, fixtures.session));
+    if (eligible.length > 0) writeMessage(`${portfolio.name}-watchlist`, watchlistEligibleEmail(eligible, policy));
+    console.log('');
+  }
+}
+
+previewEmails();
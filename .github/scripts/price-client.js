@@ -0,0 +1,43 @@
+/**
+ * Upside Maximizer - Price Client for Scripts
+ * Builds the shared provider chain from environment variables.
+ */
+
+const fs = require('fs');
+const { createPriceClient } = require('../../src/shared/priceProviders');
+
+const FINNHUB_KEY = process.env.FINNHUB_API_KEY;
+const ALPHA_VANTAGE_KEY = process.env.ALPHA_VANTAGE_API_KEY;
+// UTC hour the daily crypto close is taken at; 0 is midnight at the end of the day
+const CRYPTO_CLOSE_HOUR_UTC = parseInt(process.env.CRYPTO_CLOSE_HOUR_UTC || '0', 10);
+
+// Provider chain, e.g. PRICE_PROVIDERS=fixture PRICE_FIXTURES=./prices.json for offline runs.
+// Frankfurter only serves FX rates and Coinbase only crypto listings.
+const PRICE_PROVIDERS = (process.env.PRICE_PROVIDERS || (ALPHA_VANTAGE_KEY ? 'finnhub,alphavantage,coinbase,frankfurter' : 'finnhub,coinbase,frankfurter'))
+  .split(',').map(p => p.trim()).filter(Boolean);
+
+// Per-provider minimum ms between calls, e.g. PRICE_RATE_LIMITS=finnhub=1000,alphavantage=12000
+const PRICE_RATE_LIMITS = Object.fromEntries(
+  (process.env.PRICE_RATE_LIMITS || '').split(',').filter(Boolean)
+    .map(entry => entry.split('='))
+    .map(([name, ms]) => [name.trim(), parseInt(ms, 10)])
+);
+
+const priceClient = createPriceClient({
+  providers: PRICE_PROVIDERS,
+  options: {
+    finnhub: { apiKey: FINNHUB_KEY },
+    alphavantage: { apiKey: ALPHA_VANTAGE_KEY },
+    coinbase: { closeHourUtc: CRYPTO_CLOSE_HOUR_UTC },
+    fixture: { fixtures: process.env.PRICE_FIXTURES ? JSON.parse(fs.readFileSync(process.env.PRICE_FIXTURES, 'utf8')) : {} }
+  },
+  rateLimits: PRICE_RATE_LIMITS,
+  log: (message) => console.log(`  ${message}`)
+});
+
+module.exports = {
+  FINNHUB_KEY,
+  CRYPTO_CLOSE_HOUR_UTC,
+  PRICE_PROVIDERS,
+  priceClient
+};
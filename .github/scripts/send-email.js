@@ -0,0 +1,45 @@
+/**
+ * Upside Maximizer - Email Sending for Scripts
+ * Sends email through Resend, HTML with an optional plain-text part or text only,
+ * inline images ({ filename, content (base64), contentId }) and a
+ * List-Unsubscribe link.
+ * Set RESEND_API_URL to point at a local mock receiver for dry runs.
+ */
+
+const RESEND_API_KEY = process.env.RESEND_API_KEY;
+const RESEND_API_URL = process.env.RESEND_API_URL || 'https://api.resend.com';
+const EMAIL_FROM = process.env.EMAIL_FROM || 'noreply@upsidemaximizer.com';
+
+// Send email via Resend
+async function sendEmail(to, subject, htmlContent, textContent, { attachments = [], unsubscribeUrl = null } = {}) {
+  if (!RESEND_API_KEY) throw new Error('RESEND_API_KEY not set');
+
+  const response = await fetch(`${RESEND_API_URL}/emails`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${RESEND_API_KEY}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      from: `Upside Maximizer <${EMAIL_FROM}>`,
+      to: [to],
+      subject: subject,
+      ...(htmlContent && { html: htmlContent }),
+      ...(textContent && { text: textContent }),
+      ...(attachments.length > 0 && {
+        attachments: attachments.map(({ filename, content, contentId }) => ({ filename, content, content_id: contentId }))
+      }),
+      ...(unsubscribeUrl && { headers: { 'List-Unsubscribe': `<${unsubscribeUrl}>` } })
+    })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Email failed: ${response.status} ${await response.text()}`);
+  }
+  console.log(`  ✓ Email sent to ${to}`);
+}
+
+module.exports = {
+  RESEND_API_KEY,
+  sendEmail
+};
@@ -0,0 +1,111 @@
+/**
+ * Upside Maximizer - Sparkline Images
+ * Draws a small line chart of recent closes as a PNG, using only Node's
+ * zlib, for embedding in emails. Most email clients block SVG and data:
+ * URIs, so the summary attaches these inline and refers to them by cid.
+ */
+
+const zlib = require('zlib');
+
+// Drawn at twice the displayed size so they stay sharp on high-density screens
+const SCALE = 2;
+
+const COLORS = {
+  up: [5, 150, 105],
+  down: [220, 38, 38],
+  um: [234, 88, 12]
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// RGBA pixels, row by row, to a PNG file
+function encodePng(width, height, pixels) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 6; // RGBA
+  const rows = Buffer.alloc((width * 4 + 1) * height);
+  for (let y = 0; y < height; y++) {
+    // Each row starts with filter type 0
+    pixels.copy(rows, y * (width * 4 + 1) + 1, y * width * 4, (y + 1) * width * 4);
+  }
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(rows)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * PNG of `values` (oldest first), green when the last value is at or above
+ * the first and red otherwise. A `reference` level (the UM price) is drawn
+ * as a dashed line when it falls inside the range. Returns null for fewer
+ * than two values.
+ */
+function sparklinePng(values, { width = 120, height = 32, reference = null } = {}) {
+  if (!values || values.length < 2) return null;
+  const w = width * SCALE;
+  const h = height * SCALE;
+  const pixels = Buffer.alloc(w * h * 4);
+  const pad = 2 * SCALE;
+
+  const span = [...values, ...(reference === null ? [] : [reference])];
+  const min = Math.min(...span);
+  const max = Math.max(...span);
+  const range = max - min || 1;
+  const x = (i) => pad + (i / (values.length - 1)) * (w - 2 * pad);
+  const y = (v) => h - pad - ((v - min) / range) * (h - 2 * pad);
+
+  const plot = (px, py, [r, g, b]) => {
+    for (let dx = 0; dx < SCALE; dx++) {
+      for (let dy = 0; dy < SCALE; dy++) {
+        const cx = Math.round(px) + dx - 1;
+        const cy = Math.round(py) + dy - 1;
+        if (cx < 0 || cy < 0 || cx >= w || cy >= h) continue;
+        const at = (cy * w + cx) * 4;
+        pixels[at] = r; pixels[at + 1] = g; pixels[at + 2] = b; pixels[at + 3] = 255;
+      }
+    }
+  };
+
+  if (reference !== null) {
+    const ry = y(reference);
+    for (let px = 0; px < w; px++) {
+      if (Math.floor(px / (3 * SCALE)) % 2 === 0) plot(px, ry, COLORS.um);
+    }
+  }
+
+  const color = values[values.length - 1] >= values[0] ? COLORS.up : COLORS.down;
+  for (let i = 1; i < values.length; i++) {
+    const [x0, y0, x1, y1] = [x(i - 1), y(values[i - 1]), x(i), y(values[i])];
+    const steps = Math.max(Math.abs(x1 - x0), Math.abs(y1 - y0), 1);
+    for (let s = 0; s <= steps; s++) plot(x0 + (x1 - x0) * s / steps, y0 + (y1 - y0) * s / steps, color);
+  }
+
+  return encodePng(w, h, pixels);
+}
+
+module.exports = {
+  sparklinePng
+};
@@ -1,10 +1,40 @@
 /**
  * Upside Maximizer - Daily Price Update Script
- * Uses Finnhub API for price data
+ * Fetches prices through the shared provider chain in src/shared/priceProviders.js
+ *
+ * Scheduled twice each weekday so one run always lands after the close in
+ * both EST and EDT, and once a day after the crypto cutoff. Each trading
+ * session is processed once; holidays and already-processed sessions are
+ * skipped. Crypto positions follow their own 7-day sessions (see
+ * latestCryptoSession). Pass --force to run anyway.
+ *
+ * Closes entered by hand in the app (stock.manualCloses) are applied on
+ * every run, including the hourly ones where no session is due, by the
+ * same evaluator as fetched closes (evaluate-triggers.js), and triggers
+ * from either are written to the portfolio's alert inbox (alerts.js).
+ *
+ * Watchlist candidates (portfolio.watchlist) get their closes refreshed
+ * with the positions, and a notification when one meets the portfolio's
+ * eligibility policy (src/shared/eligibility.js).
+ *
+ * New highest closes are recorded in the portfolio's audit trail
+ * (src/shared/auditTrail.js) for the position history timeline.
  */
 
 const admin = require('firebase-admin');
-const https = require('https');
+const { FINNHUB_KEY, CRYPTO_CLOSE_HOUR_UTC, PRICE_PROVIDERS, priceClient } = require('./price-client');
+const { digestKey, pendingNotifications, sendPending, notify, retryNotifications } = require('./notify');
+const { SPARKLINE_SESSIONS, summaryEmail, ruleAlertsEmail, triggerAlertEmail, suspectedSplitEmail, watchlistEligibleEmail } = require('./email-templates');
+const { processStock, fetchSince, pendingManualCloses, withManualCloses, alertRecords } = require('./evaluate-triggers');
+const { saveAlerts, migrateLegacyAlerts } = require('./alerts');
+const { savePortfolioChanges } = require('./portfolio-writes');
+const { adjustCandlesForSplits, toDateString } = require('../../src/shared/priceProviders');
+const { CURRENCIES, currencyOf, isCrypto, listingKey, formatPrice } = require('../../src/shared/listings');
+const { holidayName, isTradingDay, exchangeClock, latestSession, lastTradingDayOfWeek, latestCryptoSession } = require('../../src/shared/marketCalendar');
+const { calculateStopPrice, stopModelLookback } = require('../../src/shared/umRules');
+const { WATCH_LOOKBACK_SESSIONS, processWatchItem } = require('../../src/shared/watchlist');
+const { eligibilityPolicy } = require('../../src/shared/eligibility');
+const { portfolioEvent } = require('../../src/shared/auditTrail');
 
 // Initialize Firebase Admin using full service account JSON
 const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
@@ -14,219 +44,116 @@ admin.initializeApp({
 });
 
 const db = admin.firestore();
-const FINNHUB_KEY = process.env.FINNHUB_API_KEY;
-const ALPHA_VANTAGE_KEY = process.env.ALPHA_VANTAGE_API_KEY;
-const RESEND_API_KEY = process.env.RESEND_API_KEY;
-const EMAIL_FROM = process.env.EMAIL_FROM || 'noreply@upsidemaximizer.com';
 
-// Rate limiting helper
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How far back a missed run is replayed
+const MAX_BACKFILL_DAYS = 30;
+// Sessions fetched for a listing with no stored close history yet
+const HISTORY_SEED_SESSIONS = 100;
 
-// Calculate UM Execution Price
-function calculateUMPrice(highestClose, typicalVol, multiplier) {
-  const volatilityDecline = typicalVol * multiplier;
-  return highestClose * (1 - volatilityDecline / 100);
-}
+// Fetch every session since `since` (or just the latest one), split-adjusted,
+// plus `lookbackSessions` earlier sessions for indicator-based stop models.
+// Falls back to a single quote when no provider has candles. `splitsChecked`
+// tells whether a provider answered for splits at all; sessions before
+// `replayFrom` are past the backfill limit and only there for indicators.
+async function fetchMarketData(listing, since, lookbackSessions = 0, session = latestSession()) {
+  const symbol = listingKey(listing);
+  const currency = currencyOf(listing);
+  const floor = toDateString(new Date(Date.now() - MAX_BACKFILL_DAYS * DAY_MS));
+  const replayFrom = since && since > floor ? since : floor;
+  // Roughly 7 calendar days per 5 sessions, plus a margin for holidays; crypto trades daily
+  const lookbackDays = Math.ceil(lookbackSessions * (isCrypto(listing) ? 1 : 7 / 5)) + 10;
+  const from = lookbackSessions > 0
+    ? toDateString(new Date(new Date(replayFrom).getTime() - lookbackDays * DAY_MS))
+    : replayFrom;
 
-// Send email via Resend
-async function sendEmail(to, subject, htmlContent) {
-  if (!RESEND_API_KEY) {
-    console.log('  Resend not configured, skipping email');
-    return;
-  }
+  const splitResult = await priceClient.getSplits(listing, from, session);
+  const splits = splitResult ? splitResult.data : [];
+  const splitsChecked = Boolean(splitResult);
 
-  const data = JSON.stringify({
-    from: `Upside Maximizer <${EMAIL_FROM}>`,
-    to: [to],
-    subject: subject,
-    html: htmlContent
-  });
+  const candleResult = await priceClient.getDailyCandles(listing, from, session);
+  // Leave out a session that is still trading
+  const sessionCandles = candleResult ? candleResult.data.filter(c => c.date <= session) : [];
+  if (sessionCandles.length > 0) {
+    const candles = adjustCandlesForSplits(sessionCandles, splits);
+    const last = candles[candles.length - 1];
+    console.log(`  ${symbol}: ${formatPrice(last.close, currency)} on ${last.date}, ${candles.length} session(s) since ${from} (${candleResult.source})`);
+    return { candles, splits, splitsChecked, replayFrom };
+  }
 
-  return new Promise((resolve, reject) => {
-    const req = https.request({
-      hostname: 'api.resend.com',
-      port: 443,
-      path: '/emails',
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${RESEND_API_KEY}`,
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(data)
-      }
-    }, (res) => {
-      if (res.statusCode >= 200 && res.statusCode < 300) {
-        console.log(`  ✓ Email sent to ${to}`);
-        resolve();
-      } else {
-        let body = '';
-        res.on('data', chunk => body += chunk);
-        res.on('end', () => {
-          console.error(`  ✗ Email failed: ${res.statusCode} ${body}`);
-          reject(new Error(`Email failed: ${res.statusCode}`));
-        });
-      }
-    });
-    req.on('error', reject);
-    req.write(data);
-    req.end();
-  });
+  const quoteResult = await priceClient.getQuote(listing);
+  if (quoteResult && (!quoteResult.data.date || quoteResult.data.date <= session)) {
+    const { price, date } = quoteResult.data;
+    console.log(`  ${symbol}: ${formatPrice(price, currency)} (${quoteResult.source} quote, no candles)`);
+    return { candles: [{ date: date || session, close: price }], splits, splitsChecked, replayFrom };
+  }
+  
+  console.log(`  ${symbol}: No data found`);
+  return null;
 }
 
-// Generate daily summary email HTML
-function generateDailySummaryEmail(stocks) {
-  const rows = stocks.map(stock => {
-    const umPrice = calculateUMPrice(stock.highestClose, stock.typicalVolatility, stock.volatilityMultiplier);
-    const distancePercent = ((stock.currentPrice - umPrice) / stock.currentPrice * 100).toFixed(1);
-    const distanceDollars = (stock.currentPrice - umPrice).toFixed(2);
-    const isClose = parseFloat(distancePercent) < 10;
-    
-    return `
-      <tr style="background: ${isClose ? '#fef2f2' : '#ffffff'}">
-        <td style="padding: 12px; border-bottom: 1px solid #e5e7eb; font-weight: bold;">${stock.symbol}</td>
-        <td style="padding: 12px; border-bottom: 1px solid #e5e7eb;">${stock.companyName || stock.symbol}</td>
-        <td style="padding: 12px; border-bottom: 1px solid #e5e7eb;">$${stock.currentPrice.toFixed(2)}</td>
-        <td style="padding: 12px; border-bottom: 1px solid #e5e7eb;">$${stock.highestClose.toFixed(2)}</td>
-        <td style="padding: 12px; border-bottom: 1px solid #e5e7eb; color: #ea580c; font-weight: bold;">$${umPrice.toFixed(2)}</td>
-        <td style="padding: 12px; border-bottom: 1px solid #e5e7eb; color: ${isClose ? '#dc2626' : '#059669'}">
-          ${distancePercent}% ($${distanceDollars})
-        </td>
-      </tr>
-    `;
-  }).join('');
-
-  return `
-    <div style="font-family: Arial, sans-serif; max-width: 800px; margin: 0 auto;">
-      <h1 style="color: #10b981;">📈 Upside Maximizer Daily Summary</h1>
-      <p style="color: #6b7280;">Here's your portfolio status for ${new Date().toLocaleDateString()}:</p>
-      
-      <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
-        <thead>
-          <tr style="background: #f3f4f6;">
-            <th style="padding: 12px; text-align: left; border-bottom: 2px solid #e5e7eb;">Symbol</th>
-            <th style="padding: 12px; text-align: left; border-bottom: 2px solid #e5e7eb;">Company</th>
-            <th style="padding: 12px; text-align: left; border-bottom: 2px solid #e5e7eb;">Last Close</th>
-            <th style="padding: 12px; text-align: left; border-bottom: 2px solid #e5e7eb;">Highest Close</th>
-            <th style="padding: 12px; text-align: left; border-bottom: 2px solid #e5e7eb;">UM Price</th>
-            <th style="padding: 12px; text-align: left; border-bottom: 2px solid #e5e7eb;">Distance</th>
-          </tr>
-        </thead>
-        <tbody>
-          ${rows}
-        </tbody>
-      </table>
-      
-      <p style="color: #9ca3af; font-size: 12px;">
-        Positions highlighted in red are within 10% of their UM Execution Price.
-      </p>
-    </div>
-  `;
-}
+// Merge closes into the shared prices/{SYMBOL} history. The first time a
+// split is seen, older closes are restated on the post-split scale.
+async function savePriceHistory(symbol, candles, splits) {
+  const ref = db.collection('prices').doc(symbol);
+  const doc = await ref.get();
+  const existing = doc.exists ? doc.data() : {};
+  const appliedSplits = existing.splits || {};
+  const newSplits = splits.filter(split => !appliedSplits[split.date]);
 
-// Generate trigger alert email HTML
-function generateTriggerAlertEmail(stock, umPrice) {
-  return `
-    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-      <h1 style="color: #dc2626;">🚨 UM Execution Price Triggered!</h1>
-      
-      <div style="background: #fef2f2; border: 1px solid #fecaca; border-radius: 8px; padding: 20px; margin: 20px 0;">
-        <h2 style="margin: 0 0 10px 0; color: #1f2937;">${stock.symbol}</h2>
-        <p style="margin: 0; color: #6b7280;">${stock.companyName || ''}</p>
-        
-        <table style="margin-top: 15px;">
-          <tr>
-            <td style="padding: 5px 20px 5px 0; color: #6b7280;">Last Close:</td>
-            <td style="font-weight: bold;">$${stock.currentPrice.toFixed(2)}</td>
-          </tr>
-          <tr>
-            <td style="padding: 5px 20px 5px 0; color: #6b7280;">UM Execution Price:</td>
-            <td style="font-weight: bold; color: #ea580c;">$${umPrice.toFixed(2)}</td>
-          </tr>
-          <tr>
-            <td style="padding: 5px 20px 5px 0; color: #6b7280;">Highest Close:</td>
-            <td>$${stock.highestClose.toFixed(2)}</td>
-          </tr>
-          <tr>
-            <td style="padding: 5px 20px 5px 0; color: #6b7280;">Entry Price:</td>
-            <td>$${stock.entryPrice.toFixed(2)}</td>
-          </tr>
-        </table>
-      </div>
-      
-      <p style="color: #6b7280;">
-        Consider reviewing this position. The stock has closed at or below your UM Execution Price.
-      </p>
-    </div>
-  `;
-}
+  const closes = {};
+  if (newSplits.length > 0) {
+    for (const [date, close] of Object.entries(existing.closes || {})) {
+      const factor = newSplits
+        .filter(split => split.date > date)
+        .reduce((total, split) => total * split.ratio, 1);
+      closes[date] = close / factor;
+    }
+    newSplits.forEach(split => { appliedSplits[split.date] = split.ratio; });
+  }
+  candles.forEach(candle => { closes[candle.date] = candle.close; });
 
-// Fetch price from Finnhub
-async function fetchPriceFinnhub(symbol) {
-  return new Promise((resolve) => {
-    const url = `https://finnhub.io/api/v1/quote?symbol=${encodeURIComponent(symbol)}&token=${FINNHUB_KEY}`;
-    
-    https.get(url, (res) => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        try {
-          const json = JSON.parse(data);
-          if (json.c && json.c > 0) {
-            resolve(json.c);
-          } else {
-            resolve(null);
-          }
-        } catch (error) {
-          resolve(null);
-        }
-      });
-    }).on('error', () => resolve(null));
-  });
+  await ref.set({
+    symbol,
+    closes,
+    splits: appliedSplits,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  }, { merge: true });
 }
 
-// Fetch price from Alpha Vantage
-async function fetchPriceAlphaVantage(symbol) {
-  return new Promise((resolve) => {
-    const url = `https://www.alphavantage.co/query?function=GLOBAL_QUOTE&symbol=${encodeURIComponent(symbol)}&apikey=${ALPHA_VANTAGE_KEY}`;
-    
-    https.get(url, (res) => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        try {
-          const json = JSON.parse(data);
-          if (json['Global Quote'] && json['Global Quote']['05. price']) {
-            resolve(parseFloat(json['Global Quote']['05. price']));
-          } else {
-            resolve(null);
-          }
-        } catch (error) {
-          resolve(null);
-        }
-      });
-    }).on('error', () => resolve(null));
-  });
+// The last SPARKLINE_SESSIONS stored closes per listing, for summary charts
+async function recentCloses(stocks, cache) {
+  const history = {};
+  for (const stock of stocks) {
+    const key = listingKey(stock);
+    if (!cache.has(key)) {
+      const doc = await db.collection('prices').doc(key).get();
+      const closes = doc.exists ? doc.data().closes || {} : {};
+      cache.set(key, Object.keys(closes).sort().slice(-SPARKLINE_SESSIONS).map(date => ({ date, close: closes[date] })));
+    }
+    history[key] = cache.get(key);
+  }
+  return history;
 }
 
-// Fetch price - try Finnhub first, then Alpha Vantage
-async function fetchPrice(symbol) {
-  let price = await fetchPriceFinnhub(symbol);
-  
-  if (price) {
-    console.log(`  ${symbol}: $${price.toFixed(2)} (Finnhub)`);
-    return price;
-  }
-  
-  if (ALPHA_VANTAGE_KEY) {
-    price = await fetchPriceAlphaVantage(symbol);
-    
-    if (price) {
-      console.log(`  ${symbol}: $${price.toFixed(2)} (Alpha Vantage)`);
-      return price;
+// Fetch today's FX rates into fx/{date} and fx/latest. Falls back to the
+// last stored rates when no provider answers.
+async function updateFxRates() {
+  const fxRef = db.collection('fx');
+  try {
+    const result = await priceClient.getFxRates(Object.keys(CURRENCIES).filter(c => c !== 'USD' && !CURRENCIES[c].unitOf));
+    if (result) {
+      await fxRef.doc(result.data.date).set(result.data);
+      await fxRef.doc('latest').set(result.data);
+      console.log(`FX rates for ${result.data.date} (${result.source}): ${Object.entries(result.data.rates).map(([c, r]) => `${c} ${r}`).join(', ')}\n`);
+      return result.data;
     }
+  } catch (error) {
+    console.error('  Error fetching FX rates:', error.message);
   }
-  
-  console.log(`  ${symbol}: No data found`);
-  return null;
+  const latest = await fxRef.doc('latest').get();
+  console.log(latest.exists ? `Using stored FX rates from ${latest.data().date}\n` : 'No FX rates available\n');
+  return latest.exists ? latest.data() : null;
 }
 
 // Main update function
@@ -236,7 +163,7 @@ async function updateAllPrices() {
   console.log(`Time: ${new Date().toISOString()}`);
   console.log('='.repeat(50));
   
-  if (!FINNHUB_KEY) {
+  if (PRICE_PROVIDERS.includes('finnhub') && !FINNHUB_KEY) {
     console.error('ERROR: FINNHUB_API_KEY not set');
     process.exit(1);
   }
@@ -246,7 +173,35 @@ async function updateAllPrices() {
     process.exit(1);
   }
 
+  const clock = exchangeClock();
+  const session = latestSession();
+  const cryptoSession = latestCryptoSession(new Date(), CRYPTO_CLOSE_HOUR_UTC);
+  const force = process.argv.includes('--force');
+  const stateRef = db.collection('system').doc('updater');
+
   try {
+    const state = await stateRef.get();
+    const lastRun = state.exists ? state.data() : {};
+
+    // Earlier runs' failed notifications go out first, even when nothing is due
+    const retried = await retryNotifications(db);
+    if (retried > 0) console.log('');
+    // Stocks and ETFs settle once per NYSE session, crypto once per day at the cutoff
+    const equitiesDue = force || (isTradingDay(clock.date) && !(lastRun.lastSession >= session));
+    const cryptoDue = force || !(lastRun.lastCryptoSession >= cryptoSession);
+
+    if (!equitiesDue) {
+      console.log(isTradingDay(clock.date)
+        ? `Session ${session} was already processed (${clock.time} now).`
+        : `${clock.date} is not a trading day (${holidayName(clock.date) || 'weekend'}).`);
+    }
+    if (!cryptoDue) console.log(`Crypto session ${cryptoSession} was already processed.`);
+    const anyDue = equitiesDue || cryptoDue;
+    console.log(anyDue
+      ? `Processing ${[equitiesDue && `session ${session}`, cryptoDue && `crypto session ${cryptoSession}`].filter(Boolean).join(' and ')}\n`
+      : 'No session due, applying manual closes and re-evaluations only.\n');
+    const isDue = (stock) => (isCrypto(stock) ? cryptoDue : equitiesDue);
+
     const portfoliosRef = db.collection('portfolios');
     const snapshot = await portfoliosRef.get();
     
@@ -255,143 +210,235 @@ async function updateAllPrices() {
       return;
     }
     
+    // Manual closes and sessions to evaluate again don't wait for the next session
+    const manualPending = snapshot.docs.some(doc => (doc.data().stocks || []).some(stock => (stock.manualCloses || []).length > 0 || stock.replay));
+    if (!anyDue && !manualPending) {
+      console.log('Nothing to process, skipping.');
+      return;
+    }
+    
     console.log(`Found ${snapshot.size} portfolio(s) to update.\n`);
     
-    const allSymbols = new Set();
+    // One fetch per listing, e.g. BP (US ADR) and BP.LSE are separate
+    const allSymbols = new Map();
     const userPortfolios = [];
     
     snapshot.forEach(doc => {
       const data = doc.data();
       const stocks = data.stocks || [];
+      const watchlist = data.watchlist || [];
       userPortfolios.push({ 
         userId: doc.id, 
         stocks, 
+        watchlist,
         data,
         emailPreferences: data.emailPreferences || {}
       });
-      stocks.forEach(stock => {
-        if (stock.symbol) {
-          allSymbols.add(stock.symbol.toUpperCase());
+      [...stocks, ...watchlist].forEach(stock => {
+        if (stock.symbol && (isDue(stock) || stock.replay)) {
+          allSymbols.set(listingKey(stock), { symbol: stock.symbol, exchange: stock.exchange, currency: stock.currency });
         }
       });
     });
     
-    console.log(`Unique symbols to fetch: ${Array.from(allSymbols).join(', ')}\n`);
+    console.log(`Unique symbols to fetch: ${Array.from(allSymbols.keys()).join(', ')}\n`);
     
-    const priceMap = new Map();
-    const symbolArray = Array.from(allSymbols);
+    // Backfill from the least recently processed position holding each symbol
+    const sinceMap = new Map();
+    const lookbackMap = new Map();
+    userPortfolios.forEach(({ stocks, watchlist }) => [...stocks, ...watchlist].forEach(stock => {
+      if (!stock.symbol || !(isDue(stock) || stock.replay)) return;
+      const symbol = listingKey(stock);
+      // Watched listings need enough closes for a suggested volatility
+      const lookback = watchlist.includes(stock) ? WATCH_LOOKBACK_SESSIONS : stopModelLookback(stock);
+      lookbackMap.set(symbol, Math.max(lookbackMap.get(symbol) || 0, lookback));
+      const since = fetchSince(stock);
+      if (!sinceMap.has(symbol) || (sinceMap.get(symbol) && (!since || since < sinceMap.get(symbol)))) {
+        sinceMap.set(symbol, since);
+      }
+    }));
     
-    for (let i = 0; i < symbolArray.length; i++) {
-      const symbol = symbolArray[i];
-      
+    const marketDataMap = new Map();
+    for (const [symbol, listing] of allSymbols) {
       try {
-        const price = await fetchPrice(symbol);
-        if (price !== null) {
-          priceMap.set(symbol, price);
+        // The app only reads prices/, so a new listing's history starts here
+        const stored = await db.collection('prices').doc(symbol).get();
+        const lookback = stored.exists ? lookbackMap.get(symbol) : Math.max(lookbackMap.get(symbol), HISTORY_SEED_SESSIONS);
+        const marketData = await fetchMarketData(listing, sinceMap.get(symbol), lookback, isCrypto(listing) ? cryptoSession : session);
+        if (marketData !== null) {
+          marketDataMap.set(symbol, marketData);
+          await savePriceHistory(symbol, marketData.candles, marketData.splits);
         }
       } catch (error) {
         console.error(`  Error fetching ${symbol}:`, error.message);
       }
-      
-      if (i < symbolArray.length - 1) {
-        await delay(1000);
-      }
     }
     
-    console.log(`\nFetched prices for ${priceMap.size} symbols.\n`);
+    console.log(`\nFetched prices for ${marketDataMap.size} symbols.\n`);
+
+    // FX rates only move with a session; summaries are the only reader
+    const fx = anyDue ? await updateFxRates() : null;
+    const historyCache = new Map();
+    // A failed portfolio is logged and the others still update
+    let failures = 0;
     
-    for (const { userId, stocks, data, emailPreferences } of userPortfolios) {
-      console.log(`Updating portfolio for user: ${userId.substring(0, 8)}...`);
-      
-      let updated = false;
-      const today = new Date().toISOString().split('T')[0];
-      const triggeredStocks = [];
-      
-      const updatedStocks = stocks.map(stock => {
-        const symbol = stock.symbol?.toUpperCase();
-        const newPrice = priceMap.get(symbol);
+    for (const { userId, stocks, watchlist, data, emailPreferences } of userPortfolios) {
+      try {
+        console.log(`Updating portfolio for user: ${userId.substring(0, 8)}...`);
         
-        if (newPrice !== undefined) {
-          const oldPrice = stock.currentPrice;
-          const oldHighest = stock.highestClose;
-          
-          stock.currentPrice = newPrice;
-          
-          if (newPrice > (stock.highestClose || 0)) {
-            stock.highestClose = newPrice;
-            stock.highestCloseDate = today;
-            console.log(`  ${symbol}: New high! $${oldHighest?.toFixed(2) || 'N/A'} → $${newPrice.toFixed(2)} (${today})`);
-          } else {
-            console.log(`  ${symbol}: $${oldPrice?.toFixed(2) || 'N/A'} → $${newPrice.toFixed(2)}`);
+        if (Array.isArray(data.alerts)) {
+          if (data.alerts.length > 0) await migrateLegacyAlerts(db, userId, data.alerts);
+          await portfoliosRef.doc(userId).update({ alerts: admin.firestore.FieldValue.delete() });
+        }
+        
+        let updated = false;
+        const triggeredStocks = [];
+        const notifications = [];
+        const suspectedSplits = [];
+        const alertRules = emailPreferences.alertRules || [];
+        
+        // processStock and processWatchItem update entries in place; keep a copy
+        // to save only what changed, and for the audit trail
+        const before = JSON.parse(JSON.stringify({ stocks, watchlist }));
+        const updatedStocks = stocks.map(stock => {
+          let marketData = stock.symbol ? marketDataMap.get(listingKey(stock)) : undefined;
+        
+          // Closes entered in the app go through the same evaluation
+          if ((stock.manualCloses || []).length > 0) {
+            stock.manualCloses = pendingManualCloses(stock);
+            if (stock.manualCloses.length > 0) {
+              console.log(`  ${listingKey(stock)}: ${stock.manualCloses.length} manual close(s) entered in the app`);
+              marketData = withManualCloses(marketData, stock.manualCloses);
+            }
+            updated = true;
           }
-          
-          const umPrice = calculateUMPrice(stock.highestClose, stock.typicalVolatility, stock.volatilityMultiplier);
-          if (newPrice <= umPrice && !stock.triggered) {
-            stock.triggered = true;
-            triggeredStocks.push({ stock: { ...stock }, umPrice });
-            console.log(`  🚨 ${symbol} TRIGGERED at $${newPrice.toFixed(2)} (UM: $${umPrice.toFixed(2)})`);
+        
+          if (marketData !== undefined) {
+            const result = processStock(stock, marketData, alertRules);
+            triggeredStocks.push(...result.triggers);
+            notifications.push(...result.notifications);
+            suspectedSplits.push(...result.suspectedSplits);
+            updated = true;
           }
-          
-          updated = true;
-        }
         
-        return stock;
-      });
-      
-      if (updated) {
-        await portfoliosRef.doc(userId).update({
-          stocks: updatedStocks,
-          lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+          return stock;
         });
-        console.log(`  ✓ Saved to Firestore`);
-      } else {
-        console.log(`  No updates needed`);
-      }
-      
-      // Send emails if preferences are set
-      const userEmail = emailPreferences.emailAddress;
-      const frequency = emailPreferences.summaryFrequency || 'none';
-      const dayOfWeek = new Date().getDay();
-      const isFriday = dayOfWeek === 5;
-      
-      if (userEmail && RESEND_API_KEY && frequency !== 'none') {
-        // Send trigger alerts
-        if (triggeredStocks.length > 0) {
-          for (const { stock, umPrice } of triggeredStocks) {
-            try {
-              await sendEmail(
-                userEmail,
-                `🚨 ${stock.symbol} Hit UM Execution Price`,
-                generateTriggerAlertEmail(stock, umPrice)
-              );
-            } catch (e) {
-              console.error(`  Failed to send trigger email: ${e.message}`);
-            }
+        
+        const policy = eligibilityPolicy(emailPreferences);
+        const eligible = [];
+        for (const item of watchlist) {
+          const marketData = item.symbol ? marketDataMap.get(listingKey(item)) : undefined;
+          if (marketData === undefined) continue;
+          if (processWatchItem(item, marketData, policy)) {
+            console.log(`  🎯 ${item.symbol}: Watchlist candidate eligible at ${formatPrice(item.currentPrice, currencyOf(item))} (policy v${policy.version})`);
+            eligible.push(item);
           }
+          updated = true;
         }
         
+        // Alerts for what the run found, queued in the same write as the
+        // positions so a saved trigger can't lose its alert; sent after it
+        const alertMessages = [
+          ...triggeredStocks.map(({ stock, umPrice, level }) => {
+            const triggeredDate = level ? level.tier.triggeredDate : stock.triggeredDate;
+            return {
+              key: `trigger-${stock.id}-${level ? level.tier.id : 'um'}-${triggeredDate}`,
+              kind: 'trigger',
+              ...triggerAlertEmail(stock, umPrice, level),
+              data: { symbol: stock.symbol, close: stock.currentPrice, umPrice, currency: currencyOf(stock), date: triggeredDate, level: level ? level.index : null }
+            };
+          }),
+          ...suspectedSplits.map(({ stock, date, ratio }) => ({
+            key: `split-${stock.id}-${date}`,
+            kind: 'split',
+            ...suspectedSplitEmail(stock, date, ratio),
+            data: { symbol: stock.symbol, close: stock.currentPrice, previousClose: stock.splitSuspected.previousClose, ratio, currency: currencyOf(stock), date }
+          })),
+          ...(notifications.length > 0 ? [{
+            key: `rules-${digestKey(notifications.map(n => `${n.stock.id}:${n.key}:${n.date}`))}`,
+            kind: 'rules',
+            ...ruleAlertsEmail(notifications),
+            data: { alerts: notifications.map(n => ({ symbol: n.stock.symbol, rule: n.rule.type, date: n.date, message: n.message })) }
+          }] : []),
+          ...(eligible.length > 0 ? [{
+            key: `watchlist-${digestKey(eligible.map(item => `${item.id}:${item.eligibleDate}`))}`,
+            kind: 'watchlist',
+            ...watchlistEligibleEmail(eligible, policy),
+            data: { candidates: eligible.map(item => ({ symbol: item.symbol, close: item.currentPrice, entryPrice: item.entryPrice, currency: currencyOf(item), date: item.eligibleDate, suggestedVolatility: item.volatilityEstimate ? item.volatilityEstimate.value : null })) }
+          }] : [])
+        ];
+        const pending = [];
+        for (const message of alertMessages) pending.push(...await pendingNotifications(db, userId, emailPreferences, 'alerts', message));
+        
+        if (updated) {
+          await savePortfolioChanges(db, userId, before, { stocks: updatedStocks, ...(watchlist.length > 0 && { watchlist }) }, {
+            lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+          }, pending);
+          console.log(`  ✓ Saved to Firestore`);
+          const event = portfolioEvent('New highest close', before, { stocks: updatedStocks }, { source: 'updater', only: ['highestClose', 'highestCloseDate'] });
+          if (event.changes.length > 0) await portfoliosRef.doc(userId).collection('events').doc(event.id).set(event);
+          await saveAlerts(db, userId, alertRecords(triggeredStocks, notifications, eligible, suspectedSplits));
+          // Trigger alerts no longer depend on the summary setting
+          await sendPending(pending, emailPreferences);
+        } else {
+          console.log(`  No updates needed`);
+        }
+        
+        // Notify on the channels chosen in settings
+        const frequency = emailPreferences.summaryFrequency || 'none';
+        // Summaries go out with the stock session, or with the crypto one for
+        // portfolios holding only crypto, so nobody gets two a day
+        const cryptoOnly = stocks.length > 0 && stocks.every(isCrypto);
+        const summarySession = cryptoOnly ? cryptoSession : session;
+        const summaryDue = cryptoOnly ? cryptoDue : equitiesDue;
+        // The weekly summary goes out on the week's last session, e.g. Thursday before Good Friday
+        const isLastSessionOfWeek = cryptoOnly
+          ? new Date(`${cryptoSession}T00:00:00Z`).getUTCDay() === 5
+          : session === lastTradingDayOfWeek(session);
+        
         // Send summary based on frequency preference
         const shouldSendSummary = 
           (frequency === 'daily') || 
-          (frequency === 'friday' && isFriday);
+          (frequency === 'friday' && isLastSessionOfWeek);
         
-        if (shouldSendSummary && updatedStocks.length > 0) {
-          try {
-            const summaryType = frequency === 'friday' ? 'Weekly' : 'Daily';
-            await sendEmail(
-              userEmail,
-              `📈 Upside Maximizer ${summaryType} Summary - ${today}`,
-              generateDailySummaryEmail(updatedStocks)
-            );
-          } catch (e) {
-            console.error(`  Failed to send summary email: ${e.message}`);
-          }
+        if (shouldSendSummary && summaryDue && updatedStocks.length > 0) {
+          const summaryType = frequency === 'friday' ? 'Weekly' : 'Daily';
+          await notify(db, userId, emailPreferences, 'summaries', {
+            key: `summary-${frequency}-${summarySession}`,
+            kind: 'summary',
+            ...summaryEmail({
+              stocks: updatedStocks,
+              session: summarySession,
+              summaryType,
+              baseCurrency: emailPreferences.baseCurrency || 'USD',
+              fx,
+              alertRules,
+              history: await recentCloses(updatedStocks, historyCache)
+            }),
+            data: { session: summarySession, positions: updatedStocks.map(stock => ({ symbol: stock.symbol, close: stock.currentPrice, highestClose: stock.highestClose, umPrice: calculateStopPrice(stock), currency: currencyOf(stock) })) }
+          });
         }
+        
+        console.log('');
+      } catch (error) {
+        failures++;
+        console.error(`  ✗ Error updating portfolio for user ${userId.substring(0, 8)}:`, error.message);
+        console.log('');
       }
-      
-      console.log('');
     }
     
+    // Leave the session unmarked so the next hourly run retries the failed
+    // portfolios; the others have nothing new by then
+    if (failures > 0) {
+      console.error(`${failures} portfolio(s) failed to update, the next run tries again.`);
+    } else if (anyDue) {
+      await stateRef.set({
+        ...(equitiesDue && { lastSession: session }),
+        ...(cryptoDue && { lastCryptoSession: cryptoSession }),
+        completedAt: admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+    }
+
     console.log('='.repeat(50));
     console.log('Update complete!');
     console.log('='.repeat(50));
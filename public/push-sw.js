@@ -0,0 +1,16 @@
+/* Upside Maximizer - Web push service worker
+ * Shows notifications sent by .github/scripts/notify.js and opens the app on click.
+ */
+
+self.addEventListener('push', (event) => {
+  const payload = event.data ? event.data.json() : {};
+  event.waitUntil(self.registration.showNotification(payload.title || 'Upside Maximizer', {
+    body: payload.body || '',
+    data: { url: payload.url || self.registration.scope }
+  }));
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(self.clients.openWindow(event.notification.data.url));
+});
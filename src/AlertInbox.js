@@ -0,0 +1,166 @@
+import React, { useEffect, useState } from 'react';
+import { Bell, CheckCircle, Clock } from 'lucide-react';
+import { subscribeToAlerts, updateAlerts } from './firebase';
+import { isCrypto } from './shared/listings';
+import { exchangeClock, nextTradingDay, sessionCloseTime, cryptoCloseTime, cryptoSessionOf } from './shared/marketCalendar';
+
+// Must match the nightly updater's CRYPTO_CLOSE_HOUR_UTC
+const CRYPTO_CLOSE_HOUR_UTC = parseInt(process.env.REACT_APP_CRYPTO_CLOSE_HOUR_UTC || '0', 10);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ALERT_TYPES = {
+  trigger: 'UM triggers',
+  rule: 'Alert rules',
+  intraday: 'Intraday breaches',
+  watchlist: 'Watchlist',
+  split: 'Possible splits'
+};
+
+const TYPE_STYLES = {
+  trigger: 'bg-red-800/30 border-red-700',
+  rule: 'bg-blue-900/30 border-blue-800',
+  intraday: 'bg-amber-900/20 border-amber-800',
+  watchlist: 'bg-emerald-900/20 border-emerald-800',
+  split: 'bg-amber-900/20 border-amber-800'
+};
+
+// Tomorrow's close for the alert's position: the next NYSE session, or the next crypto session
+function tomorrowsClose(stock, now = Date.now()) {
+  if (stock && isCrypto(stock)) {
+    return cryptoCloseTime(cryptoSessionOf(now + DAY_MS, CRYPTO_CLOSE_HOUR_UTC), CRYPTO_CLOSE_HOUR_UTC);
+  }
+  return sessionCloseTime(nextTradingDay(exchangeClock(new Date(now)).date));
+}
+
+const isSnoozed = (alert) => Boolean(alert.snoozedUntil) && new Date(alert.snoozedUntil).getTime() > Date.now();
+
+// Alerts from the update scripts, with read, acknowledged and snoozed state
+export default function AlertInbox({ userId, stocks, watchlist = [], onShowPosition }) {
+  const [alerts, setAlerts] = useState([]);
+  const [filter, setFilter] = useState({ symbol: '', type: '', show: 'open' });
+  const [acknowledging, setAcknowledging] = useState(null);
+  const [note, setNote] = useState('');
+
+  useEffect(() => subscribeToAlerts(userId, setAlerts), [userId]);
+
+  const update = async (ids, changes) => {
+    try {
+      await updateAlerts(userId, ids, changes);
+    } catch (error) {
+      alert('Could not update the alert. Please try again.');
+    }
+  };
+
+  const open = alerts.filter(a => !a.acknowledgedAt && !isSnoozed(a));
+  const unread = alerts.filter(a => !a.read && !isSnoozed(a));
+  if (alerts.length === 0) return null;
+
+  const shown = alerts.filter(a =>
+    (!filter.symbol || a.symbol === filter.symbol) &&
+    (!filter.type || a.type === filter.type) &&
+    (filter.show === 'all' ||
+      (filter.show === 'open' && !a.acknowledgedAt && !isSnoozed(a)) ||
+      (filter.show === 'snoozed' && isSnoozed(a)) ||
+      (filter.show === 'acknowledged' && a.acknowledgedAt))
+  );
+  const symbols = [...new Set(alerts.map(a => a.symbol))].sort();
+
+  const acknowledge = async (id) => {
+    await update([id], { read: true, acknowledgedAt: new Date().toISOString(), note: note.trim() });
+    setAcknowledging(null);
+    setNote('');
+  };
+
+  const snooze = (alert) => {
+    const until = tomorrowsClose([...stocks, ...watchlist].find(s => s.id === alert.stockId));
+    update([alert.id], { read: true, snoozedUntil: new Date(until).toISOString() });
+  };
+
+  const selectClass = 'px-2 py-1 bg-slate-700 border border-slate-600 rounded text-white text-sm';
+
+  return (
+    <div className="bg-slate-800/50 backdrop-blur rounded-lg shadow-xl p-6 mb-6 border border-slate-700">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <div className="flex items-center gap-2">
+          <Bell className={open.length > 0 ? 'text-red-400' : 'text-slate-400'} size={24} />
+          <h2 className="text-xl font-bold text-white">Alerts</h2>
+          {unread.length > 0 && <span className="px-2 py-0.5 bg-red-600 text-white text-xs rounded-full">{unread.length} unread</span>}
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <select value={filter.symbol} onChange={(e) => setFilter({ ...filter, symbol: e.target.value })} className={selectClass}>
+            <option value="">All symbols</option>
+            {symbols.map(symbol => <option key={symbol} value={symbol}>{symbol}</option>)}
+          </select>
+          <select value={filter.type} onChange={(e) => setFilter({ ...filter, type: e.target.value })} className={selectClass}>
+            <option value="">All types</option>
+            {Object.entries(ALERT_TYPES).map(([type, label]) => <option key={type} value={type}>{label}</option>)}
+          </select>
+          <select value={filter.show} onChange={(e) => setFilter({ ...filter, show: e.target.value })} className={selectClass}>
+            <option value="open">Open</option>
+            <option value="snoozed">Snoozed</option>
+            <option value="acknowledged">Acknowledged</option>
+            <option value="all">All</option>
+          </select>
+          {unread.length > 0 && (
+            <button onClick={() => update(unread.map(a => a.id), { read: true })} className="px-3 py-1 bg-slate-700 text-slate-300 text-sm rounded hover:bg-slate-600 border border-slate-600 transition-colors">Mark all read</button>
+          )}
+        </div>
+      </div>
+
+      {shown.length === 0 ? (
+        <p className="text-slate-500 text-sm">No {filter.show === 'all' ? '' : `${filter.show} `}alerts{filter.symbol || filter.type ? ' match the filter' : ''}.</p>
+      ) : (
+        <div className="space-y-2 max-h-96 overflow-y-auto">
+          {shown.map(alert => {
+            const stockExists = [...stocks, ...watchlist].some(s => s.id === alert.stockId);
+            return (
+              <div
+                key={alert.id}
+                onClick={() => !alert.read && update([alert.id], { read: true })}
+                className={`p-3 rounded-lg border ${TYPE_STYLES[alert.type] || TYPE_STYLES.rule} ${alert.read ? 'opacity-75' : ''}`}
+              >
+                <div className="flex items-start justify-between gap-3">
+                  <div className="flex items-start gap-2">
+                    {!alert.read && <span className="mt-2 w-2 h-2 rounded-full bg-red-400 shrink-0" title="Unread" />}
+                    <div>
+                      <p className={`text-white ${alert.read ? '' : 'font-semibold'}`}>{alert.message}</p>
+                      <p className="text-slate-400 text-sm">
+                        {ALERT_TYPES[alert.type] || 'Alert'} · {alert.date || new Date(alert.time).toLocaleDateString()} · {new Date(alert.time).toLocaleString()}
+                        {stockExists && (
+                          <button onClick={(e) => { e.stopPropagation(); onShowPosition(alert.stockId); }} className="ml-2 text-blue-400 hover:text-blue-300">View position</button>
+                        )}
+                      </p>
+                      {alert.acknowledgedAt && (
+                        <p className="text-emerald-400 text-sm">Acknowledged {new Date(alert.acknowledgedAt).toLocaleString()}{alert.note ? `: "${alert.note}"` : ''}</p>
+                      )}
+                      {isSnoozed(alert) && <p className="text-slate-400 text-sm">Snoozed until {new Date(alert.snoozedUntil).toLocaleString()}</p>}
+                    </div>
+                  </div>
+                  {!alert.acknowledgedAt && (
+                    <div className="flex gap-2 shrink-0">
+                      <button onClick={(e) => { e.stopPropagation(); setAcknowledging(alert.id); setNote(''); }} className="flex items-center gap-1 px-2 py-1 bg-slate-700 text-slate-300 text-xs rounded hover:bg-slate-600 border border-slate-600" title="Acknowledge with a note">
+                        <CheckCircle size={12} /> Acknowledge
+                      </button>
+                      {!isSnoozed(alert) && (
+                        <button onClick={(e) => { e.stopPropagation(); snooze(alert); }} className="flex items-center gap-1 px-2 py-1 bg-slate-700 text-slate-300 text-xs rounded hover:bg-slate-600 border border-slate-600" title="Hide until tomorrow's close">
+                          <Clock size={12} /> Snooze
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </div>
+                {acknowledging === alert.id && (
+                  <div className="flex gap-2 mt-2" onClick={(e) => e.stopPropagation()}>
+                    <input type="text" value={note} onChange={(e) => setNote(e.target.value)} placeholder="Note, e.g. sold half at the open" className="flex-1 px-3 py-1 bg-slate-700 border border-slate-600 rounded text-white text-sm" autoFocus />
+                    <button onClick={() => acknowledge(alert.id)} className="px-3 py-1 bg-emerald-600 text-white text-sm rounded hover:bg-emerald-700">Save</button>
+                    <button onClick={() => setAcknowledging(null)} className="px-3 py-1 bg-slate-600 text-white text-sm rounded hover:bg-slate-500">Cancel</button>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
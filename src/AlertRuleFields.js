@@ -0,0 +1,46 @@
+import React from 'react';
+import { Plus, X } from 'lucide-react';
+import { ALERT_RULES } from './shared/alertRules';
+
+const defaultsFor = (type) => Object.fromEntries(
+  Object.entries(ALERT_RULES[type].params).map(([name, param]) => [name, String(param.default)])
+);
+
+// Alert rules for one position, or for every position from settings
+export default function AlertRuleFields({ rules, onChange, compact = false }) {
+  const inputClass = compact
+    ? 'w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded text-white text-sm'
+    : 'w-full px-4 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white focus:ring-2 focus:ring-emerald-500';
+  const labelClass = compact ? 'block text-xs text-slate-400 mb-1' : 'block text-sm font-medium text-slate-300 mb-2';
+
+  const update = (id, changes) => onChange(rules.map(rule => rule.id === id ? { ...rule, ...changes } : rule));
+  const addRule = () => onChange([...rules, { id: Date.now(), type: 'approachingTrigger', ...defaultsFor('approachingTrigger') }]);
+
+  return (
+    <div>
+      <div className="flex justify-between items-center">
+        <label className={labelClass}>Alert Rules</label>
+        <button type="button" onClick={addRule} className="text-xs text-blue-400 hover:text-blue-300 flex items-center gap-1">
+          <Plus size={12} /> Add rule
+        </button>
+      </div>
+      {rules.length === 0 ? (
+        <p className="text-xs text-slate-500">No alert rules. Trigger alerts are always sent.</p>
+      ) : (
+        <div className="space-y-2">
+          {rules.map(rule => (
+            <div key={rule.id} className="flex items-center gap-2">
+              <select value={rule.type} onChange={(e) => onChange(rules.map(r => r.id === rule.id ? { id: rule.id, type: e.target.value, ...defaultsFor(e.target.value) } : r))} className={inputClass}>
+                {Object.entries(ALERT_RULES).map(([type, def]) => <option key={type} value={type}>{def.label}</option>)}
+              </select>
+              {Object.entries(ALERT_RULES[rule.type].params).map(([name, param]) => (
+                <input key={name} type="number" step="any" min="0" value={rule[name] ?? ''} onChange={(e) => update(rule.id, { [name]: e.target.value })} placeholder={param.label} title={param.label} className={`${inputClass} max-w-[6rem]`} />
+              ))}
+              <button type="button" onClick={() => onChange(rules.filter(r => r.id !== rule.id))} className="text-slate-500 hover:text-red-400"><X size={14} /></button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,8 +1,76 @@
-import React, { useState, useEffect } from 'react';
-import { TrendingUp, AlertCircle, Plus, Trash2, Bell, Search, LogOut as LogOutIcon, User, HelpCircle, Settings, Mail, Edit3, Archive, ChevronDown, ChevronUp, CheckCircle } from 'lucide-react';
-import { auth, savePortfolio, getPortfolio, subscribeToPortfolio, logOut } from './firebase';
+import React, { useState, useEffect, useRef } from 'react';
+import { TrendingUp, AlertCircle, Plus, Trash2, Bell, Search, LogOut as LogOutIcon, User, HelpCircle, Settings, Mail, Edit3, Archive, ChevronDown, ChevronUp, CheckCircle, LineChart, Layers, Scissors, Eye, Upload, Download, History } from 'lucide-react';
+import { auth, savePortfolio, restoreAlerts, getPortfolio, subscribeToPortfolio, logOut, getPriceHistory, getFxRates } from './firebase';
 import { onAuthStateChanged } from 'firebase/auth';
 import AuthModal from './AuthModal';
+import PriceChart from './PriceChart';
+import PositionLots from './PositionLots';
+import ArchiveAnalytics from './ArchiveAnalytics';
+import BacktestPanel from './BacktestPanel';
+import StopModelFields from './StopModelFields';
+import TierPlanFields from './TierPlanFields';
+import UMLadder from './UMLadder';
+import AlertRuleFields from './AlertRuleFields';
+import NotificationSettings from './NotificationSettings';
+import DeliveryHistory from './DeliveryHistory';
+import AlertInbox from './AlertInbox';
+import Watchlist from './Watchlist';
+import ImportPositions from './ImportPositions';
+import ExportData from './ExportData';
+import PortfolioReport from './PortfolioReport';
+import ChangeHistory from './ChangeHistory';
+import PositionHistory from './PositionHistory';
+import { estimateTypicalVolatility } from './shared/volatility';
+import { calculateStopPrice, describeStopModel, computeIndicators, umLadder, hasTiers, supportsTiers, baseMultiplier, withMultiplier } from './shared/umRules';
+import { createPriceClient, adjustCandlesForSplits } from './shared/priceProviders';
+import { ALERT_RULES, describeAlertRule } from './shared/alertRules';
+import { hasLots, costBasis, sharesBought, sharesHeld, realizedGain, positionSummary, portfolioTotals, applySplitToLots } from './shared/positions';
+import { isEligible } from './shared/watchlist';
+import { portfolioEvent, revertEvent } from './shared/auditTrail';
+import { DEFAULT_POLICY, eligibilityPolicy, eligibilityProblems, admissionRecord, describePolicy, sameTerms } from './shared/eligibility';
+import { EXCHANGES, ASSET_TYPES, CURRENCIES, BASE_CURRENCIES, exchangeOf, currencyOf, assetTypeOf, isCrypto, listingKey, formatPrice, formatAmount } from './shared/listings';
+import { isTradingDay, holidayName, latestSession, latestCryptoSession } from './shared/marketCalendar';
+
+const FINNHUB_KEY = 'd62dqcpr01qlugepll2gd62dqcpr01qlugepll30';
+const ALPHA_VANTAGE_KEY = 'YIL96BCWV46JKXBR';
+
+// Must match the nightly updater's CRYPTO_CLOSE_HOUR_UTC
+const CRYPTO_CLOSE_HOUR_UTC = parseInt(process.env.REACT_APP_CRYPTO_CLOSE_HOUR_UTC || '0', 10);
+
+const priceClient = createPriceClient({
+  providers: ['finnhub', 'alphavantage', 'coinbase', 'frankfurter'],
+  options: {
+    finnhub: { apiKey: FINNHUB_KEY },
+    alphavantage: { apiKey: ALPHA_VANTAGE_KEY },
+    coinbase: { closeHourUtc: CRYPTO_CLOSE_HOUR_UTC }
+  },
+  // A lookup is a one-off burst, so don't hold the user to the nightly spacing
+  rateLimits: { alphavantage: 0 }
+});
+
+// Sessions of history a lookup covers, for the recent high and suggested volatility
+const LOOKUP_SESSIONS = 100;
+
+const EMPTY_NEW_STOCK = {
+  symbol: '',
+  assetType: 'stock',
+  exchange: 'US',
+  currency: '',
+  companyName: '',
+  entryPrice: '',
+  shares: '',
+  currentPrice: '',
+  highestClose: '',
+  highestCloseDate: '',
+  purchaseDate: '',
+  overrideReason: '',
+  volatilityMultiplier: 2.0,
+  typicalVolatility: '',
+  volatilityEstimate: null,
+  stopModel: { type: 'volatility' },
+  tiers: [],
+  note: ''
+};
 
 export default function App() {
   const [user, setUser] = useState(null);
@@ -10,36 +78,48 @@ export default function App() {
   const [stocks, setStocks] = useState([]);
   const [archivedStocks, setArchivedStocks] = useState([]);
   const [showArchive, setShowArchive] = useState(false);
-  const [newStock, setNewStock] = useState({
-    symbol: '',
-    companyName: '',
-    entryPrice: '',
-    currentPrice: '',
-    highestClose: '',
-    highestCloseDate: '',
-    volatilityMultiplier: 2.0,
-    typicalVolatility: '',
-    note: ''
-  });
-  const [alerts, setAlerts] = useState([]);
+  const [archiveView, setArchiveView] = useState('positions');
+  const [watchlist, setWatchlist] = useState([]);
+  // The policy as last saved; settings edits only apply once saved
+  const [savedPolicy, setSavedPolicy] = useState(DEFAULT_POLICY);
+  const [newStock, setNewStock] = useState(EMPTY_NEW_STOCK);
   const [loading, setLoading] = useState(true);
   const [lastUpdate, setLastUpdate] = useState(null);
   const [isFetching, setIsFetching] = useState(false);
   const [showVolatilityHelp, setShowVolatilityHelp] = useState(false);
   const [stockCache, setStockCache] = useState({});
+  const [fxRates, setFxRates] = useState(null);
   const [emailPreferences, setEmailPreferences] = useState({
     summaryFrequency: 'none',
     emailAddress: ''
   });
   const [showSettings, setShowSettings] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+  const [showReport, setShowReport] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [historyStockId, setHistoryStockId] = useState(null);
+  // The portfolio as last saved, which changes are recorded against; settings edit their state before saving
+  const savedPortfolio = useRef({ stocks: [], archivedStocks: [], watchlist: [], emailPreferences: {} });
   const [editingNoteId, setEditingNoteId] = useState(null);
   const [editingNoteText, setEditingNoteText] = useState('');
   const [editingUMId, setEditingUMId] = useState(null);
-  const [editingUM, setEditingUM] = useState({ typicalVolatility: '', volatilityMultiplier: '' });
+  const [editingUM, setEditingUM] = useState({ typicalVolatility: '', volatilityMultiplier: '', stopModel: null, tiers: [] });
   const [editingExecutedDateId, setEditingExecutedDateId] = useState(null);
   const [editingExecutedDate, setEditingExecutedDate] = useState('');
   const [closingStockId, setClosingStockId] = useState(null);
   const [closeForm, setCloseForm] = useState({ closePrice: '', closeDate: '', note: '' });
+  const [chartStockId, setChartStockId] = useState(null);
+  const [priceHistory, setPriceHistory] = useState({});
+  const [lotsStockId, setLotsStockId] = useState(null);
+  const [alertRulesStockId, setAlertRulesStockId] = useState(null);
+  const [manualCloseStockId, setManualCloseStockId] = useState(null);
+  const [manualCloseForm, setManualCloseForm] = useState({ close: '', date: '' });
+  const [editingRules, setEditingRules] = useState([]);
+  const [showBacktest, setShowBacktest] = useState(false);
+  const [candleCache, setCandleCache] = useState({});
+  const [scalingStockId, setScalingStockId] = useState(null);
+  const [scaleOutForm, setScaleOutForm] = useState({ shares: '', sharesHeld: '', price: '', date: '', note: '', volatilityMultiplier: '', resetHigh: false, markExecuted: false });
 
   // Listen for auth state changes
   useEffect(() => {
@@ -58,22 +138,175 @@ export default function App() {
     if (!user) return;
 
     const unsubscribe = subscribeToPortfolio(user.uid, (portfolioData) => {
+      savedPortfolio.current = {
+        stocks: portfolioData.stocks || [],
+        archivedStocks: portfolioData.archivedStocks || [],
+        watchlist: portfolioData.watchlist || [],
+        emailPreferences: portfolioData.emailPreferences || {}
+      };
       setStocks(portfolioData.stocks || []);
-      setAlerts(portfolioData.alerts || []);
       setLastUpdate(portfolioData.lastUpdate);
       setArchivedStocks(portfolioData.archivedStocks || []);
+      setWatchlist(portfolioData.watchlist || []);
       setEmailPreferences(portfolioData.emailPreferences || {
         summaryFrequency: 'none',
         emailAddress: user.email || ''
       });
+      setSavedPolicy(eligibilityPolicy(portfolioData.emailPreferences));
     });
 
     return unsubscribe;
   }, [user]);
 
-  const calculateStopLoss = (highestClose, typicalVol, multiplier) => {
-    const volatilityDecline = typicalVol * multiplier;
-    return highestClose * (1 - volatilityDecline / 100);
+  // Emails link to ?settings=notifications to manage or unsubscribe
+  useEffect(() => {
+    if (!user) return;
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('settings')) {
+      setShowSettings(true);
+      window.history.replaceState(null, '', window.location.pathname);
+    }
+  }, [user]);
+
+  // Rates stored by the nightly update, or live ones before its first run
+  useEffect(() => {
+    if (!user) return;
+    (async () => {
+      try {
+        const stored = await getFxRates();
+        if (stored) { setFxRates(stored); return; }
+        const live = await priceClient.getFxRates(Object.keys(CURRENCIES).filter(c => c !== 'USD' && !CURRENCIES[c].unitOf));
+        if (live) setFxRates(live.data);
+      } catch (e) {}
+    })();
+  }, [user]);
+
+  // The stock as it would be added, for previews before it is saved
+  const draftStock = () => {
+    const cached = stockCache[listingKey(newStock)];
+    const draft = {
+      entryPrice: parseFloat(newStock.entryPrice),
+      highestClose: parseFloat(newStock.highestClose),
+      typicalVolatility: parseFloat(newStock.typicalVolatility),
+      volatilityMultiplier: parseFloat(newStock.volatilityMultiplier),
+      dateAdded: new Date().toISOString().split('T')[0],
+      stopModel: newStock.stopModel,
+      tiers: newStock.tiers.map(tier => ({ ...tier, multiplier: parseFloat(tier.multiplier), sharePercent: parseFloat(tier.sharePercent) }))
+    };
+    return { ...draft, indicators: cached?.candles ? computeIndicators(draft, cached.candles) : null };
+  };
+
+  // Form rows to saved UM levels, keeping the trigger state of existing ones.
+  // Returns null (after alerting) when the plan does not add up.
+  const parseTierPlan = (rows, existing = []) => {
+    const tiers = rows.map(row => {
+      const saved = existing.find(t => t.id === row.id);
+      return {
+        id: row.id,
+        multiplier: parseFloat(row.multiplier),
+        sharePercent: parseFloat(row.sharePercent),
+        triggered: saved?.triggered || false,
+        triggeredDate: saved?.triggeredDate || null,
+        triggeredResolved: saved?.triggeredResolved || false,
+        umExecutedDate: saved?.umExecutedDate || null
+      };
+    });
+    if (tiers.some(t => !(t.multiplier > 0) || !(t.sharePercent > 0))) { alert('Each UM level needs a multiplier and a share of the position'); return null; }
+    if (tiers.length > 0 && Math.abs(tiers.reduce((sum, t) => sum + t.sharePercent, 0) - 100) > 0.5) { alert('UM levels must add up to 100% of the position'); return null; }
+    return tiers;
+  };
+
+  // Form rows to saved alert rules; null (after alerting) if a threshold is missing
+  const parseAlertRules = (rows) => {
+    const rules = rows.map(row => {
+      const rule = { id: row.id, type: row.type };
+      Object.keys(ALERT_RULES[row.type].params).forEach(name => { rule[name] = parseFloat(row[name]); });
+      return rule;
+    });
+    if (rules.some(rule => Object.keys(ALERT_RULES[rule.type].params).some(name => !(rule[name] > 0)))) { alert('Each alert rule needs a threshold above zero'); return null; }
+    return rules;
+  };
+
+  // Settings form values to a saved eligibility policy, with a new version
+  // when the terms changed. Returns null (after alerting) when a value is invalid.
+  const parseEligibilityPolicy = (form) => {
+    const policy = {
+      minGainPercent: parseFloat(form.minGainPercent),
+      minHoldingDays: parseInt(form.minHoldingDays, 10) || null,
+      allowOverride: Boolean(form.allowOverride)
+    };
+    if (!(policy.minGainPercent >= 0)) { alert('The minimum gain must be zero or more'); return null; }
+    if (policy.minHoldingDays !== null && policy.minHoldingDays < 0) { alert('The holding period cannot be negative'); return null; }
+    if (sameTerms(policy, savedPolicy)) return savedPolicy;
+    return { ...policy, version: savedPolicy.version + 1, updatedAt: new Date().toISOString().split('T')[0] };
+  };
+
+  // What the add form's position is missing under the saved policy
+  const draftProblems = () => eligibilityProblems({
+    entryPrice: parseFloat(newStock.entryPrice),
+    currentPrice: parseFloat(newStock.currentPrice),
+    purchaseDate: newStock.purchaseDate || null
+  }, savedPolicy, new Date().toISOString().split('T')[0]);
+
+  // Save the portfolio, recording what changed since the last save as an event
+  const saveChange = async (action, portfolio) => {
+    const event = portfolioEvent(action, savedPortfolio.current, portfolio);
+    await savePortfolio(user.uid, portfolio, event.changes.length > 0 ? event : null);
+  };
+
+  // Reverse an event's changes on top of the portfolio as it is now
+  const undoEvent = async (event) => {
+    if (!user) return;
+    const current = savedPortfolio.current;
+    const reverted = revertEvent(current, event);
+    setStocks(reverted.stocks);
+    setArchivedStocks(reverted.archivedStocks);
+    setWatchlist(reverted.watchlist);
+    setEmailPreferences(reverted.emailPreferences);
+    await savePortfolio(user.uid, reverted, portfolioEvent(`Undo: ${event.action}`, current, reverted, { undoOf: event.id }));
+  };
+
+  // A listing's last close, name, recent high and suggested volatility from
+  // the last ~100 sessions, cached per listing. Null when the provider has no
+  // data for it; throws on errors such as RATE_LIMIT. `splitsUnavailable`
+  // is set when the closes couldn't be checked against the split history.
+  const lookupListing = async ({ symbol, exchange }) => {
+    const listing = { symbol: symbol.toUpperCase(), exchange };
+    const cacheKey = listingKey(listing);
+    if (stockCache[cacheKey]) return stockCache[cacheKey];
+
+    // Crypto trades every day; stocks 5 days a week plus a margin for holidays
+    const lookbackDays = isCrypto(listing) ? LOOKUP_SESSIONS : Math.ceil(LOOKUP_SESSIONS * 7 / 5) + 10;
+    const to = new Date().toISOString().split('T')[0];
+    const from = new Date(Date.now() - lookbackDays * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+    const candleResult = await priceClient.getDailyCandles(listing, from, to);
+    if (!candleResult || candleResult.data.length === 0) return null;
+
+    let splits = [];
+    let splitsUnavailable = false;
+    try {
+      const splitResult = await priceClient.getSplits(listing, from, to);
+      if (splitResult) splits = splitResult.data;
+    } catch (e) {
+      splitsUnavailable = true;
+    }
+    const candles = adjustCandlesForSplits(candleResult.data, splits);
+
+    let companyName = listing.symbol;
+    try {
+      const profileResult = await priceClient.getProfile(listing);
+      if (profileResult) companyName = profileResult.data.name;
+    } catch (e) {}
+
+    let highestClose = 0;
+    let highestCloseDate = to;
+    for (const candle of candles) {
+      if (candle.close > highestClose) { highestClose = candle.close; highestCloseDate = candle.date; }
+    }
+    const info = { price: candles[candles.length - 1].close, companyName, highestClose, highestCloseDate, volatilityEstimate: estimateTypicalVolatility(candles), candles, splitsUnavailable };
+    setStockCache(prev => ({ ...prev, [cacheKey]: info }));
+    return info;
   };
 
   const fetchStockInfo = async () => {
@@ -82,103 +315,16 @@ export default function App() {
       return;
     }
 
-    const symbolUpper = newStock.symbol.toUpperCase();
-    const FINNHUB_KEY = 'd62dqcpr01qlugepll2gd62dqcpr01qlugepll30';
-    const ALPHA_VANTAGE_KEY = 'YIL96BCWV46JKXBR';
-    
-    if (stockCache[symbolUpper]) {
-      const cached = stockCache[symbolUpper];
-      setNewStock(prev => ({
-        ...prev,
-        currentPrice: cached.price.toFixed(2),
-        companyName: cached.companyName,
-        highestClose: cached.highestClose.toFixed(2),
-        highestCloseDate: cached.highestCloseDate
-      }));
-      return;
-    }
-
     setIsFetching(true);
 
     try {
-      let companyName = symbolUpper;
-      
-      try {
-        const profileResponse = await fetch(
-          `https://finnhub.io/api/v1/stock/profile2?symbol=${symbolUpper}&token=${FINNHUB_KEY}`
-        );
-        const profileData = await profileResponse.json();
-        if (profileData && profileData.name) {
-          companyName = profileData.name;
-        }
-      } catch (e) {}
-
-      let latestPrice = null;
-      let highestClose = 0;
-      let highestCloseDate = new Date().toISOString().split('T')[0];
-      let dataSource = null;
-      
-      const now = Math.floor(Date.now() / 1000);
-      const hundredDaysAgo = now - (100 * 24 * 60 * 60);
-      
-      try {
-        const candleResponse = await fetch(
-          `https://finnhub.io/api/v1/stock/candle?symbol=${symbolUpper}&resolution=D&from=${hundredDaysAgo}&to=${now}&token=${FINNHUB_KEY}`
-        );
-        const candleData = await candleResponse.json();
-
-        if (candleData.s === 'ok' && candleData.c && candleData.c.length > 0) {
-          const closePrices = candleData.c;
-          const timestamps = candleData.t;
-          latestPrice = closePrices[closePrices.length - 1];
-          for (let i = 0; i < closePrices.length; i++) {
-            if (closePrices[i] > highestClose) {
-              highestClose = closePrices[i];
-              highestCloseDate = new Date(timestamps[i] * 1000).toISOString().split('T')[0];
-            }
-          }
-          dataSource = 'finnhub';
-        }
-      } catch (e) {}
-
-      if (!latestPrice) {
-        const response = await fetch(
-          `https://www.alphavantage.co/query?function=TIME_SERIES_DAILY&symbol=${symbolUpper}&outputsize=compact&apikey=${ALPHA_VANTAGE_KEY}`
-        );
-        const data = await response.json();
-
-        if (data['Note']) { alert('API call limit reached. Please wait a minute and try again.'); setIsFetching(false); return; }
-        if (data['Error Message'] || !data['Time Series (Daily)']) { alert('Unable to fetch data. Please check the symbol and try again.'); setIsFetching(false); return; }
-
-        const timeSeries = data['Time Series (Daily)'];
-        const dates = Object.keys(timeSeries);
-        latestPrice = parseFloat(timeSeries[dates[0]]['4. close']);
-        for (const date of dates) {
-          const closePrice = parseFloat(timeSeries[date]['4. close']);
-          if (closePrice > highestClose) { highestClose = closePrice; highestCloseDate = date; }
-        }
-        dataSource = 'alphavantage';
-        
-        if (companyName === symbolUpper) {
-          try {
-            const searchResponse = await fetch(`https://www.alphavantage.co/query?function=SYMBOL_SEARCH&keywords=${symbolUpper}&apikey=${ALPHA_VANTAGE_KEY}`);
-            const searchData = await searchResponse.json();
-            if (searchData['bestMatches'] && searchData['bestMatches'].length > 0) {
-              const exactMatch = searchData['bestMatches'].find(m => m['1. symbol'].toUpperCase() === symbolUpper);
-              if (exactMatch) companyName = exactMatch['2. name'];
-              else if (searchData['bestMatches'][0]) companyName = searchData['bestMatches'][0]['2. name'];
-            }
-          } catch (e) {}
-        }
-      }
-
-      if (!latestPrice) { alert('Unable to fetch data. Please check the symbol and try again.'); setIsFetching(false); return; }
-
-      setStockCache(prev => ({ ...prev, [symbolUpper]: { price: latestPrice, companyName, highestClose, highestCloseDate } }));
-      setNewStock(prev => ({ ...prev, currentPrice: latestPrice.toFixed(2), companyName, highestClose: highestClose.toFixed(2), highestCloseDate }));
-
+      const info = await lookupListing({ symbol: newStock.symbol, exchange: newStock.exchange });
+      if (!info) alert('Unable to fetch data. Please check the symbol and try again.');
+      else setNewStock(prev => ({ ...prev, currentPrice: info.price.toFixed(2), companyName: info.companyName, highestClose: info.highestClose.toFixed(2), highestCloseDate: info.highestCloseDate, volatilityEstimate: info.volatilityEstimate }));
+      if (info?.splitsUnavailable) alert(`Couldn't check ${newStock.symbol.toUpperCase()} for recent splits. The closes, highest close and suggested volatility aren't split-adjusted, so check them before saving.`);
     } catch (error) {
-      alert('Error fetching stock info. Please try again.');
+      if (error.code === 'RATE_LIMIT') alert('API call limit reached. Please wait a minute and try again.');
+      else alert('Error fetching stock info. Please try again.');
     }
 
     setIsFetching(false);
@@ -186,25 +332,49 @@ export default function App() {
 
   const addStock = async () => {
     if (!user) { alert('Please sign in to add stocks'); return; }
-    if (!newStock.symbol || !newStock.entryPrice || !newStock.currentPrice || !newStock.typicalVolatility) { alert('Please fill in all required fields'); return; }
+    const usesVolatility = newStock.stopModel.type === 'volatility';
+    if (!newStock.symbol || !newStock.entryPrice || !newStock.currentPrice || (usesVolatility && !newStock.typicalVolatility)) { alert('Please fill in all required fields'); return; }
 
     const entry = parseFloat(newStock.entryPrice);
     const current = parseFloat(newStock.currentPrice);
     const highest = parseFloat(newStock.highestClose) || current;
+    const shares = parseFloat(newStock.shares);
+    const today = new Date().toISOString().split('T')[0];
     
-    if (current < entry * 2) { alert('Stock must be up at least 100% (doubled) to set an Upside Maximizer'); return; }
+    const problems = draftProblems();
+    const overrideReason = problems.length > 0 && savedPolicy.allowOverride ? newStock.overrideReason.trim() : '';
+    if (problems.length > 0 && !overrideReason) {
+      const hint = savedPolicy.allowOverride ? ' (or enter an override reason to add it anyway)' : '';
+      if (window.confirm(`Not eligible for an Upside Maximizer: ${problems.join('; ')}.\n\nAdd it to the watchlist instead${hint}?`)) await addToWatchlist();
+      return;
+    }
+
+    const tiers = supportsTiers(newStock) ? parseTierPlan(newStock.tiers) : [];
+    if (tiers === null) return;
 
     const stock = {
       id: Date.now(),
       symbol: newStock.symbol.toUpperCase(),
+      assetType: newStock.assetType,
+      exchange: newStock.exchange,
+      currency: newStock.currency || EXCHANGES[newStock.exchange].currency,
       companyName: newStock.companyName || newStock.symbol.toUpperCase(),
       entryPrice: entry,
       currentPrice: current,
       highestClose: highest,
-      highestCloseDate: newStock.highestCloseDate || new Date().toISOString().split('T')[0],
+      highestCloseDate: newStock.highestCloseDate || today,
       volatilityMultiplier: parseFloat(newStock.volatilityMultiplier),
-      typicalVolatility: parseFloat(newStock.typicalVolatility),
-      dateAdded: new Date().toISOString().split('T')[0],
+      typicalVolatility: parseFloat(newStock.typicalVolatility) || null,
+      volatilityEstimate: newStock.volatilityEstimate || null,
+      stopModel: newStock.stopModel,
+      tiers,
+      indicators: draftStock().indicators,
+      dateAdded: today,
+      purchaseDate: newStock.purchaseDate || null,
+      eligibility: admissionRecord(savedPolicy, today, overrideReason || null),
+      lots: shares > 0 ? [{ id: Date.now(), date: newStock.purchaseDate || today, shares, price: entry }] : [],
+      sales: [],
+      lastProcessedDate: stockCache[listingKey(newStock)]?.candles?.slice(-1)[0]?.date || null,
       triggered: false,
       triggeredResolved: false,
       umExecutedDate: null,
@@ -213,33 +383,231 @@ export default function App() {
 
     const updatedStocks = [...stocks, stock];
     setStocks(updatedStocks);
-    await savePortfolio(user.uid, { stocks: updatedStocks, alerts, emailPreferences, archivedStocks });
-    setNewStock({ symbol: '', companyName: '', entryPrice: '', currentPrice: '', highestClose: '', highestCloseDate: '', volatilityMultiplier: 2.0, typicalVolatility: '', note: '' });
+    await saveChange('Added position', { stocks: updatedStocks, emailPreferences, archivedStocks, watchlist });
+    setNewStock(EMPTY_NEW_STOCK);
+  };
+
+  // A candidate that isn't eligible yet; the nightly update keeps its close current
+  const addToWatchlist = async () => {
+    if (!user) { alert('Please sign in to add stocks'); return; }
+    if (!newStock.symbol || !newStock.entryPrice || !newStock.currentPrice) { alert('Please enter a symbol, your entry price and the last close'); return; }
+
+    const current = parseFloat(newStock.currentPrice);
+    const shares = parseFloat(newStock.shares);
+    const today = new Date().toISOString().split('T')[0];
+    const item = {
+      id: Date.now(),
+      symbol: newStock.symbol.toUpperCase(),
+      assetType: newStock.assetType,
+      exchange: newStock.exchange,
+      currency: newStock.currency || EXCHANGES[newStock.exchange].currency,
+      companyName: newStock.companyName || newStock.symbol.toUpperCase(),
+      entryPrice: parseFloat(newStock.entryPrice),
+      shares: shares > 0 ? shares : null,
+      purchaseDate: newStock.purchaseDate || null,
+      currentPrice: current,
+      highestClose: parseFloat(newStock.highestClose) || current,
+      highestCloseDate: newStock.highestCloseDate || today,
+      targetPrice: null,
+      volatilityEstimate: newStock.volatilityEstimate || null,
+      dateAdded: today,
+      lastProcessedDate: stockCache[listingKey(newStock)]?.candles?.slice(-1)[0]?.date || null,
+      eligibleDate: null,
+      note: newStock.note || ''
+    };
+    // Already eligible: nothing to notify, it can be promoted straight away
+    if (isEligible(item, savedPolicy, today)) item.eligibleDate = today;
+
+    const updatedWatchlist = [...watchlist, item];
+    setWatchlist(updatedWatchlist);
+    await saveChange('Added to watchlist', { stocks, emailPreferences, archivedStocks, watchlist: updatedWatchlist });
+    setNewStock(EMPTY_NEW_STOCK);
   };
 
-  const updateStockPrice = async (id, newPrice) => {
+  // One click from an eligible candidate to a volatility-based UM position
+  const promoteWatchItem = async (item) => {
     if (!user) return;
-    const price = parseFloat(newPrice);
-    if (isNaN(price) || price <= 0) return;
+    let typicalVolatility = item.volatilityEstimate?.value;
+    if (!typicalVolatility) {
+      typicalVolatility = parseFloat(window.prompt(`No suggested volatility for ${item.symbol} yet. Typical volatility (%):`, ''));
+      if (!(typicalVolatility > 0)) return;
+    }
 
-    const updatedStocks = stocks.map(stock => {
-      if (stock.id !== id) return stock;
-      const isNewHigh = price > stock.highestClose;
-      const newHighest = Math.max(stock.highestClose, price);
-      const newHighestDate = isNewHigh ? new Date().toISOString().split('T')[0] : stock.highestCloseDate;
-      const stopLoss = calculateStopLoss(newHighest, stock.typicalVolatility, stock.volatilityMultiplier);
-
-      if (price <= stopLoss && !stock.triggered) {
-        const alert = { id: Date.now(), symbol: stock.symbol, message: `${stock.symbol} triggered at $${price.toFixed(2)} (UM Price: $${stopLoss.toFixed(2)})`, time: new Date().toISOString() };
-        const updatedAlerts = [alert, ...alerts];
-        setAlerts(updatedAlerts);
-        return { ...stock, currentPrice: price, highestClose: newHighest, highestCloseDate: newHighestDate, triggered: true };
+    const today = new Date().toISOString().split('T')[0];
+    const highest = Math.max(item.highestClose || 0, item.currentPrice);
+    const stock = {
+      id: Date.now(),
+      symbol: item.symbol,
+      assetType: item.assetType,
+      exchange: item.exchange,
+      currency: item.currency,
+      companyName: item.companyName,
+      entryPrice: item.entryPrice,
+      currentPrice: item.currentPrice,
+      highestClose: highest,
+      highestCloseDate: highest === item.highestClose ? item.highestCloseDate : item.lastProcessedDate || today,
+      volatilityMultiplier: EMPTY_NEW_STOCK.volatilityMultiplier,
+      typicalVolatility,
+      volatilityEstimate: item.volatilityEstimate || null,
+      stopModel: { type: 'volatility' },
+      tiers: [],
+      indicators: null,
+      dateAdded: today,
+      purchaseDate: item.purchaseDate || null,
+      eligibility: admissionRecord(savedPolicy, today),
+      lots: item.shares > 0 ? [{ id: Date.now(), date: item.purchaseDate || item.dateAdded, shares: item.shares, price: item.entryPrice }] : [],
+      sales: [],
+      lastProcessedDate: item.lastProcessedDate || null,
+      triggered: false,
+      triggeredResolved: false,
+      umExecutedDate: null,
+      note: item.note || ''
+    };
+
+    const updatedStocks = [...stocks, stock];
+    const updatedWatchlist = watchlist.filter(w => w.id !== item.id);
+    setStocks(updatedStocks);
+    setWatchlist(updatedWatchlist);
+    await saveChange('Promoted from watchlist', { stocks: updatedStocks, emailPreferences, archivedStocks, watchlist: updatedWatchlist });
+  };
+
+  const removeWatchItem = async (id) => {
+    if (!user) return;
+    const updatedWatchlist = watchlist.filter(item => item.id !== id);
+    setWatchlist(updatedWatchlist);
+    await saveChange('Removed from watchlist', { stocks, emailPreferences, archivedStocks, watchlist: updatedWatchlist });
+  };
+
+  const saveWatchTarget = async (id, targetPrice) => {
+    if (!user) return;
+    const updatedWatchlist = watchlist.map(item => item.id === id ? { ...item, targetPrice } : item);
+    setWatchlist(updatedWatchlist);
+    await saveChange('Changed watchlist target', { stocks, emailPreferences, archivedStocks, watchlist: updatedWatchlist });
+  };
+
+  // Apply the reviewed rows of an import in one save. `overrideReason` admits
+  // the added positions that miss the eligibility policy.
+  const importPositions = async (rows, overrideReason) => {
+    if (!user) return;
+    const today = new Date().toISOString().split('T')[0];
+    let updatedStocks = [...stocks];
+    let updatedWatchlist = [...watchlist];
+
+    rows.forEach(({ record, lookup, existing, watched, problems, action }, i) => {
+      const id = Date.now() + i;
+      const highest = Math.max(lookup.highestClose, lookup.price);
+      const lastProcessedDate = lookup.candles?.slice(-1)[0]?.date || null;
+      const lot = record.shares > 0 ? [{ id, date: record.purchaseDate || today, shares: record.shares, price: record.entryPrice }] : [];
+
+      if (action === 'update') {
+        updatedStocks = updatedStocks.map(stock => stock.id === existing.id ? {
+          ...stock,
+          entryPrice: record.entryPrice,
+          purchaseDate: record.purchaseDate || stock.purchaseDate || null,
+          // A position bought in several lots keeps them; planImport only lets its entry price change
+          lots: record.shares > 0 && (stock.lots || []).length <= 1 ? lot : stock.lots
+        } : stock);
+      } else if (action === 'watch') {
+        updatedWatchlist.push({
+          id,
+          symbol: record.symbol,
+          assetType: record.assetType,
+          exchange: record.exchange,
+          currency: record.currency,
+          companyName: lookup.companyName,
+          entryPrice: record.entryPrice,
+          shares: record.shares > 0 ? record.shares : null,
+          purchaseDate: record.purchaseDate,
+          currentPrice: lookup.price,
+          highestClose: highest,
+          highestCloseDate: lookup.highestCloseDate,
+          targetPrice: null,
+          volatilityEstimate: lookup.volatilityEstimate || null,
+          dateAdded: today,
+          lastProcessedDate,
+          eligibleDate: null,
+          note: record.note || ''
+        });
+      } else if (action === 'add') {
+        updatedStocks.push({
+          id,
+          symbol: record.symbol,
+          assetType: record.assetType,
+          exchange: record.exchange,
+          currency: record.currency,
+          companyName: lookup.companyName,
+          entryPrice: record.entryPrice,
+          currentPrice: lookup.price,
+          highestClose: highest,
+          highestCloseDate: lookup.highestCloseDate,
+          volatilityMultiplier: record.volatilityMultiplier || EMPTY_NEW_STOCK.volatilityMultiplier,
+          typicalVolatility: record.typicalVolatility || lookup.volatilityEstimate.value,
+          volatilityEstimate: lookup.volatilityEstimate || null,
+          stopModel: { type: 'volatility' },
+          tiers: [],
+          indicators: null,
+          dateAdded: today,
+          purchaseDate: record.purchaseDate,
+          eligibility: admissionRecord(savedPolicy, today, problems.length > 0 ? overrideReason : null),
+          lots: lot,
+          sales: [],
+          lastProcessedDate,
+          triggered: false,
+          triggeredResolved: false,
+          umExecutedDate: null,
+          note: record.note || ''
+        });
+        if (watched) updatedWatchlist = updatedWatchlist.filter(item => item.id !== watched.id);
       }
-      return { ...stock, currentPrice: price, highestClose: newHighest, highestCloseDate: newHighestDate };
     });
 
     setStocks(updatedStocks);
-    await savePortfolio(user.uid, { stocks: updatedStocks, alerts, emailPreferences, archivedStocks });
+    setWatchlist(updatedWatchlist);
+    await saveChange('Imported positions', { stocks: updatedStocks, emailPreferences, archivedStocks, watchlist: updatedWatchlist });
+  };
+
+  // Put back a backup read by readBackup: the whole portfolio document, then its alerts
+  const restoreBackup = async ({ portfolio, alerts }) => {
+    if (!user) return;
+    setStocks(portfolio.stocks);
+    setArchivedStocks(portfolio.archivedStocks);
+    setWatchlist(portfolio.watchlist);
+    setEmailPreferences(portfolio.emailPreferences);
+    await saveChange('Restored backup', portfolio);
+    await restoreAlerts(user.uid, alerts);
+  };
+
+  // Triggers are evaluated by the updater, which applies manual closes within the hour
+  // The newest session a manual close can be entered for: one that has closed
+  const lastClosedSession = (stock) => (isCrypto(stock) ? latestCryptoSession(new Date(), CRYPTO_CLOSE_HOUR_UTC) : latestSession());
+
+  const recordManualClose = async (id) => {
+    if (!user) return;
+    const close = parseFloat(manualCloseForm.close);
+    if (isNaN(close) || close <= 0) { alert('Please enter a valid closing price'); return; }
+    if (!manualCloseForm.date) { alert('Please enter the session date'); return; }
+    const stock = stocks.find(s => s.id === id);
+    if (!isCrypto(stock) && !isTradingDay(manualCloseForm.date)) {
+      alert(`${manualCloseForm.date} is not a trading day (${holidayName(manualCloseForm.date) || 'weekend'}).`);
+      return;
+    }
+    const latest = lastClosedSession(stock);
+    if (manualCloseForm.date > latest) {
+      alert(`The session on ${manualCloseForm.date} hasn't closed yet. The latest closed session is ${latest}.`);
+      return;
+    }
+    if (stock.lastProcessedDate && manualCloseForm.date <= stock.lastProcessedDate) {
+      alert(`The close for ${stock.lastProcessedDate} has already been applied. Enter a later session.`);
+      return;
+    }
+
+    const updatedStocks = stocks.map(s => s.id !== id ? s : {
+      ...s,
+      manualCloses: [...(s.manualCloses || []).filter(entry => entry.date !== manualCloseForm.date), { date: manualCloseForm.date, close, enteredAt: new Date().toISOString() }]
+    });
+    setStocks(updatedStocks);
+    setManualCloseStockId(null);
+    await saveChange('Entered manual close', { stocks: updatedStocks, emailPreferences, archivedStocks, watchlist });
   };
 
   const resolveTriggered = async (id) => {
@@ -250,7 +618,7 @@ export default function App() {
       return { ...stock, triggered: false, triggeredResolved: true, umExecutedDate: today };
     });
     setStocks(updatedStocks);
-    await savePortfolio(user.uid, { stocks: updatedStocks, alerts, emailPreferences, archivedStocks });
+    await saveChange('Marked UM executed', { stocks: updatedStocks, emailPreferences, archivedStocks, watchlist });
   };
 
   const saveExecutedDate = async (id, newDate) => {
@@ -262,9 +630,21 @@ export default function App() {
     setStocks(updatedStocks);
     setEditingExecutedDateId(null);
     setEditingExecutedDate('');
-    await savePortfolio(user.uid, { stocks: updatedStocks, alerts, emailPreferences, archivedStocks });
+    await saveChange('Changed UM executed date', { stocks: updatedStocks, emailPreferences, archivedStocks, watchlist });
   };
 
+  const updateTier = async (stockId, tierId, changes) => {
+    if (!user) return;
+    const updatedStocks = stocks.map(stock => {
+      if (stock.id !== stockId) return stock;
+      return { ...stock, tiers: stock.tiers.map(tier => tier.id === tierId ? { ...tier, ...changes } : tier) };
+    });
+    setStocks(updatedStocks);
+    await saveChange('Updated UM level', { stocks: updatedStocks, emailPreferences, archivedStocks, watchlist });
+  };
+
+  const resolveTier = (stockId, tierId) => updateTier(stockId, tierId, { triggered: false, triggeredResolved: true, umExecutedDate: new Date().toISOString().split('T')[0] });
+
   const closePosition = async (id) => {
     if (!user) return;
     const stock = stocks.find(s => s.id === id);
@@ -274,8 +654,15 @@ export default function App() {
     const closeDate = closeForm.closeDate || new Date().toISOString().split('T')[0];
     const totalGain = ((closePrice - stock.entryPrice) / stock.entryPrice * 100).toFixed(1);
 
+    // Book the remaining shares as a final sale so realized gain covers the whole position
+    const held = sharesHeld(stock);
+    const sales = held > 0
+      ? [...(stock.sales || []), { id: Date.now(), date: closeDate, shares: held, price: closePrice, note: 'Closed position', closing: true }]
+      : stock.sales;
+
     const archivedStock = {
       ...stock,
+      ...(hasLots(stock) ? { sales } : {}),
       closePrice,
       closeDate,
       closeNote: closeForm.note || '',
@@ -291,34 +678,96 @@ export default function App() {
     setClosingStockId(null);
     setCloseForm({ closePrice: '', closeDate: '', note: '' });
 
-    await savePortfolio(user.uid, { stocks: updatedStocks, alerts, emailPreferences, archivedStocks: updatedArchive });
+    await saveChange('Closed position', { stocks: updatedStocks, emailPreferences, archivedStocks: updatedArchive, watchlist });
+  };
+
+  const resetScaleOutForm = () => {
+    setScalingStockId(null);
+    setScaleOutForm({ shares: '', sharesHeld: '', price: '', date: '', note: '', volatilityMultiplier: '', resetHigh: false, markExecuted: false });
+  };
+
+  // Sell part of a position and keep the remainder active
+  const scaleOutPosition = async (id) => {
+    if (!user) return;
+    const stock = stocks.find(s => s.id === id);
+    if (!stock) return;
+
+    const shares = parseFloat(scaleOutForm.shares);
+    const price = parseFloat(scaleOutForm.price) || stock.currentPrice;
+    const date = scaleOutForm.date || new Date().toISOString().split('T')[0];
+
+    // Positions added without shares need a starting lot before they can be split
+    const lots = hasLots(stock)
+      ? stock.lots
+      : [{ id: Date.now() - 1, date: stock.dateAdded, shares: parseFloat(scaleOutForm.sharesHeld), price: stock.entryPrice }];
+    const held = sharesHeld({ ...stock, lots });
+
+    if (!(held > 0)) { alert('Please enter how many shares you held before this sale'); return; }
+    if (!(shares > 0)) { alert('Please enter the number of shares sold'); return; }
+    if (shares >= held) { alert('To sell the whole position, use Close instead'); return; }
+
+    const multiplier = parseFloat(scaleOutForm.volatilityMultiplier);
+    const executed = { triggered: false, triggeredResolved: true, umExecutedDate: date };
+    const updatedStock = {
+      ...(multiplier > 0 && !hasTiers(stock) ? withMultiplier(stock, multiplier) : stock),
+      lots,
+      sales: [...(stock.sales || []), { id: Date.now(), date, shares, price, note: scaleOutForm.note || '' }],
+      ...(scaleOutForm.resetHigh ? { highestClose: stock.currentPrice, highestCloseDate: date } : {}),
+      ...(scaleOutForm.markExecuted && !hasTiers(stock) ? executed : {}),
+      // Selling a triggered level's shares executes that level
+      ...(scaleOutForm.markExecuted && hasTiers(stock) ? { tiers: stock.tiers.map(tier => tier.triggered ? { ...tier, ...executed } : tier) } : {})
+    };
+
+    const updatedStocks = stocks.map(s => s.id === id ? updatedStock : s);
+    setStocks(updatedStocks);
+    resetScaleOutForm();
+    await saveChange('Scaled out', { stocks: updatedStocks, emailPreferences, archivedStocks, watchlist });
   };
 
   const deleteStock = async (id) => {
     if (!user) return;
+    const stock = stocks.find(s => s.id === id);
+    if (!window.confirm(`Delete ${stock.symbol} without archiving it? You can undo this from the change history.`)) return;
     const updatedStocks = stocks.filter(stock => stock.id !== id);
     setStocks(updatedStocks);
-    await savePortfolio(user.uid, { stocks: updatedStocks, alerts, emailPreferences, archivedStocks });
+    await saveChange('Deleted position', { stocks: updatedStocks, emailPreferences, archivedStocks, watchlist });
   };
 
   const deleteArchivedStock = async (id) => {
     if (!user) return;
+    const stock = archivedStocks.find(s => s.id === id);
+    if (!window.confirm(`Delete closed position ${stock.symbol}? Its outcome leaves the archive analytics. You can undo this from the change history.`)) return;
     const updatedArchive = archivedStocks.filter(s => s.id !== id);
     setArchivedStocks(updatedArchive);
-    await savePortfolio(user.uid, { stocks, alerts, emailPreferences, archivedStocks: updatedArchive });
+    await saveChange('Deleted closed position', { stocks, emailPreferences, archivedStocks: updatedArchive, watchlist });
   };
 
   const handleLogOut = async () => {
     try {
       await logOut();
-      setStocks([]); setAlerts([]); setLastUpdate(null); setArchivedStocks([]);
+      setStocks([]); setLastUpdate(null); setArchivedStocks([]); setWatchlist([]);
     } catch (error) {}
   };
 
   const saveEmailPreferences = async (newPrefs) => {
     if (!user) return;
     setEmailPreferences(newPrefs);
-    await savePortfolio(user.uid, { stocks, alerts, emailPreferences: newPrefs, archivedStocks });
+    await saveChange('Changed settings', { stocks, emailPreferences: newPrefs, archivedStocks, watchlist });
+  };
+
+  const saveAlertRules = async (stockId) => {
+    if (!user) return;
+    const alertRules = parseAlertRules(editingRules);
+    if (alertRules === null) return;
+    const updatedStocks = stocks.map(stock => stock.id === stockId ? { ...stock, alertRules } : stock);
+    setStocks(updatedStocks);
+    setAlertRulesStockId(null);
+    await saveChange('Changed alert rules', { stocks: updatedStocks, emailPreferences, archivedStocks, watchlist });
+  };
+
+  // From an alert to its position or watchlist card
+  const showPosition = (stockId) => {
+    (document.getElementById(`position-${stockId}`) || document.getElementById(`watch-${stockId}`))?.scrollIntoView({ behavior: 'smooth', block: 'start' });
   };
 
   const saveNote = async (stockId, newNote) => {
@@ -327,20 +776,135 @@ export default function App() {
     setStocks(updatedStocks);
     setEditingNoteId(null);
     setEditingNoteText('');
-    await savePortfolio(user.uid, { stocks: updatedStocks, alerts, emailPreferences, archivedStocks });
+    await saveChange('Changed note', { stocks: updatedStocks, emailPreferences, archivedStocks, watchlist });
   };
 
   const saveUMSettings = async (stockId) => {
     if (!user) return;
-    const updatedStocks = stocks.map(stock => stock.id === stockId ? { ...stock, typicalVolatility: parseFloat(editingUM.typicalVolatility), volatilityMultiplier: parseFloat(editingUM.volatilityMultiplier) } : stock);
+    const current = stocks.find(s => s.id === stockId);
+    const tiers = supportsTiers(editingUM) ? parseTierPlan(editingUM.tiers, current?.tiers) : (current?.tiers || []);
+    if (tiers === null) return;
+    const updatedStocks = stocks.map(stock => stock.id === stockId ? { ...stock, typicalVolatility: parseFloat(editingUM.typicalVolatility) || null, volatilityMultiplier: parseFloat(editingUM.volatilityMultiplier), stopModel: editingUM.stopModel, tiers } : stock);
     setStocks(updatedStocks);
     setEditingUMId(null);
-    setEditingUM({ typicalVolatility: '', volatilityMultiplier: '' });
-    await savePortfolio(user.uid, { stocks: updatedStocks, alerts, emailPreferences, archivedStocks });
+    setEditingUM({ typicalVolatility: '', volatilityMultiplier: '', stopModel: null, tiers: [] });
+    await saveChange('Changed UM settings', { stocks: updatedStocks, emailPreferences, archivedStocks, watchlist });
+  };
+
+  // Confirm an unreported split flagged by the nightly updater. The last
+  // close is already post-split, so only entry and highest close rescale.
+  // The next update evaluates the sessions held since the split again.
+  const applySuspectedSplit = async (id) => {
+    if (!user) return;
+    const updatedStocks = stocks.map(stock => {
+      if (stock.id !== id || !stock.splitSuspected) return stock;
+      const { date, ratio, previousClose } = stock.splitSuspected;
+      return {
+        ...stock,
+        ...(hasLots(stock) ? applySplitToLots(stock, { date, ratio }) : {}),
+        entryPrice: stock.entryPrice / ratio,
+        highestClose: Math.max(stock.highestClose / ratio, stock.currentPrice),
+        splits: [...(stock.splits || []), { date, ratio }],
+        splitSuspected: null,
+        replay: { from: date, previousClose: previousClose ? previousClose / ratio : null }
+      };
+    });
+    setStocks(updatedStocks);
+    await saveChange('Applied split', { stocks: updatedStocks, emailPreferences, archivedStocks, watchlist });
+  };
+
+  // A real drop: the next update evaluates the held sessions from the drop on
+  const dismissSuspectedSplit = async (id) => {
+    if (!user) return;
+    const updatedStocks = stocks.map(stock => {
+      if (stock.id !== id || !stock.splitSuspected) return stock;
+      const { date, previousClose } = stock.splitSuspected;
+      return {
+        ...stock,
+        splitSuspected: null,
+        dismissedSplits: [...(stock.dismissedSplits || []), date],
+        replay: { from: date, previousClose: previousClose ?? null }
+      };
+    });
+    setStocks(updatedStocks);
+    await saveChange('Dismissed split', { stocks: updatedStocks, emailPreferences, archivedStocks, watchlist });
+  };
+
+  // Record a buy lot or a sale; entry price follows the weighted cost basis
+  // A position added before lots existed gets an opening lot at its entry
+  // price first, so the first buy averages in rather than replacing it.
+  const saveLotEntry = async (id, type, entry) => {
+    if (!user) return;
+    const stock = stocks.find(s => s.id === id);
+    if (!stock) return;
+    if (type === 'sell' && entry.shares > (sharesHeld(stock) || 0)) { alert('Cannot sell more shares than are held'); return; }
+
+    let opening = [];
+    if (type === 'buy' && !hasLots(stock) && stock.entryPrice > 0) {
+      const answer = window.prompt(`Shares bought at the original entry price of ${formatPrice(stock.entryPrice, currencyOf(stock))}? Leave empty if this buy is the original entry.`, '');
+      if (answer === null) return;
+      const shares = parseFloat(answer);
+      if (answer.trim() && !(shares > 0)) { alert('Please enter a share count'); return; }
+      if (shares > 0) opening = [{ id: entry.id - 1, date: stock.purchaseDate || stock.dateAdded, shares, price: stock.entryPrice }];
+    }
+
+    const updated = type === 'buy'
+      ? { ...stock, lots: [...opening, ...(stock.lots || []), entry] }
+      : { ...stock, sales: [...(stock.sales || []), entry] };
+    const basis = costBasis(updated);
+    const updatedStocks = stocks.map(s => s.id === id ? { ...updated, entryPrice: basis ?? updated.entryPrice } : s);
+    setStocks(updatedStocks);
+    await saveChange(type === 'buy' ? 'Recorded buy' : 'Recorded sale', { stocks: updatedStocks, emailPreferences, archivedStocks, watchlist });
+  };
+
+  const removeLotEntry = async (id, type, entryId) => {
+    if (!user) return;
+    const key = type === 'buy' ? 'lots' : 'sales';
+    const stock = stocks.find(s => s.id === id);
+    if (!stock) return;
+    const updated = { ...stock, [key]: (stock[key] || []).filter(e => e.id !== entryId) };
+    if ((updated.sales || []).length > 0 && !(sharesHeld(updated) >= 0)) { alert('Cannot remove this buy: the recorded sales would be more shares than were bought. Remove those sales first.'); return; }
+
+    const updatedStocks = stocks.map(s => s.id === id ? { ...updated, entryPrice: costBasis(updated) ?? updated.entryPrice } : s);
+    setStocks(updatedStocks);
+    await saveChange(type === 'buy' ? 'Removed buy' : 'Removed sale', { stocks: updatedStocks, emailPreferences, archivedStocks, watchlist });
+  };
+
+  // Candles for a backtest window, from the provider chain or the saved close history
+  const loadBacktestCandles = async (listing, from, to, source) => {
+    if (source === 'saved') {
+      const history = await getPriceHistory(listingKey(listing));
+      return { candles: history.filter(c => c.date >= from && c.date <= to), source: 'Saved history' };
+    }
+
+    const key = `${listingKey(listing)}:${from}:${to}`;
+    if (candleCache[key]) return candleCache[key];
+
+    const candleResult = await priceClient.getDailyCandles(listing, from, to);
+    if (!candleResult) return null;
+    let splits = [];
+    try {
+      const splitResult = await priceClient.getSplits(listing, from, to);
+      if (splitResult) splits = splitResult.data;
+    } catch (e) {}
+
+    const loaded = { candles: adjustCandlesForSplits(candleResult.data, splits), source: candleResult.source };
+    setCandleCache(prev => ({ ...prev, [key]: loaded }));
+    return loaded;
+  };
+
+  const toggleChart = async (stock) => {
+    if (chartStockId === stock.id) { setChartStockId(null); return; }
+    setChartStockId(stock.id);
+    try {
+      const history = await getPriceHistory(listingKey(stock));
+      setPriceHistory(prev => ({ ...prev, [listingKey(stock)]: history }));
+    } catch (e) {}
   };
 
   const gainPercent = (stock) => ((stock.currentPrice - stock.entryPrice) / stock.entryPrice * 100).toFixed(1);
 
+
   if (loading) {
     return (
       <div className="min-h-screen bg-gradient-to-br from-slate-900 via-slate-800 to-slate-900 flex items-center justify-center">
@@ -357,15 +921,31 @@ export default function App() {
     );
   }
 
+  if (showReport) {
+    return <PortfolioReport stocks={stocks} archivedStocks={archivedStocks} policy={savedPolicy} baseCurrency={emailPreferences.baseCurrency || 'USD'} fx={fxRates} onClose={() => setShowReport(false)} />;
+  }
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-900 via-slate-800 to-slate-900 p-4">
+      {showHistory && (
+        <ChangeHistory userId={user.uid} onUndo={undoEvent} onClose={() => setShowHistory(false)} />
+      )}
+
+      {showExport && (
+        <ExportData userId={user.uid} stocks={stocks} archivedStocks={archivedStocks} watchlist={watchlist} emailPreferences={emailPreferences} onRestore={restoreBackup} onReport={() => { setShowExport(false); setShowReport(true); }} onClose={() => setShowExport(false)} />
+      )}
+
+      {showImport && (
+        <ImportPositions stocks={stocks} watchlist={watchlist} policy={savedPolicy} lookupListing={lookupListing} onImport={importPositions} onClose={() => setShowImport(false)} />
+      )}
+
       {/* Settings Modal */}
       {showSettings && (
         <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
-          <div className="bg-slate-800 rounded-lg p-6 w-full max-w-md border border-slate-700">
+          <div className="bg-slate-800 rounded-lg p-6 w-full max-w-md max-h-[90vh] overflow-y-auto border border-slate-700">
             <div className="flex items-center gap-2 mb-4">
               <Mail className="text-emerald-400" size={24} />
-              <h2 className="text-xl font-bold text-white">Email Notifications</h2>
+              <h2 className="text-xl font-bold text-white">Notifications</h2>
             </div>
             <div className="space-y-4">
               <div>
@@ -379,17 +959,16 @@ export default function App() {
                 />
               </div>
               <div>
-                <label className="block text-sm font-medium text-slate-300 mb-3">Email Frequency</label>
+                <label className="block text-sm font-medium text-slate-300 mb-3">Summary Frequency</label>
                 <div className="space-y-3">
                   {[
-                    { value: 'none', label: 'No Emails', desc: "I'll check the website manually" },
-                    { value: 'daily', label: 'Daily Summary', desc: 'Receive a summary every day after market close, plus trigger alerts' },
-                    { value: 'friday', label: 'Friday Summary', desc: 'Receive a weekly summary on Fridays, plus trigger alerts' },
-                    { value: 'triggerOnly', label: 'Trigger Alerts Only', desc: 'Only email me when a stock hits its UM Execution Price' },
+                    { value: 'none', label: 'No Summaries', desc: 'Alerts still go out on the channels chosen below' },
+                    { value: 'daily', label: 'Daily Summary', desc: 'Receive a summary every day after market close' },
+                    { value: 'friday', label: 'Friday Summary', desc: 'Receive a weekly summary after the last trading day of the week' },
                   ].map(opt => (
                     <label key={opt.value} className="flex items-start gap-3 cursor-pointer">
                       <input type="radio" name="summaryFrequency" value={opt.value}
-                        checked={emailPreferences.summaryFrequency === opt.value}
+                        checked={(emailPreferences.summaryFrequency === 'triggerOnly' ? 'none' : emailPreferences.summaryFrequency) === opt.value}
                         onChange={(e) => setEmailPreferences({...emailPreferences, summaryFrequency: e.target.value})}
                         className="mt-1 w-4 h-4 bg-slate-700 border-slate-600 text-emerald-500 focus:ring-emerald-500"
                       />
@@ -401,10 +980,66 @@ export default function App() {
                   ))}
                 </div>
               </div>
+              <NotificationSettings preferences={emailPreferences} onChange={setEmailPreferences} />
+              <DeliveryHistory userId={user.uid} />
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-2">Intraday Watch</label>
+                <select
+                  value={emailPreferences.intradayWatch || 'off'}
+                  onChange={(e) => setEmailPreferences({...emailPreferences, intradayWatch: e.target.value})}
+                  className="w-full px-4 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white focus:ring-2 focus:ring-emerald-500"
+                >
+                  <option value="off">Off</option>
+                  <option value="flag">Flag breaches on the dashboard</option>
+                  <option value="email">Flag breaches and notify me</option>
+                </select>
+                <p className="text-sm text-slate-400 mt-1">Checks prices every 30 minutes while the market is open. A breach is a warning only; triggers still use the close.</p>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-2">Base Currency</label>
+                <select
+                  value={emailPreferences.baseCurrency || 'USD'}
+                  onChange={(e) => setEmailPreferences({...emailPreferences, baseCurrency: e.target.value})}
+                  className="w-full px-4 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white focus:ring-2 focus:ring-emerald-500"
+                >
+                  {BASE_CURRENCIES.map(code => <option key={code} value={code}>{code} - {CURRENCIES[code].label}</option>)}
+                </select>
+                <p className="text-sm text-slate-400 mt-1">Portfolio totals convert each position from its own currency at the latest daily FX rates.</p>
+              </div>
+              {(() => {
+                const policy = eligibilityPolicy(emailPreferences);
+                const setPolicy = (changes) => setEmailPreferences({...emailPreferences, eligibilityPolicy: {...policy, ...changes}});
+                return (
+                  <div>
+                    <label className="block text-sm font-medium text-slate-300 mb-2">Eligibility Policy</label>
+                    <div className="grid grid-cols-2 gap-3">
+                      <div>
+                        <label className="block text-xs text-slate-400 mb-1">Minimum gain from entry (%)</label>
+                        <input type="number" step="1" min="0" value={policy.minGainPercent} onChange={(e) => setPolicy({ minGainPercent: e.target.value })} className="w-full px-4 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white focus:ring-2 focus:ring-emerald-500" />
+                      </div>
+                      <div>
+                        <label className="block text-xs text-slate-400 mb-1">Minimum holding period (days)</label>
+                        <input type="number" step="1" min="0" value={policy.minHoldingDays || ''} onChange={(e) => setPolicy({ minHoldingDays: e.target.value })} placeholder="None" className="w-full px-4 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white focus:ring-2 focus:ring-emerald-500" />
+                      </div>
+                    </div>
+                    <label className="flex items-center gap-2 mt-2 text-sm text-slate-300 cursor-pointer">
+                      <input type="checkbox" checked={Boolean(policy.allowOverride)} onChange={(e) => setPolicy({ allowOverride: e.target.checked })} className="w-4 h-4 text-emerald-600" />
+                      Allow adding a position that misses the policy, with a reason
+                    </label>
+                    <p className="text-sm text-slate-400 mt-1">
+                      Applied when adding positions and to watchlist candidates. Currently version {savedPolicy.version}{savedPolicy.updatedAt ? `, changed ${savedPolicy.updatedAt}` : ' (the original 100% rule)'}; positions keep the version they were added under.
+                    </p>
+                  </div>
+                );
+              })()}
+              <div>
+                <AlertRuleFields rules={emailPreferences.alertRules || []} onChange={(alertRules) => setEmailPreferences({...emailPreferences, alertRules})} />
+                <p className="text-sm text-slate-400 mt-1">Checked for every position after each close. A rule alerts once when it starts matching, in the Alerts inbox and on your alert channels.</p>
+              </div>
             </div>
             <div className="flex gap-3 mt-6">
               <button onClick={() => setShowSettings(false)} className="flex-1 px-4 py-2 bg-slate-700 text-white rounded-lg hover:bg-slate-600 transition-colors">Cancel</button>
-              <button onClick={() => { saveEmailPreferences(emailPreferences); setShowSettings(false); }} className="flex-1 px-4 py-2 bg-emerald-600 text-white rounded-lg hover:bg-emerald-700 transition-colors">Save</button>
+              <button onClick={() => { const alertRules = parseAlertRules(emailPreferences.alertRules || []); if (alertRules === null) return; const policy = parseEligibilityPolicy(eligibilityPolicy(emailPreferences)); if (policy === null) return; saveEmailPreferences({ ...emailPreferences, alertRules, eligibilityPolicy: policy }); setShowSettings(false); }} className="flex-1 px-4 py-2 bg-emerald-600 text-white rounded-lg hover:bg-emerald-700 transition-colors">Save</button>
             </div>
           </div>
         </div>
@@ -461,6 +1096,72 @@ export default function App() {
         </div>
       )}
 
+      {/* Scale Out Modal */}
+      {scalingStockId && (() => {
+        const scalingStock = stocks.find(s => s.id === scalingStockId);
+        if (!scalingStock) return null;
+        const held = sharesHeld(scalingStock);
+        return (
+          <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+            <div className="bg-slate-800 rounded-lg p-6 w-full max-w-md border border-slate-700">
+              <div className="flex items-center gap-2 mb-4">
+                <Scissors className="text-amber-400" size={24} />
+                <h2 className="text-xl font-bold text-white">Scale Out of {scalingStock.symbol}</h2>
+              </div>
+              <p className="text-slate-400 text-sm mb-4">Record a partial sale. The remaining shares stay active.</p>
+              <div className="space-y-4">
+                {held === null && (
+                  <div>
+                    <label className="block text-sm font-medium text-slate-300 mb-2">Shares Held Before Sale</label>
+                    <input type="number" step="any" min="0" value={scaleOutForm.sharesHeld} onChange={(e) => setScaleOutForm({...scaleOutForm, sharesHeld: e.target.value})} placeholder={`Bought at ${formatPrice(scalingStock.entryPrice, currencyOf(scalingStock))}`} className="w-full px-4 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white focus:ring-2 focus:ring-emerald-500" />
+                  </div>
+                )}
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label className="block text-sm font-medium text-slate-300 mb-2">Shares Sold</label>
+                    <input type="number" step="any" min="0" value={scaleOutForm.shares} onChange={(e) => setScaleOutForm({...scaleOutForm, shares: e.target.value})} placeholder={held !== null ? `of ${held.toLocaleString()}` : ''} className="w-full px-4 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white focus:ring-2 focus:ring-emerald-500" />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-slate-300 mb-2">Sale Price</label>
+                    <input type="number" step="0.01" value={scaleOutForm.price} onChange={(e) => setScaleOutForm({...scaleOutForm, price: e.target.value})} className="w-full px-4 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white focus:ring-2 focus:ring-emerald-500" />
+                  </div>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-slate-300 mb-2">Sale Date</label>
+                  <input type="date" value={scaleOutForm.date} onChange={(e) => setScaleOutForm({...scaleOutForm, date: e.target.value})} className="w-full px-4 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white focus:ring-2 focus:ring-emerald-500" />
+                </div>
+                {!hasTiers(scalingStock) && baseMultiplier(scalingStock) !== null && (
+                  <div>
+                    <label className="block text-sm font-medium text-slate-300 mb-2">Multiplier for Remainder</label>
+                    <input type="number" step="0.25" min="0.5" value={scaleOutForm.volatilityMultiplier} onChange={(e) => setScaleOutForm({...scaleOutForm, volatilityMultiplier: e.target.value})} className="w-full px-4 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white focus:ring-2 focus:ring-emerald-500" />
+                  </div>
+                )}
+                <label className="flex items-center gap-2 text-sm text-slate-300 cursor-pointer">
+                  <input type="checkbox" checked={scaleOutForm.resetHigh} onChange={(e) => setScaleOutForm({...scaleOutForm, resetHigh: e.target.checked})} className="w-4 h-4" />
+                  Reset highest close to the last close ({formatPrice(scalingStock.currentPrice, currencyOf(scalingStock))})
+                </label>
+                {(umLadder(scalingStock).some(level => level.triggered) || scaleOutForm.markExecuted) && (
+                  <label className="flex items-center gap-2 text-sm text-slate-300 cursor-pointer">
+                    <input type="checkbox" checked={scaleOutForm.markExecuted} onChange={(e) => setScaleOutForm({...scaleOutForm, markExecuted: e.target.checked})} className="w-4 h-4" />
+                    {hasTiers(scalingStock) ? 'Mark the triggered UM levels as executed' : 'Mark the UM trigger as executed'}
+                  </label>
+                )}
+                <div>
+                  <label className="block text-sm font-medium text-slate-300 mb-2">Note (optional)</label>
+                  <textarea value={scaleOutForm.note} onChange={(e) => setScaleOutForm({...scaleOutForm, note: e.target.value})} placeholder="e.g. Sold half to recover cost basis" rows={2} className="w-full px-4 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white focus:ring-2 focus:ring-emerald-500 resize-none" />
+                </div>
+              </div>
+              <div className="flex gap-3 mt-6">
+                <button onClick={resetScaleOutForm} className="flex-1 px-4 py-2 bg-slate-700 text-white rounded-lg hover:bg-slate-600 transition-colors">Cancel</button>
+                <button onClick={() => scaleOutPosition(scalingStockId)} className="flex-1 px-4 py-2 bg-amber-600 text-white rounded-lg hover:bg-amber-700 transition-colors flex items-center justify-center gap-2">
+                  <Scissors size={16} /> Record Sale
+                </button>
+              </div>
+            </div>
+          </div>
+        );
+      })()}
+
       <div className="max-w-6xl mx-auto">
         <div className="bg-slate-800/50 backdrop-blur rounded-lg shadow-2xl p-6 mb-6 border border-slate-700">
           <div className="flex items-center justify-between mb-6">
@@ -479,6 +1180,12 @@ export default function App() {
                 </div>
                 <p className="text-xs text-slate-400">{stocks.length} {stocks.length === 1 ? 'stock' : 'stocks'} tracked</p>
               </div>
+              <button onClick={() => setShowHistory(true)} className="flex items-center gap-2 px-4 py-2 bg-slate-700 text-white rounded-lg hover:bg-slate-600 transition-colors" title="Change history and undo">
+                <History size={20} />
+              </button>
+              <button onClick={() => setShowExport(true)} className="flex items-center gap-2 px-4 py-2 bg-slate-700 text-white rounded-lg hover:bg-slate-600 transition-colors" title="Export, back up or print a report">
+                <Download size={20} />
+              </button>
               <button onClick={() => setShowSettings(true)} className="flex items-center gap-2 px-4 py-2 bg-slate-700 text-white rounded-lg hover:bg-slate-600 transition-colors">
                 <Settings size={20} />
               </button>
@@ -491,17 +1198,45 @@ export default function App() {
           
           <p className="text-slate-300 mb-6">
             Track stocks that have doubled and set trailing UM execution prices based on typical volatility. 
-            The UM execution price ratchets up with each new high but never down. Prices update automatically each weekday after market close.
+            The UM execution price ratchets up with each new high but never down. Prices update automatically after each market close, every day for crypto.
           </p>
 
           {/* Add New Stock Form */}
           <div className="bg-slate-900/50 p-4 rounded-lg border border-slate-700 mb-4">
-            <h3 className="text-lg font-semibold text-white mb-4">Add New Stock</h3>
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold text-white">Add New Stock</h3>
+              <button onClick={() => setShowImport(true)} className="flex items-center gap-1 text-sm text-slate-400 hover:text-white transition-colors" title="Add or update positions from a CSV or broker export">
+                <Upload size={16} />
+                Import
+              </button>
+            </div>
             <div className="flex gap-2 mb-4">
               <div className="flex-1">
-                <label className="block text-sm font-medium text-slate-300 mb-2">Stock Symbol</label>
-                <input type="text" value={newStock.symbol} onChange={(e) => setNewStock({...newStock, symbol: e.target.value.toUpperCase(), companyName: ''})} placeholder="e.g., AAPL, NVDA" className="w-full px-4 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white focus:ring-2 focus:ring-emerald-500" />
+                <label className="block text-sm font-medium text-slate-300 mb-2">Symbol</label>
+                <input type="text" value={newStock.symbol} onChange={(e) => setNewStock({...newStock, symbol: e.target.value.toUpperCase(), companyName: '', volatilityEstimate: null})} placeholder={isCrypto(newStock) ? 'e.g., BTC, ETH' : 'e.g., AAPL, NVDA'} className="w-full px-4 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white focus:ring-2 focus:ring-emerald-500" />
               </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-2">Type</label>
+                <select value={newStock.assetType} onChange={(e) => setNewStock({...newStock, assetType: e.target.value, exchange: ASSET_TYPES[e.target.value].exchange || 'US', currency: '', companyName: '', volatilityEstimate: null})} className="px-4 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white focus:ring-2 focus:ring-emerald-500">
+                  {Object.entries(ASSET_TYPES).map(([type, assetType]) => <option key={type} value={type}>{assetType.label}</option>)}
+                </select>
+              </div>
+              {!isCrypto(newStock) && (
+                <>
+                  <div>
+                    <label className="block text-sm font-medium text-slate-300 mb-2">Exchange</label>
+                    <select value={newStock.exchange} onChange={(e) => setNewStock({...newStock, exchange: e.target.value, currency: '', companyName: '', volatilityEstimate: null})} className="px-4 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white focus:ring-2 focus:ring-emerald-500">
+                      {Object.entries(EXCHANGES).filter(([, exchange]) => !exchange.crypto).map(([code, exchange]) => <option key={code} value={code}>{exchange.label}</option>)}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-slate-300 mb-2">Quoted In</label>
+                    <select value={currencyOf(newStock)} onChange={(e) => setNewStock({...newStock, currency: e.target.value})} className="px-4 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white focus:ring-2 focus:ring-emerald-500">
+                      {Object.keys(CURRENCIES).map(code => <option key={code} value={code}>{code}</option>)}
+                    </select>
+                  </div>
+                </>
+              )}
               <div className="flex items-end">
                 <button onClick={fetchStockInfo} disabled={isFetching || !newStock.symbol} className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-slate-600 disabled:cursor-not-allowed transition-colors flex items-center gap-2">
                   <Search size={18} />
@@ -513,22 +1248,50 @@ export default function App() {
             {newStock.companyName && (
               <div className="mb-4 p-3 bg-slate-800 rounded-lg border border-slate-600">
                 <p className="text-lg font-semibold text-white">{newStock.companyName}</p>
-                <p className="text-sm text-slate-400">{newStock.symbol} · Last Close: ${newStock.currentPrice}</p>
-                {newStock.highestClose && <p className="text-sm text-emerald-400">Highest Close: ${newStock.highestClose} ({newStock.highestCloseDate})</p>}
+                <p className="text-sm text-slate-400">{newStock.symbol} · Last Close: {formatPrice(parseFloat(newStock.currentPrice), currencyOf(newStock))}</p>
+                {newStock.highestClose && <p className="text-sm text-emerald-400">Highest Close: {formatPrice(parseFloat(newStock.highestClose), currencyOf(newStock))} ({newStock.highestCloseDate})</p>}
               </div>
             )}
 
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
               <div>
                 <label className="block text-sm font-medium text-slate-300 mb-2">Your Entry Price</label>
                 <input type="number" step="0.01" value={newStock.entryPrice} onChange={(e) => setNewStock({...newStock, entryPrice: e.target.value})} placeholder="What you paid per share" className="w-full px-4 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white focus:ring-2 focus:ring-emerald-500" />
               </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-2">Shares (optional)</label>
+                <input type="number" step="any" min="0" value={newStock.shares} onChange={(e) => setNewStock({...newStock, shares: e.target.value})} placeholder="For dollar values" className="w-full px-4 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white focus:ring-2 focus:ring-emerald-500" />
+              </div>
               <div>
                 <label className="block text-sm font-medium text-slate-300 mb-2">Last Close</label>
                 <input type="number" step="0.01" value={newStock.currentPrice} onChange={(e) => setNewStock({...newStock, currentPrice: e.target.value})} placeholder="Auto-filled from lookup" className="w-full px-4 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white focus:ring-2 focus:ring-emerald-500" />
               </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-2">Bought On{savedPolicy.minHoldingDays ? '' : ' (optional)'}</label>
+                <input type="date" value={newStock.purchaseDate} onChange={(e) => setNewStock({...newStock, purchaseDate: e.target.value})} className="w-full px-4 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white focus:ring-2 focus:ring-emerald-500" />
+              </div>
             </div>
 
+            {newStock.entryPrice && newStock.currentPrice && (() => {
+              const problems = draftProblems();
+              if (problems.length === 0) {
+                return <p className="mb-4 text-sm text-emerald-400 flex items-center gap-1"><CheckCircle size={14} /> Meets your eligibility policy: {describePolicy(savedPolicy).toLowerCase()}</p>;
+              }
+              return (
+                <div className="mb-4 p-3 bg-amber-900/20 rounded-lg border border-amber-800">
+                  <p className="text-sm text-amber-400 font-medium">Not eligible under your policy (version {savedPolicy.version})</p>
+                  <ul className="text-sm text-slate-300 list-disc ml-5 mt-1">
+                    {problems.map(problem => <li key={problem}>{problem}</li>)}
+                  </ul>
+                  {savedPolicy.allowOverride ? (
+                    <input type="text" value={newStock.overrideReason} onChange={(e) => setNewStock({...newStock, overrideReason: e.target.value})} placeholder="Override reason, to add it anyway" className="w-full mt-2 px-3 py-2 bg-slate-700 border border-slate-600 rounded text-white text-sm" />
+                  ) : (
+                    <p className="text-xs text-slate-500 mt-1">Watch it instead to be notified once it is eligible.</p>
+                  )}
+                </div>
+              );
+            })()}
+
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
               <div>
                 <div className="flex items-center gap-2 mb-2">
@@ -543,11 +1306,36 @@ export default function App() {
               </div>
             </div>
 
+            <div className="mb-4">
+              <StopModelFields value={newStock.stopModel} onChange={(stopModel) => setNewStock({...newStock, stopModel})} />
+            </div>
+
+            {supportsTiers(newStock) && (
+              <div className="mb-4">
+                <TierPlanFields tiers={newStock.tiers} onChange={(tiers) => setNewStock({...newStock, tiers})} baseMultiplier={baseMultiplier(draftStock())} />
+              </div>
+            )}
+
+            {newStock.volatilityEstimate && (
+              <div className="mb-4 p-3 bg-slate-800 rounded-lg border border-slate-600 flex items-center justify-between gap-4">
+                <div>
+                  <p className="text-sm text-slate-400">Suggested Typical Volatility: <span className="text-white font-semibold">{newStock.volatilityEstimate.value}%</span></p>
+                  <p className="text-xs text-slate-500">{newStock.volatilityEstimate.description} · {newStock.volatilityEstimate.lookbackStart} to {newStock.volatilityEstimate.lookbackEnd} ({newStock.volatilityEstimate.sessions} sessions)</p>
+                </div>
+                {parseFloat(newStock.typicalVolatility) === newStock.volatilityEstimate.value ? (
+                  <span className="text-emerald-400 text-sm flex items-center gap-1"><CheckCircle size={14} /> Using suggestion</span>
+                ) : (
+                  <button onClick={() => setNewStock({...newStock, typicalVolatility: newStock.volatilityEstimate.value.toString()})} className="px-3 py-1 bg-blue-600 text-white text-sm rounded hover:bg-blue-700 whitespace-nowrap">Use {newStock.volatilityEstimate.value}%</button>
+                )}
+              </div>
+            )}
+
             {showVolatilityHelp && (
               <div className="mb-4 p-4 bg-blue-900/30 rounded-lg border border-blue-700 text-sm text-slate-300">
                 <p className="font-semibold text-white mb-2">How to determine Typical Volatility:</p>
                 <p className="mb-2">Look at a chart of the stock during a period when it was <strong>trending up overall</strong>. Measure several pullbacks from local highs to local lows (the temporary dips before it continued higher).</p>
                 <p className="mb-2">Ignore extreme outliers and note the <strong>typical pullback size</strong>. For example, if most pullbacks are between 8-12%, enter 10 as your typical volatility.</p>
+                <p className="mb-2">After a lookup, a suggested value is calculated from the last ~100 days of closes: the median pullback between new highs, or 3× the 14-day average true range when there are too few pullbacks. Accept it or enter your own.</p>
                 <p>The <strong>multiplier</strong> gives the stock breathing room. A multiplier of 2.0 means your UM execution price will be set at 2× the typical volatility below the highest close.</p>
               </div>
             )}
@@ -557,52 +1345,115 @@ export default function App() {
               <textarea value={newStock.note} onChange={(e) => setNewStock({...newStock, note: e.target.value})} placeholder="Upside Maximizer execution plan i.e. recover cost basis, sell half, etc." rows={2} className="w-full px-4 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white focus:ring-2 focus:ring-emerald-500 resize-none" />
             </div>
 
-            {newStock.highestClose && newStock.typicalVolatility && (
-              <div className="mb-4 p-3 bg-slate-800 rounded-lg border border-slate-600">
-                <p className="text-sm text-slate-400">UM Execution Price Preview (based on highest close):</p>
-                <p className="text-xl font-bold text-orange-400">${calculateStopLoss(parseFloat(newStock.highestClose), parseFloat(newStock.typicalVolatility), parseFloat(newStock.volatilityMultiplier)).toFixed(2)}</p>
-                <p className="text-xs text-slate-500">{newStock.typicalVolatility}% × {newStock.volatilityMultiplier} = {(parseFloat(newStock.typicalVolatility) * parseFloat(newStock.volatilityMultiplier)).toFixed(1)}% below highest close (${newStock.highestClose})</p>
+            {newStock.highestClose && (newStock.typicalVolatility || newStock.stopModel.type !== 'volatility') && (() => {
+              const draft = draftStock();
+              const preview = calculateStopPrice(draft);
+              return (
+                <div className="mb-4 p-3 bg-slate-800 rounded-lg border border-slate-600">
+                  <p className="text-sm text-slate-400">UM Execution Price Preview (based on highest close):</p>
+                  <p className="text-xl font-bold text-orange-400">{preview === null ? 'Available after lookup' : formatPrice(preview, currencyOf(newStock))}</p>
+                  <p className="text-xs text-slate-500">{describeStopModel(draft)} (highest close {formatPrice(draft.highestClose, currencyOf(newStock))})</p>
+                </div>
+              );
+            })()}
+
+            {newStock.symbol && (
+              <div className="mb-4">
+                <button onClick={() => setShowBacktest(!showBacktest)} className="flex items-center gap-1 text-sm text-blue-400 hover:text-blue-300">
+                  {showBacktest ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
+                  Backtest this UM rule on {newStock.symbol}
+                </button>
+                {showBacktest && (
+                  <div className="mt-2 p-3 bg-slate-800 rounded-lg border border-slate-600">
+                    <BacktestPanel
+                      listing={{ symbol: newStock.symbol, exchange: newStock.exchange }}
+                      currency={currencyOf(newStock)}
+                      typicalVolatility={newStock.typicalVolatility}
+                      volatilityMultiplier={newStock.volatilityMultiplier}
+                      loadCandles={loadBacktestCandles}
+                      onSelectMultiplier={(multiplier) => setNewStock({...newStock, volatilityMultiplier: multiplier})}
+                    />
+                  </div>
+                )}
               </div>
             )}
 
-            <button onClick={addStock} className="w-full bg-emerald-600 text-white py-3 rounded-lg hover:bg-emerald-700 transition-colors flex items-center justify-center gap-2 font-semibold">
-              <Plus size={20} />
-              Add Stock to Tracker
-            </button>
+            <div className="flex gap-2">
+              <button onClick={addStock} className="flex-1 bg-emerald-600 text-white py-3 rounded-lg hover:bg-emerald-700 transition-colors flex items-center justify-center gap-2 font-semibold">
+                <Plus size={20} />
+                Add Stock to Tracker
+              </button>
+              <button onClick={addToWatchlist} className="px-4 bg-slate-700 text-slate-200 py-3 rounded-lg hover:bg-slate-600 transition-colors border border-slate-600 flex items-center justify-center gap-2" title="Track a stock that hasn't doubled yet">
+                <Eye size={20} />
+                Watch
+              </button>
+            </div>
           </div>
         </div>
 
-        {/* Alerts Section */}
-        {alerts.length > 0 && (
-          <div className="bg-red-900/30 backdrop-blur rounded-lg shadow-xl p-6 mb-6 border border-red-700">
-            <div className="flex items-center gap-2 mb-4">
-              <Bell className="text-red-400" size={24} />
-              <h2 className="text-xl font-bold text-white">Alerts</h2>
-            </div>
-            <div className="space-y-2">
-              {alerts.map(alert => (
-                <div key={alert.id} className="bg-red-800/30 p-3 rounded-lg border border-red-700">
-                  <p className="text-white font-semibold">{alert.message}</p>
-                  <p className="text-red-300 text-sm">{new Date(alert.time).toLocaleString()}</p>
+        {/* Portfolio Totals */}
+        {stocks.length > 0 && (() => {
+          const totals = portfolioTotals(stocks, { baseCurrency: emailPreferences.baseCurrency || 'USD', fx: fxRates, umPrice: calculateStopPrice });
+          if (totals.counted === 0) return null;
+          return (
+            <div className="bg-slate-800/50 backdrop-blur rounded-lg shadow-xl p-6 mb-6 border border-slate-700">
+              <div className="flex justify-between items-baseline mb-4">
+                <h2 className="text-xl font-bold text-white">Portfolio Totals</h2>
+                <p className="text-slate-500 text-xs">In {totals.baseCurrency}{fxRates ? ` · FX rates ${fxRates.date}` : ''}</p>
+              </div>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                <div>
+                  <p className="text-slate-400 text-sm">Market Value</p>
+                  <p className="text-white font-semibold">{formatAmount(totals.marketValue, totals.baseCurrency)}</p>
+                </div>
+                <div>
+                  <p className="text-slate-400 text-sm">Protected at UM Price</p>
+                  <p className="text-orange-400 font-semibold">{formatAmount(totals.protectedValue, totals.baseCurrency)}</p>
                 </div>
-              ))}
+                <div>
+                  <p className="text-slate-400 text-sm">Unrealized Gain</p>
+                  <p className="text-white font-semibold">{formatAmount(totals.unrealizedGain, totals.baseCurrency)}</p>
+                </div>
+                <div>
+                  <p className="text-slate-400 text-sm">Realized Gain</p>
+                  <p className="text-emerald-400 font-semibold">{formatAmount(totals.realizedGain, totals.baseCurrency)}</p>
+                </div>
+              </div>
+              {(totals.withoutShares.length > 0 || totals.withoutFx.length > 0) && (
+                <p className="text-slate-500 text-xs mt-3">
+                  {totals.withoutShares.length > 0 && `Not counted without shares: ${totals.withoutShares.join(', ')}. `}
+                  {totals.withoutFx.length > 0 && `No FX rate yet for ${totals.withoutFx.join(', ')}.`}
+                </p>
+              )}
             </div>
-          </div>
-        )}
+          );
+        })()}
+
+        {/* Alerts Section */}
+        <AlertInbox userId={user.uid} stocks={stocks} watchlist={watchlist} onShowPosition={showPosition} />
 
         {/* Active Stocks */}
         <div className="space-y-4">
           {stocks.map(stock => {
-            const stopLoss = calculateStopLoss(stock.highestClose, stock.typicalVolatility, stock.volatilityMultiplier);
-            const distanceToStop = ((stock.currentPrice - stopLoss) / stock.currentPrice * 100).toFixed(1);
+            const stopLoss = calculateStopPrice(stock);
+            const currency = currencyOf(stock);
+            const distanceToStop = stopLoss === null ? null : ((stock.currentPrice - stopLoss) / stock.currentPrice * 100).toFixed(1);
+            const summary = positionSummary(stock, stopLoss);
+            const ladder = umLadder(stock);
+            const isTriggered = ladder.some(level => level.triggered);
+            // Planned shares of the triggered levels, to prefill a scale-out
+            const triggeredShares = hasTiers(stock) && hasLots(stock)
+              ? ladder.filter(level => level.triggered).reduce((total, level) => total + sharesBought(stock) * level.sharePercent / 100, 0)
+              : 0;
             
             return (
               <div
                 key={stock.id}
+                id={`position-${stock.id}`}
                 className={`backdrop-blur rounded-lg shadow-xl p-6 border ${
-                  stock.triggered
+                  isTriggered
                     ? 'bg-red-900/30 border-red-700'
-                    : stock.triggeredResolved
+                    : ladder.some(level => level.triggeredResolved)
                     ? 'bg-slate-800/50 border-red-800/50'
                     : 'bg-slate-800/50 border-slate-700'
                 }`}
@@ -612,7 +1463,14 @@ export default function App() {
                     <h3 className="text-2xl font-bold text-white">
                       {stock.symbol}{stock.companyName && stock.companyName !== stock.symbol ? ` - ${stock.companyName}` : ''}
                     </h3>
-                    <p className="text-slate-500 text-xs">Added {stock.dateAdded}</p>
+                    <p className="text-slate-500 text-xs">
+                      Added {stock.dateAdded}
+                      {stock.eligibility && ` · Policy v${stock.eligibility.policyVersion}`}
+                      {stock.eligibility?.override && ` · Override: ${stock.eligibility.override.reason}`}
+                      {assetTypeOf(stock) === 'etf' && ' · ETF'}
+                      {exchangeOf(stock) !== 'US' && ` · ${EXCHANGES[exchangeOf(stock)].label}`}
+                      {currency !== 'USD' && ` · Prices in ${currency}`}
+                    </p>
                     
                     {/* Editable Note */}
                     {editingNoteId === stock.id ? (
@@ -631,6 +1489,54 @@ export default function App() {
                     )}
                   </div>
                   <div className="flex items-center gap-2 ml-4">
+                    <button
+                      onClick={() => { setAlertRulesStockId(alertRulesStockId === stock.id ? null : stock.id); setEditingRules(stock.alertRules || []); }}
+                      className={`flex items-center gap-1 px-3 py-1.5 bg-slate-700 text-sm rounded-lg hover:bg-slate-600 transition-colors border border-slate-600 ${alertRulesStockId === stock.id ? 'text-emerald-400' : 'text-slate-300'}`}
+                      title="Alert rules for this position"
+                    >
+                      <Bell size={14} />
+                      Alerts
+                    </button>
+                    <button
+                      onClick={() => { setManualCloseStockId(manualCloseStockId === stock.id ? null : stock.id); setManualCloseForm({ close: '', date: lastClosedSession(stock) }); }}
+                      className={`flex items-center gap-1 px-3 py-1.5 bg-slate-700 text-sm rounded-lg hover:bg-slate-600 transition-colors border border-slate-600 ${manualCloseStockId === stock.id ? 'text-emerald-400' : 'text-slate-300'}`}
+                      title="Enter a close the price providers don't have"
+                    >
+                      <Edit3 size={14} />
+                      Close
+                    </button>
+                    <button
+                      onClick={() => setLotsStockId(lotsStockId === stock.id ? null : stock.id)}
+                      className={`flex items-center gap-1 px-3 py-1.5 bg-slate-700 text-sm rounded-lg hover:bg-slate-600 transition-colors border border-slate-600 ${lotsStockId === stock.id ? 'text-emerald-400' : 'text-slate-300'}`}
+                      title="Buy lots and sales"
+                    >
+                      <Layers size={14} />
+                      Lots
+                    </button>
+                    <button
+                      onClick={() => toggleChart(stock)}
+                      className={`flex items-center gap-1 px-3 py-1.5 bg-slate-700 text-sm rounded-lg hover:bg-slate-600 transition-colors border border-slate-600 ${chartStockId === stock.id ? 'text-emerald-400' : 'text-slate-300'}`}
+                      title="Show price history"
+                    >
+                      <LineChart size={14} />
+                      Chart
+                    </button>
+                    <button
+                      onClick={() => setHistoryStockId(historyStockId === stock.id ? null : stock.id)}
+                      className={`flex items-center gap-1 px-3 py-1.5 bg-slate-700 text-sm rounded-lg hover:bg-slate-600 transition-colors border border-slate-600 ${historyStockId === stock.id ? 'text-emerald-400' : 'text-slate-300'}`}
+                      title="When the volatility, multiplier, note and highest close changed"
+                    >
+                      <History size={14} />
+                      History
+                    </button>
+                    <button
+                      onClick={() => { setScalingStockId(stock.id); setScaleOutForm({ shares: triggeredShares ? String(+triggeredShares.toFixed(4)) : '', sharesHeld: '', price: stock.currentPrice.toFixed(2), date: new Date().toISOString().split('T')[0], note: '', volatilityMultiplier: String(baseMultiplier(stock) ?? ''), resetHigh: false, markExecuted: isTriggered }); }}
+                      className="flex items-center gap-1 px-3 py-1.5 bg-slate-700 text-amber-400 text-sm rounded-lg hover:bg-slate-600 transition-colors border border-slate-600"
+                      title="Sell part of the position"
+                    >
+                      <Scissors size={14} />
+                      Scale Out
+                    </button>
                     <button
                       onClick={() => { setClosingStockId(stock.id); setCloseForm({ closePrice: stock.currentPrice.toFixed(2), closeDate: new Date().toISOString().split('T')[0], note: '' }); }}
                       className="flex items-center gap-1 px-3 py-1.5 bg-slate-700 text-amber-400 text-sm rounded-lg hover:bg-slate-600 transition-colors border border-slate-600"
@@ -648,16 +1554,16 @@ export default function App() {
                 <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
                   <div>
                     <p className="text-slate-400 text-sm">Entry Price</p>
-                    <p className="text-white font-semibold">${stock.entryPrice.toFixed(2)}</p>
+                    <p className="text-white font-semibold">{formatPrice(stock.entryPrice, currency)}</p>
                   </div>
                   <div>
                     <p className="text-slate-400 text-sm">Highest Close</p>
-                    <p className="text-white font-semibold">${stock.highestClose.toFixed(2)}</p>
+                    <p className="text-white font-semibold">{formatPrice(stock.highestClose, currency)}</p>
                     <p className="text-slate-500 text-xs">{stock.highestCloseDate || stock.dateAdded}</p>
                   </div>
                   <div>
                     <p className="text-slate-400 text-sm">Last Close</p>
-                    <p className="text-white font-semibold">${stock.currentPrice.toFixed(2)}</p>
+                    <p className="text-white font-semibold">{formatPrice(stock.currentPrice, currency)}</p>
                   </div>
                   <div>
                     <p className="text-slate-400 text-sm">Total Gain</p>
@@ -665,6 +1571,144 @@ export default function App() {
                   </div>
                 </div>
 
+                {summary && (
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+                    <div>
+                      <p className="text-slate-400 text-sm">Shares Held</p>
+                      <p className="text-white font-semibold">{summary.sharesHeld.toLocaleString()}</p>
+                      <p className="text-slate-500 text-xs">Cost basis {formatPrice(summary.costBasis, currency)}</p>
+                    </div>
+                    <div>
+                      <p className="text-slate-400 text-sm">Market Value</p>
+                      <p className="text-white font-semibold">{formatAmount(summary.marketValue, currency)}</p>
+                    </div>
+                    <div>
+                      <p className="text-slate-400 text-sm">Protected at UM Price</p>
+                      <p className="text-orange-400 font-semibold">{formatAmount(summary.protectedValue, currency)}</p>
+                    </div>
+                    <div>
+                      <p className="text-slate-400 text-sm">Locked-in Profit</p>
+                      <p className="text-emerald-400 font-semibold">{formatAmount(summary.lockedInProfit, currency)}</p>
+                    </div>
+                    {stock.sales?.length > 0 && (
+                      <>
+                        <div>
+                          <p className="text-slate-400 text-sm">Realized Gain</p>
+                          <p className="text-emerald-400 font-semibold">{formatAmount(summary.realizedGain, currency)}</p>
+                          <p className="text-slate-500 text-xs">{stock.sales.length} {stock.sales.length === 1 ? 'sale' : 'sales'}</p>
+                        </div>
+                        <div>
+                          <p className="text-slate-400 text-sm">Unrealized Gain</p>
+                          <p className="text-white font-semibold">{formatAmount(summary.unrealizedGain, currency)}</p>
+                        </div>
+                      </>
+                    )}
+                  </div>
+                )}
+
+                {lotsStockId === stock.id && (
+                  <div className="bg-slate-900/50 rounded-lg p-4 border border-slate-700 mb-4">
+                    <PositionLots
+                      stock={stock}
+                      currency={currency}
+                      onAddEntry={(type, entry) => saveLotEntry(stock.id, type, entry)}
+                      onRemoveEntry={(type, entryId) => removeLotEntry(stock.id, type, entryId)}
+                    />
+                  </div>
+                )}
+
+                {alertRulesStockId === stock.id && (
+                  <div className="bg-slate-900/50 rounded-lg p-4 border border-slate-700 mb-4">
+                    <AlertRuleFields compact rules={editingRules} onChange={setEditingRules} />
+                    {(emailPreferences.alertRules || []).length > 0 && (
+                      <p className="text-xs text-slate-500 mt-2">Also checked from settings: {emailPreferences.alertRules.map(describeAlertRule).join(', ')}</p>
+                    )}
+                    <div className="flex gap-2 mt-3">
+                      <button onClick={() => saveAlertRules(stock.id)} className="px-3 py-1 bg-emerald-600 text-white text-sm rounded hover:bg-emerald-700">Save</button>
+                      <button onClick={() => setAlertRulesStockId(null)} className="px-3 py-1 bg-slate-600 text-white text-sm rounded hover:bg-slate-500">Cancel</button>
+                    </div>
+                  </div>
+                )}
+
+                {manualCloseStockId === stock.id && (
+                  <div className="bg-slate-900/50 rounded-lg p-4 border border-slate-700 mb-4">
+                    <div className="grid grid-cols-2 gap-3">
+                      <div>
+                        <label className="block text-xs text-slate-400 mb-1">Closing Price ({currency})</label>
+                        <input type="number" step="any" min="0" value={manualCloseForm.close} onChange={(e) => setManualCloseForm({ ...manualCloseForm, close: e.target.value })} className="w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded text-white text-sm" autoFocus />
+                      </div>
+                      <div>
+                        <label className="block text-xs text-slate-400 mb-1">Session</label>
+                        <input type="date" value={manualCloseForm.date} max={lastClosedSession(stock)} onChange={(e) => setManualCloseForm({ ...manualCloseForm, date: e.target.value })} className="w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded text-white text-sm" />
+                      </div>
+                    </div>
+                    <p className="text-xs text-slate-500 mt-2">Applied by the hourly update exactly like a fetched close: new highs, alert rules and triggers.</p>
+                    <div className="flex gap-2 mt-3">
+                      <button onClick={() => recordManualClose(stock.id)} className="px-3 py-1 bg-emerald-600 text-white text-sm rounded hover:bg-emerald-700">Save</button>
+                      <button onClick={() => setManualCloseStockId(null)} className="px-3 py-1 bg-slate-600 text-white text-sm rounded hover:bg-slate-500">Cancel</button>
+                    </div>
+                  </div>
+                )}
+
+                {(stock.manualCloses || []).length > 0 && (
+                  <div className="bg-slate-900/50 rounded-lg p-3 border border-slate-700 mb-4 text-sm text-slate-400">
+                    Waiting for the next update: manual close{stock.manualCloses.length > 1 ? 's' : ''} {stock.manualCloses.map(entry => `${formatPrice(entry.close, currency)} on ${entry.date}`).join(', ')}
+                  </div>
+                )}
+
+                {(stock.manualSessions || []).length > 0 && (
+                  <div className="bg-slate-900/50 rounded-lg p-3 border border-slate-700 mb-4 text-sm text-slate-400">
+                    In use until the provider's close comes in: manual close{stock.manualSessions.length > 1 ? 's' : ''} {stock.manualSessions.map(entry => `${formatPrice(entry.close, currency)} on ${entry.date}`).join(', ')}
+                  </div>
+                )}
+
+                {stock.replay && (
+                  <div className="bg-slate-900/50 rounded-lg p-3 border border-slate-700 mb-4 text-sm text-slate-400">
+                    Waiting for the next update: closes from {stock.replay.from} are evaluated again
+                  </div>
+                )}
+
+                {stock.splitSuspected && (
+                  <div className="bg-amber-900/30 rounded-lg p-3 border border-amber-700 mb-4 flex items-center justify-between gap-4">
+                    <p className="text-amber-200 text-sm">
+                      Possible {stock.splitSuspected.ratio}:1 split on {stock.splitSuspected.date}. Triggers are on hold until you confirm.
+                    </p>
+                    <div className="flex gap-2">
+                      <button onClick={() => applySuspectedSplit(stock.id)} className="px-3 py-1 bg-amber-600 text-white text-sm rounded hover:bg-amber-700 whitespace-nowrap">Apply split</button>
+                      <button onClick={() => dismissSuspectedSplit(stock.id)} className="px-3 py-1 bg-slate-600 text-white text-sm rounded hover:bg-slate-500 whitespace-nowrap">Not a split</button>
+                    </div>
+                  </div>
+                )}
+
+                {stock.intradayBreach && !isTriggered && (
+                  <div className="bg-amber-900/20 rounded-lg p-3 border border-amber-800 mb-4 flex items-center gap-2">
+                    <AlertCircle size={16} className="text-amber-400 shrink-0" />
+                    <p className="text-amber-200 text-sm">
+                      Breached intraday, close pending: traded at {formatPrice(stock.intradayBreach.price, currency)} at {stock.intradayBreach.time} on {stock.intradayBreach.date}, UM {formatPrice(stock.intradayBreach.umPrice, currency)}. Only the close can trigger.
+                    </p>
+                  </div>
+                )}
+
+                {historyStockId === stock.id && (
+                  <div className="bg-slate-900/50 rounded-lg p-4 border border-slate-700 mb-4">
+                    <PositionHistory userId={user.uid} stockId={stock.id} />
+                  </div>
+                )}
+
+                {chartStockId === stock.id && (
+                  <div className="bg-slate-900/50 rounded-lg p-4 border border-slate-700 mb-4">
+                    {priceHistory[listingKey(stock)] ? (
+                      <PriceChart
+                        history={priceHistory[listingKey(stock)]}
+                        currency={currency}
+                        getUMPrice={(high, date, historySoFar) => calculateStopPrice({ ...stock, highestClose: high }, computeIndicators(stock, historySoFar), date)}
+                      />
+                    ) : (
+                      <p className="text-slate-500 text-sm">Loading price history...</p>
+                    )}
+                  </div>
+                )}
+
                 <div className="bg-slate-900/50 rounded-lg p-4 border border-slate-700">
                   {editingUMId === stock.id ? (
                     <div>
@@ -679,30 +1723,42 @@ export default function App() {
                           <input type="number" value={editingUM.volatilityMultiplier} onChange={(e) => setEditingUM({...editingUM, volatilityMultiplier: e.target.value})} className="w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded text-white text-sm" step="0.25" min="0.5" />
                         </div>
                       </div>
-                      <p className="text-xs text-slate-400 mb-3">New UM Price: ${calculateStopLoss(stock.highestClose, parseFloat(editingUM.typicalVolatility) || 0, parseFloat(editingUM.volatilityMultiplier) || 0).toFixed(2)}</p>
+                      <div className="mb-3">
+                        <StopModelFields compact value={editingUM.stopModel} onChange={(stopModel) => setEditingUM({...editingUM, stopModel})} />
+                      </div>
+                      {supportsTiers(editingUM) && (
+                        <div className="mb-3">
+                          <TierPlanFields compact tiers={editingUM.tiers} onChange={(tiers) => setEditingUM({...editingUM, tiers})} baseMultiplier={baseMultiplier({ ...stock, volatilityMultiplier: parseFloat(editingUM.volatilityMultiplier), stopModel: editingUM.stopModel })} />
+                        </div>
+                      )}
+                      {(() => {
+                        const edited = { ...stock, typicalVolatility: parseFloat(editingUM.typicalVolatility) || 0, volatilityMultiplier: parseFloat(editingUM.volatilityMultiplier) || 0, stopModel: editingUM.stopModel, tiers: editingUM.tiers.map(tier => ({ ...tier, multiplier: parseFloat(tier.multiplier), sharePercent: parseFloat(tier.sharePercent) })) };
+                        const newPrice = calculateStopPrice(edited, edited.stopModel?.type === stock.stopModel?.type ? stock.indicators : null);
+                        return <p className="text-xs text-slate-400 mb-3">New UM Price: {newPrice === null ? 'after the next nightly update' : formatPrice(newPrice, currency)}</p>;
+                      })()}
                       <div className="flex gap-2">
                         <button onClick={() => saveUMSettings(stock.id)} className="px-3 py-1 bg-emerald-600 text-white text-sm rounded hover:bg-emerald-700">Save</button>
-                        <button onClick={() => { setEditingUMId(null); setEditingUM({ typicalVolatility: '', volatilityMultiplier: '' }); }} className="px-3 py-1 bg-slate-600 text-white text-sm rounded hover:bg-slate-500">Cancel</button>
+                        <button onClick={() => { setEditingUMId(null); setEditingUM({ typicalVolatility: '', volatilityMultiplier: '', stopModel: null, tiers: [] }); }} className="px-3 py-1 bg-slate-600 text-white text-sm rounded hover:bg-slate-500">Cancel</button>
                       </div>
                     </div>
                   ) : (
                     <>
                       <div className="flex justify-between items-center mb-2">
                         <span className="text-slate-300">UM Execution Price:</span>
-                        <span className="text-xl font-bold text-orange-400">${stopLoss.toFixed(2)}</span>
+                        <span className="text-xl font-bold text-orange-400">{stopLoss === null ? 'Pending update' : formatPrice(stopLoss, currency)}</span>
                       </div>
                       <div className="flex justify-between items-center mb-2">
                         <span className="text-slate-300">Distance to UM Price:</span>
-                        <span className={`font-semibold ${parseFloat(distanceToStop) < 5 ? 'text-red-400' : 'text-slate-300'}`}>{distanceToStop}%</span>
+                        <span className={`font-semibold ${parseFloat(distanceToStop) < 5 ? 'text-red-400' : 'text-slate-300'}`}>{distanceToStop === null ? '—' : `${distanceToStop}%`}</span>
                       </div>
                       <div className="flex justify-between items-center text-sm">
                         <div className="flex items-center gap-2">
-                          <span className="text-slate-400">Vol: {stock.typicalVolatility}% × {stock.volatilityMultiplier} = {(stock.typicalVolatility * stock.volatilityMultiplier).toFixed(1)}% below high</span>
-                          <button onClick={() => { setEditingUMId(stock.id); setEditingUM({ typicalVolatility: stock.typicalVolatility.toString(), volatilityMultiplier: stock.volatilityMultiplier.toString() }); }} className="text-slate-500 hover:text-slate-300 transition-colors"><Edit3 size={14} /></button>
+                          <span className="text-slate-400">{describeStopModel(stock)}</span>
+                          <button onClick={() => { setEditingUMId(stock.id); setEditingUM({ typicalVolatility: String(stock.typicalVolatility ?? ''), volatilityMultiplier: String(stock.volatilityMultiplier ?? ''), stopModel: stock.stopModel || { type: 'volatility' }, tiers: (stock.tiers || []).map(tier => ({ ...tier, multiplier: String(tier.multiplier), sharePercent: String(tier.sharePercent) })) }); }} className="text-slate-500 hover:text-slate-300 transition-colors"><Edit3 size={14} /></button>
                         </div>
 
-                        {/* Triggered status area */}
-                        {stock.triggered && (
+                        {/* Triggered status area; tiered positions show it per level below */}
+                        {stock.triggered && !hasTiers(stock) && (
                           <div className="flex items-center gap-2">
                             <span className="text-red-400 font-semibold flex items-center gap-1">
                               <AlertCircle size={16} />
@@ -717,7 +1773,7 @@ export default function App() {
                           </div>
                         )}
 
-                        {!stock.triggered && stock.triggeredResolved && (
+                        {!stock.triggered && stock.triggeredResolved && !hasTiers(stock) && (
                           <div className="flex items-center gap-2">
                             <CheckCircle size={14} className="text-red-400/70" />
                             {editingExecutedDateId === stock.id ? (
@@ -748,6 +1804,16 @@ export default function App() {
                           </div>
                         )}
                       </div>
+                      {hasTiers(stock) && (
+                        <UMLadder
+                          ladder={ladder}
+                          currentPrice={stock.currentPrice}
+                          currency={currency}
+                          sharesBought={sharesBought(stock)}
+                          onResolve={(tierId) => resolveTier(stock.id, tierId)}
+                          onSaveExecutedDate={(tierId, date) => updateTier(stock.id, tierId, { umExecutedDate: date })}
+                        />
+                      )}
                     </>
                   )}
                 </div>
@@ -760,7 +1826,14 @@ export default function App() {
           <div className="bg-slate-800/50 backdrop-blur rounded-lg shadow-xl p-12 text-center border border-slate-700">
             <TrendingUp className="mx-auto text-slate-600 mb-4" size={48} />
             <p className="text-slate-400 text-lg">No stocks being tracked yet</p>
-            <p className="text-slate-500 text-sm mt-2">Add a stock that's up 100%+ to get started</p>
+            <p className="text-slate-500 text-sm mt-2">Add a stock that's up 100%+ to get started, or watch one that's on its way</p>
+          </div>
+        )}
+
+        {/* Watchlist */}
+        {watchlist.length > 0 && (
+          <div className="mt-6">
+            <Watchlist items={watchlist} policy={savedPolicy} onPromote={promoteWatchItem} onRemove={removeWatchItem} onSaveTarget={saveWatchTarget} />
           </div>
         )}
 
@@ -780,6 +1853,26 @@ export default function App() {
             </button>
 
             {showArchive && (
+              <div className="flex gap-2 mt-2">
+                {[{ value: 'positions', label: 'Positions' }, { value: 'analytics', label: 'Analytics' }].map(tab => (
+                  <button
+                    key={tab.value}
+                    onClick={() => setArchiveView(tab.value)}
+                    className={`px-3 py-1.5 text-sm rounded-lg border transition-colors ${archiveView === tab.value ? 'bg-slate-700 text-white border-slate-600' : 'text-slate-400 border-slate-700 hover:bg-slate-800'}`}
+                  >
+                    {tab.label}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {showArchive && archiveView === 'analytics' && (
+              <div className="mt-2">
+                <ArchiveAnalytics archivedStocks={archivedStocks} />
+              </div>
+            )}
+
+            {showArchive && archiveView === 'positions' && (
               <div className="mt-2 space-y-3">
                 {archivedStocks.map(stock => (
                   <div key={stock.id} className="bg-slate-800/30 backdrop-blur rounded-lg p-5 border border-slate-700/50">
@@ -798,21 +1891,43 @@ export default function App() {
                     <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
                       <div>
                         <p className="text-slate-500 text-xs">Entry Price</p>
-                        <p className="text-slate-300 font-medium">${stock.entryPrice.toFixed(2)}</p>
+                        <p className="text-slate-300 font-medium">{formatPrice(stock.entryPrice, currencyOf(stock))}</p>
                       </div>
                       <div>
                         <p className="text-slate-500 text-xs">Close Price</p>
-                        <p className="text-slate-300 font-medium">${parseFloat(stock.closePrice).toFixed(2)}</p>
+                        <p className="text-slate-300 font-medium">{formatPrice(parseFloat(stock.closePrice), currencyOf(stock))}</p>
                       </div>
                       <div>
                         <p className="text-slate-500 text-xs">Highest Close</p>
-                        <p className="text-slate-300 font-medium">${stock.highestClose.toFixed(2)}</p>
+                        <p className="text-slate-300 font-medium">{formatPrice(stock.highestClose, currencyOf(stock))}</p>
                       </div>
                       <div>
                         <p className="text-slate-500 text-xs">Total Gain at Close</p>
                         <p className="text-emerald-400/80 font-medium">+{stock.totalGainAtClose}%</p>
                       </div>
                     </div>
+                    {hasLots(stock) && stock.sales?.length > 0 && (() => {
+                      const scaleOuts = stock.sales.filter(sale => !sale.closing);
+                      const finalSale = stock.sales.find(sale => sale.closing);
+                      const basis = costBasis(stock);
+                      return (
+                        <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mt-3">
+                          <div>
+                            <p className="text-slate-500 text-xs">Realized from Scale-Outs</p>
+                            <p className="text-slate-300 font-medium">{formatAmount(scaleOuts.reduce((t, sale) => t + sale.shares * (sale.price - basis), 0), currencyOf(stock))}</p>
+                            <p className="text-slate-500 text-xs">{scaleOuts.length} {scaleOuts.length === 1 ? 'sale' : 'sales'}</p>
+                          </div>
+                          <div>
+                            <p className="text-slate-500 text-xs">Realized at Close</p>
+                            <p className="text-slate-300 font-medium">{formatAmount(finalSale ? finalSale.shares * (finalSale.price - basis) : 0, currencyOf(stock))}</p>
+                          </div>
+                          <div>
+                            <p className="text-slate-500 text-xs">Total Realized</p>
+                            <p className="text-emerald-400/80 font-medium">{formatAmount(realizedGain(stock), currencyOf(stock))}</p>
+                          </div>
+                        </div>
+                      );
+                    })()}
                   </div>
                 ))}
               </div>
@@ -0,0 +1,106 @@
+import React from 'react';
+import { archiveAnalytics } from './shared/analytics';
+
+const percent = (value, digits = 1) => (value === null ? '—' : `${value.toFixed(digits)}%`);
+const days = (value) => (value === null ? '—' : `${Math.round(value)}d`);
+
+function Stat({ label, value, hint }) {
+  return (
+    <div>
+      <p className="text-slate-500 text-xs">{label}</p>
+      <p className="text-slate-200 font-semibold">{value}</p>
+      {hint && <p className="text-slate-500 text-xs">{hint}</p>}
+    </div>
+  );
+}
+
+// How well the UM rule served closed positions, overall and per multiplier
+export default function ArchiveAnalytics({ archivedStocks }) {
+  const { overall, distribution, byMultiplier, positions } = archiveAnalytics(archivedStocks);
+  const maxBucket = Math.max(...distribution.map(b => b.count), 1);
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-slate-800/30 rounded-lg p-5 border border-slate-700/50">
+        <h3 className="text-slate-300 font-medium mb-3">Overall</h3>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          <Stat label="Capture Ratio" value={overall.averageCaptureRatio === null ? '—' : percent(overall.averageCaptureRatio * 100, 0)} hint="Realized gain ÷ gain at highest close" />
+          <Stat label="Avg Giveback from Peak" value={percent(overall.averageGiveback)} />
+          <Stat label="Avg Gain at Close" value={percent(overall.averageGain)} />
+          <Stat label="Holding Period" value={`${days(overall.medianHoldingDays)} median`} hint={`${days(overall.shortestHoldingDays)} – ${days(overall.longestHoldingDays)}`} />
+        </div>
+      </div>
+
+      <div className="bg-slate-800/30 rounded-lg p-5 border border-slate-700/50">
+        <h3 className="text-slate-300 font-medium mb-3">Win Distribution</h3>
+        <div className="space-y-2">
+          {distribution.map(bucket => (
+            <div key={bucket.label} className="flex items-center gap-3 text-sm">
+              <span className="w-20 text-slate-400">{bucket.label}</span>
+              <div className="flex-1 bg-slate-900/50 rounded h-4">
+                <div className="bg-emerald-600/70 h-4 rounded" style={{ width: `${bucket.count / maxBucket * 100}%` }} />
+              </div>
+              <span className="w-6 text-right text-slate-300">{bucket.count}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="bg-slate-800/30 rounded-lg p-5 border border-slate-700/50 overflow-x-auto">
+        <h3 className="text-slate-300 font-medium mb-3">By Multiplier</h3>
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-slate-500 text-xs text-left">
+              <th className="pb-2 font-normal">Multiplier</th>
+              <th className="pb-2 font-normal text-right">Positions</th>
+              <th className="pb-2 font-normal text-right">Avg Gain</th>
+              <th className="pb-2 font-normal text-right">Capture</th>
+              <th className="pb-2 font-normal text-right">Giveback</th>
+              <th className="pb-2 font-normal text-right">Avg Hold</th>
+            </tr>
+          </thead>
+          <tbody>
+            {byMultiplier.map(row => (
+              <tr key={row.multiplier} className="text-slate-300 border-t border-slate-700/50">
+                <td className="py-2">{row.multiplier}×</td>
+                <td className="py-2 text-right">{row.count}</td>
+                <td className="py-2 text-right">{percent(row.averageGain)}</td>
+                <td className="py-2 text-right">{row.averageCaptureRatio === null ? '—' : percent(row.averageCaptureRatio * 100, 0)}</td>
+                <td className="py-2 text-right">{percent(row.averageGiveback)}</td>
+                <td className="py-2 text-right">{days(row.averageHoldingDays)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="bg-slate-800/30 rounded-lg p-5 border border-slate-700/50 overflow-x-auto">
+        <h3 className="text-slate-300 font-medium mb-3">Positions</h3>
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-slate-500 text-xs text-left">
+              <th className="pb-2 font-normal">Symbol</th>
+              <th className="pb-2 font-normal text-right">Gain</th>
+              <th className="pb-2 font-normal text-right">Peak Gain</th>
+              <th className="pb-2 font-normal text-right">Capture</th>
+              <th className="pb-2 font-normal text-right">Giveback</th>
+              <th className="pb-2 font-normal text-right">Held</th>
+            </tr>
+          </thead>
+          <tbody>
+            {positions.map(p => (
+              <tr key={p.id} className="text-slate-300 border-t border-slate-700/50">
+                <td className="py-2 font-medium">{p.symbol} <span className="text-slate-500 text-xs">{p.multiplier}×</span></td>
+                <td className="py-2 text-right">{percent(p.gain)}</td>
+                <td className="py-2 text-right">{percent(p.peakGain)}</td>
+                <td className="py-2 text-right">{p.captureRatio === null ? '—' : percent(p.captureRatio * 100, 0)}</td>
+                <td className="py-2 text-right">{percent(p.givebackFromPeak)}</td>
+                <td className="py-2 text-right">{days(p.holdingDays)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,95 @@
+import React, { useState } from 'react';
+import { DEFAULT_MULTIPLIERS, sweepMultipliers } from './shared/backtest';
+import { formatPrice } from './shared/listings';
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+// Simulate the UM rule for the listing being added and sweep a multiplier grid
+export default function BacktestPanel({ listing, currency, typicalVolatility, volatilityMultiplier, loadCandles, onSelectMultiplier }) {
+  const [range, setRange] = useState({ from: daysAgo(365), to: daysAgo(0), source: 'provider' });
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+
+  const vol = parseFloat(typicalVolatility);
+  const selected = parseFloat(volatilityMultiplier);
+
+  const run = async () => {
+    if (!(vol > 0)) { alert('Enter a typical volatility first'); return; }
+    setRunning(true);
+    try {
+      const loaded = await loadCandles(listing, range.from, range.to, range.source);
+      if (!loaded || loaded.candles.length < 2) {
+        alert('Not enough price data for that window.');
+      } else {
+        const multipliers = [...new Set([...DEFAULT_MULTIPLIERS, selected].filter(m => m > 0))].sort((a, b) => a - b);
+        setResult({ ...loaded, rows: sweepMultipliers(loaded.candles, vol, multipliers) });
+      }
+    } catch (error) {
+      alert(error.code === 'RATE_LIMIT' ? 'API call limit reached. Please wait a minute and try again.' : 'Error loading price data. Please try again.');
+    }
+    setRunning(false);
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap gap-2 items-end">
+        <div>
+          <label className="block text-xs text-slate-400 mb-1">From</label>
+          <input type="date" value={range.from} onChange={(e) => setRange({...range, from: e.target.value})} className="px-2 py-1 bg-slate-700 border border-slate-600 rounded text-white text-sm" />
+        </div>
+        <div>
+          <label className="block text-xs text-slate-400 mb-1">To</label>
+          <input type="date" value={range.to} onChange={(e) => setRange({...range, to: e.target.value})} className="px-2 py-1 bg-slate-700 border border-slate-600 rounded text-white text-sm" />
+        </div>
+        <div>
+          <label className="block text-xs text-slate-400 mb-1">Data</label>
+          <select value={range.source} onChange={(e) => setRange({...range, source: e.target.value})} className="px-2 py-1 bg-slate-700 border border-slate-600 rounded text-white text-sm">
+            <option value="provider">Price provider</option>
+            <option value="saved">Saved history (offline)</option>
+          </select>
+        </div>
+        <button onClick={run} disabled={running || !listing.symbol} className="px-3 py-1 bg-blue-600 text-white text-sm rounded hover:bg-blue-700 disabled:bg-slate-600">
+          {running ? 'Running...' : 'Run Backtest'}
+        </button>
+      </div>
+
+      {result && (
+        <div className="overflow-x-auto">
+          <p className="text-xs text-slate-500 mb-2">
+            {result.candles.length} sessions {result.candles[0].date} to {result.candles[result.candles.length - 1].date} ({result.source}) · held from the first close, exit on the first close at or below the UM price
+          </p>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-slate-500 text-xs text-left">
+                <th className="pb-1 font-normal">Multiplier</th>
+                <th className="pb-1 font-normal">Triggered</th>
+                <th className="pb-1 font-normal text-right">Exit</th>
+                <th className="pb-1 font-normal text-right">Gain</th>
+                <th className="pb-1 font-normal text-right">Buy &amp; Hold</th>
+                <th className="pb-1 font-normal text-right">Capture</th>
+                <th className="pb-1"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.rows.map(row => (
+                <tr key={row.multiplier} className={`border-t border-slate-700/50 ${row.multiplier === selected ? 'text-orange-300' : 'text-slate-300'}`}>
+                  <td className="py-1">{row.multiplier}×</td>
+                  <td className="py-1">{row.triggerDate || 'Not triggered'}</td>
+                  <td className="py-1 text-right">{formatPrice(row.exitPrice, currency)}</td>
+                  <td className={`py-1 text-right ${row.gain >= row.buyAndHoldGain ? 'text-emerald-400' : ''}`}>{row.gain.toFixed(1)}%</td>
+                  <td className="py-1 text-right">{row.buyAndHoldGain.toFixed(1)}%</td>
+                  <td className="py-1 text-right">{row.captureRatio === null ? '—' : `${(row.captureRatio * 100).toFixed(0)}%`}</td>
+                  <td className="py-1 text-right">
+                    {row.multiplier !== selected && (
+                      <button onClick={() => onSelectMultiplier(row.multiplier)} className="text-xs text-blue-400 hover:text-blue-300">Use</button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,87 @@
+import React, { useState, useEffect } from 'react';
+import { History, RotateCcw, X } from 'lucide-react';
+import { subscribeToEvents } from './firebase';
+import { UNDO_DEPTH, nextUndo, formatChangeValue } from './shared/auditTrail';
+
+const LIST_LABELS = { stocks: 'Position', archivedStocks: 'Closed position', watchlist: 'Watchlist', emailPreferences: 'Settings' };
+const KIND_LABELS = { added: 'added', removed: 'removed', changed: 'changed' };
+
+// Recent changes to the portfolio with their before and after values, and undo for the latest ones
+export default function ChangeHistory({ userId, onUndo, onClose }) {
+  const [events, setEvents] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+  const [undoing, setUndoing] = useState(false);
+
+  useEffect(() => subscribeToEvents(userId, setEvents), [userId]);
+
+  const undo = async (event) => {
+    setUndoing(true);
+    try {
+      await onUndo(event);
+    } catch (error) {
+      alert('Could not undo the change. Please try again.');
+    }
+    setUndoing(false);
+  };
+
+  const undoable = events ? nextUndo(events) : null;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-slate-800 rounded-lg p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto border border-slate-700">
+        <div className="flex items-center justify-between mb-2">
+          <div className="flex items-center gap-2">
+            <History className="text-emerald-400" size={24} />
+            <h2 className="text-xl font-bold text-white">Change History</h2>
+          </div>
+          <button onClick={onClose} className="text-slate-400 hover:text-white"><X size={20} /></button>
+        </div>
+        <p className="text-slate-400 text-sm mb-4">Every change to your portfolio, newest first. The last {UNDO_DEPTH} actions can be undone one at a time, latest first.</p>
+
+        {events === null && <p className="text-slate-400 text-sm">Loading...</p>}
+        {events && events.length === 0 && <p className="text-slate-400 text-sm">No changes recorded yet.</p>}
+
+        <div className="space-y-2">
+          {(events || []).map(event => {
+            const symbols = [...new Set(event.changes.map(change => change.symbol).filter(Boolean))];
+            return (
+              <div key={event.id} className={`bg-slate-900/50 rounded-lg p-3 border border-slate-700 ${event.undoneAt ? 'opacity-60' : ''}`}>
+                <div className="flex justify-between items-start gap-3">
+                  <button onClick={() => setExpandedId(expandedId === event.id ? null : event.id)} className="text-left">
+                    <p className="text-white text-sm">
+                      {event.action}
+                      {symbols.length > 0 && <span className="text-slate-400"> · {symbols.slice(0, 5).join(', ')}{symbols.length > 5 ? ` +${symbols.length - 5}` : ''}</span>}
+                    </p>
+                    <p className="text-slate-500 text-xs">
+                      {new Date(event.time).toLocaleString()}
+                      {event.source === 'updater' && ' · nightly update'}
+                      {event.undoneAt && ` · undone ${new Date(event.undoneAt).toLocaleString()}`}
+                      {` · ${event.changes.length} change${event.changes.length === 1 ? '' : 's'}`}
+                    </p>
+                  </button>
+                  {undoable && undoable.id === event.id && (
+                    <button onClick={() => undo(event)} disabled={undoing} className="flex items-center gap-1 px-3 py-1 bg-slate-700 text-slate-200 text-sm rounded-lg hover:bg-slate-600 disabled:opacity-50 border border-slate-600 transition-colors">
+                      <RotateCcw size={14} /> Undo
+                    </button>
+                  )}
+                </div>
+                {expandedId === event.id && (
+                  <div className="mt-2 space-y-1">
+                    {event.changes.map((change, i) => (
+                      <div key={i} className="text-xs">
+                        <p className="text-slate-300">{LIST_LABELS[change.list]}{change.symbol ? ` ${change.symbol}` : ''} {KIND_LABELS[change.kind]}</p>
+                        {change.kind === 'changed' && Object.entries(change.fields).map(([field, { before, after }]) => (
+                          <p key={field} className="text-slate-400 pl-3">{field}: {formatChangeValue(before)} → {formatChangeValue(after)}</p>
+                        ))}
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
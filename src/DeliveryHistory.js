@@ -0,0 +1,45 @@
+import React, { useEffect, useState } from 'react';
+import { subscribeToNotificationLog } from './firebase';
+import { CHANNELS } from './shared/notifications';
+
+const STATUS_STYLES = {
+  sent: 'text-emerald-400',
+  pending: 'text-slate-400',
+  failed: 'text-orange-400',
+  abandoned: 'text-red-400'
+};
+
+// The most recent notifications sent for this portfolio and how each went
+export default function DeliveryHistory({ userId }) {
+  const [entries, setEntries] = useState(null);
+
+  useEffect(() => subscribeToNotificationLog(userId, setEntries), [userId]);
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-slate-300 mb-2">Delivery History</label>
+      {entries === null ? (
+        <p className="text-xs text-slate-500">Loading...</p>
+      ) : entries.length === 0 ? (
+        <p className="text-xs text-slate-500">Nothing sent yet.</p>
+      ) : (
+        <div className="max-h-48 overflow-y-auto space-y-1">
+          {entries.map(entry => (
+            <div key={entry.id} className="text-xs bg-slate-700/50 rounded px-2 py-1">
+              <div className="flex justify-between gap-2">
+                <span className="text-slate-300 truncate">{entry.subject}</span>
+                <span className={`${STATUS_STYLES[entry.status] || 'text-slate-400'} whitespace-nowrap`}>{entry.status}</span>
+              </div>
+              <div className="text-slate-500">
+                {CHANNELS[entry.channel]?.label || entry.channel} · {new Date(entry.sentAt || entry.createdAt).toLocaleString()}
+                {entry.attempts > 1 && ` · ${entry.attempts} attempts`}
+                {entry.status === 'failed' && entry.nextAttemptAt && ` · retrying after ${new Date(entry.nextAttemptAt).toLocaleTimeString()}`}
+              </div>
+              {entry.lastError && entry.status !== 'sent' && <div className="text-red-400/80 truncate" title={entry.lastError}>{entry.lastError}</div>}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { Download, FileText, RotateCcw, X } from 'lucide-react';
+import { getAlerts } from './firebase';
+import { toCsv, STOCK_COLUMNS, ARCHIVE_COLUMNS, ALERT_COLUMNS, createBackup, readBackup, downloadFile } from './portfolioExport';
+
+// Downloads of the portfolio, its backup and restore, and the printable report
+export default function ExportData({ userId, stocks, archivedStocks, watchlist, emailPreferences, onRestore, onReport, onClose }) {
+  const [busy, setBusy] = useState(false);
+  const today = new Date().toISOString().split('T')[0];
+
+  const withAlerts = async (save) => {
+    setBusy(true);
+    try {
+      save(await getAlerts(userId));
+    } catch (error) {
+      alert('Could not load your alerts. Please try again.');
+    }
+    setBusy(false);
+  };
+
+  const exportCsv = (name, columns, rows) => downloadFile(`upside-maximizer-${name}-${today}.csv`, toCsv(columns, rows), 'text/csv');
+
+  const exportBackup = () => withAlerts(alerts => downloadFile(
+    `upside-maximizer-backup-${today}.json`,
+    JSON.stringify(createBackup({ stocks, archivedStocks, watchlist, emailPreferences, alerts }), null, 2),
+    'application/json'
+  ));
+
+  const restore = (file) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = async () => {
+      let backup;
+      try {
+        backup = readBackup(String(reader.result));
+      } catch (error) {
+        alert(error.message);
+        return;
+      }
+      const { portfolio, alerts } = backup;
+      const summary = `${portfolio.stocks.length} active, ${portfolio.archivedStocks.length} closed, ${portfolio.watchlist.length} watched and ${alerts.length} alerts`;
+      if (!window.confirm(`Replace your portfolio, archive, watchlist and settings with the backup from ${backup.exportedAt || 'an unknown date'} (${summary})?`)) return;
+      setBusy(true);
+      try {
+        await onRestore(backup);
+        onClose();
+      } catch (error) {
+        alert('Could not restore the backup. Please try again.');
+        setBusy(false);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const buttonClass = 'w-full flex items-center gap-2 px-4 py-2 bg-slate-700 text-white rounded-lg hover:bg-slate-600 disabled:opacity-50 transition-colors';
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-slate-800 rounded-lg p-6 w-full max-w-md max-h-[90vh] overflow-y-auto border border-slate-700">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center gap-2">
+            <Download className="text-emerald-400" size={24} />
+            <h2 className="text-xl font-bold text-white">Export</h2>
+          </div>
+          <button onClick={onClose} className="text-slate-400 hover:text-white"><X size={20} /></button>
+        </div>
+
+        <div className="space-y-2 mb-6">
+          <p className="text-sm font-medium text-slate-300">Spreadsheets (CSV)</p>
+          <button onClick={() => exportCsv('positions', STOCK_COLUMNS, stocks)} disabled={busy} className={buttonClass}>Active positions ({stocks.length})</button>
+          <button onClick={() => exportCsv('closed', ARCHIVE_COLUMNS, archivedStocks)} disabled={busy} className={buttonClass}>Closed positions ({archivedStocks.length})</button>
+          <button onClick={() => withAlerts(alerts => exportCsv('alerts', ALERT_COLUMNS, alerts))} disabled={busy} className={buttonClass}>Alerts</button>
+        </div>
+
+        <div className="space-y-2 mb-6">
+          <p className="text-sm font-medium text-slate-300">Report</p>
+          <button onClick={onReport} className={buttonClass}><FileText size={16} /> Printable review (PDF)</button>
+          <p className="text-xs text-slate-500">Opens the report; use your browser's print dialog to save it as a PDF.</p>
+        </div>
+
+        <div className="space-y-2">
+          <p className="text-sm font-medium text-slate-300">Backup</p>
+          <button onClick={exportBackup} disabled={busy} className={buttonClass}><Download size={16} /> Download backup (JSON)</button>
+          <label className={`${buttonClass} cursor-pointer`}>
+            <RotateCcw size={16} /> Restore from backup
+            <input type="file" accept=".json,application/json" onChange={(e) => { restore(e.target.files[0]); e.target.value = ''; }} disabled={busy} className="hidden" />
+          </label>
+          <p className="text-xs text-slate-500">A backup holds everything in your portfolio, including settings and every alert. Restoring replaces the portfolio as it is now; alerts newer than the backup are kept.</p>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,256 @@
+import React, { useState } from 'react';
+import { Upload, X } from 'lucide-react';
+import { EXCHANGES, listingKey, formatPrice } from './shared/listings';
+import { IMPORT_FIELDS, BROKER_FORMATS, parseCsv, detectFormat, defaultMapping, readPositions, combineListings, planImport } from './positionImport';
+
+const STATUS_STYLES = {
+  new: 'text-emerald-400',
+  watched: 'text-blue-400',
+  update: 'text-amber-400',
+  unchanged: 'text-slate-500',
+  error: 'text-red-400'
+};
+
+const ACTION_LABELS = { add: 'Add position', update: 'Update', watch: 'Watch', skip: 'Skip' };
+
+// Which actions a planned row offers
+function actionsFor(row, policy) {
+  if (row.status === 'error' || row.status === 'unchanged') return ['skip'];
+  if (row.status === 'update') return row.errors.length > 0 ? ['skip'] : ['update', 'skip'];
+  const canAdd = row.errors.length === 0 && (row.problems.length === 0 || policy.allowOverride);
+  return [...(canAdd ? ['add'] : []), ...(row.watched ? [] : ['watch']), 'skip'];
+}
+
+// Bulk import from a CSV or broker export: source, column mapping, then a review of the diff
+export default function ImportPositions({ stocks, watchlist, policy, lookupListing, onImport, onClose }) {
+  const [step, setStep] = useState('source');
+  const [text, setText] = useState('');
+  const [rows, setRows] = useState([]);
+  const [format, setFormat] = useState('csv');
+  const [headerIndex, setHeaderIndex] = useState(0);
+  const [mapping, setMapping] = useState({});
+  const [defaultExchange, setDefaultExchange] = useState('US');
+  const [progress, setProgress] = useState(null);
+  const [plan, setPlan] = useState([]);
+  const [overrideReason, setOverrideReason] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const selectClass = 'px-2 py-1 bg-slate-700 border border-slate-600 rounded text-white text-sm';
+  const options = { format, headerIndex, mapping, defaultExchange };
+  const records = step === 'mapping' ? readPositions(rows, options) : [];
+
+  const readFile = (file) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => setText(String(reader.result));
+    reader.readAsText(file);
+  };
+
+  const chooseFormat = (nextFormat, parsed = rows) => {
+    const detected = detectFormat(parsed);
+    const index = nextFormat === detected.format ? detected.headerIndex : 0;
+    setFormat(nextFormat);
+    setHeaderIndex(index);
+    setMapping(defaultMapping(nextFormat, parsed[index] || []));
+  };
+
+  const toMapping = () => {
+    const parsed = parseCsv(text);
+    if (parsed.length < 2) { alert('Paste or choose a file with a header row and at least one position'); return; }
+    setRows(parsed);
+    chooseFormat(detectFormat(parsed).format, parsed);
+    setStep('mapping');
+  };
+
+  const toReview = async () => {
+    if (!mapping.symbol || !(mapping.entryPrice || mapping.costBasis)) { alert('Map the symbol and an entry price or total cost column'); return; }
+    const combined = combineListings(records);
+    const toLookUp = combined.filter(record => record.errors.length === 0);
+    const lookups = {};
+    setStep('review');
+    for (let i = 0; i < toLookUp.length; i++) {
+      setProgress({ done: i, total: toLookUp.length });
+      try {
+        lookups[listingKey(toLookUp[i])] = await lookupListing(toLookUp[i]);
+      } catch (error) {
+        if (error.code === 'RATE_LIMIT') { alert('API call limit reached. Wait a minute and look the positions up again.'); setStep('mapping'); setProgress(null); return; }
+        lookups[listingKey(toLookUp[i])] = null;
+      }
+    }
+    setProgress(null);
+    setPlan(planImport(combined, { stocks, watchlist, policy, today: new Date().toISOString().split('T')[0], lookups }));
+  };
+
+  const setAction = (index, action) => setPlan(plan.map((row, i) => i === index ? { ...row, action } : row));
+  const chosen = plan.filter(row => row.action !== 'skip');
+  const needsOverride = chosen.some(row => row.action === 'add' && row.problems.length > 0);
+
+  const commit = async () => {
+    if (needsOverride && !overrideReason.trim()) { alert('Enter an override reason for the positions that miss your eligibility policy'); return; }
+    setSaving(true);
+    try {
+      await onImport(chosen, overrideReason.trim());
+      onClose();
+    } catch (error) {
+      alert('Could not save the import. Please try again.');
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-slate-800 rounded-lg p-6 w-full max-w-4xl max-h-[90vh] overflow-y-auto border border-slate-700">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center gap-2">
+            <Upload className="text-emerald-400" size={24} />
+            <h2 className="text-xl font-bold text-white">Import Positions</h2>
+          </div>
+          <button onClick={onClose} className="text-slate-400 hover:text-white"><X size={20} /></button>
+        </div>
+
+        {step === 'source' && (
+          <div className="space-y-4">
+            <p className="text-slate-400 text-sm">Choose a CSV file or paste its contents. Schwab and Fidelity position exports and Interactive Brokers Flex queries are recognized; any other CSV can be mapped by hand.</p>
+            <input type="file" accept=".csv,.txt,text/csv" onChange={(e) => readFile(e.target.files[0])} className="block text-sm text-slate-300" />
+            <textarea value={text} onChange={(e) => setText(e.target.value)} placeholder={'Symbol,Entry Price,Shares,Date\nNVDA,42.50,40,2024-03-04'} rows={8} className="w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm font-mono" />
+            <div className="flex gap-3">
+              <button onClick={onClose} className="flex-1 px-4 py-2 bg-slate-700 text-white rounded-lg hover:bg-slate-600 transition-colors">Cancel</button>
+              <button onClick={toMapping} disabled={!text.trim()} className="flex-1 px-4 py-2 bg-emerald-600 text-white rounded-lg hover:bg-emerald-700 disabled:bg-slate-600 transition-colors">Next</button>
+            </div>
+          </div>
+        )}
+
+        {step === 'mapping' && (
+          <div className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-1">Format</label>
+                <select value={format} onChange={(e) => chooseFormat(e.target.value)} className={`w-full ${selectClass}`}>
+                  {Object.entries(BROKER_FORMATS).map(([key, broker]) => <option key={key} value={key}>{broker.label}</option>)}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-1">Header row</label>
+                <input type="number" min="1" max={rows.length} value={headerIndex + 1} onChange={(e) => { const index = Math.max(0, parseInt(e.target.value, 10) - 1 || 0); setHeaderIndex(index); setMapping(defaultMapping(format, rows[index] || [])); }} className={`w-full ${selectClass}`} />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-1">Exchange when not in the file</label>
+                <select value={defaultExchange} onChange={(e) => setDefaultExchange(e.target.value)} className={`w-full ${selectClass}`}>
+                  {Object.entries(EXCHANGES).map(([code, exchange]) => <option key={code} value={code}>{exchange.label}</option>)}
+                </select>
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-2">Columns</label>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                {Object.entries(IMPORT_FIELDS).map(([field, { label, required }]) => (
+                  <div key={field} className="flex items-center justify-between gap-2">
+                    <span className="text-sm text-slate-400">{label}{required ? ' *' : ''}</span>
+                    <select value={mapping[field] || ''} onChange={(e) => setMapping({ ...mapping, [field]: e.target.value })} className={`w-48 ${selectClass}`}>
+                      <option value="">Not in file</option>
+                      {(rows[headerIndex] || []).filter(Boolean).map(name => <option key={name} value={name}>{name}</option>)}
+                    </select>
+                  </div>
+                ))}
+              </div>
+              <p className="text-xs text-slate-500 mt-2">An entry price or a total cost is needed; with a total cost, the entry price is the cost per share. London prices in pounds are converted to pence.</p>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-2">{records.length} position row{records.length === 1 ? '' : 's'} read</label>
+              <div className="max-h-40 overflow-y-auto text-xs space-y-1">
+                {records.slice(0, 20).map(record => (
+                  <div key={record.line} className="flex gap-3 bg-slate-700/50 rounded px-2 py-1">
+                    <span className="text-slate-500 w-10">Row {record.line}</span>
+                    <span className="text-white w-24">{record.symbol || '-'}{record.exchange && record.exchange !== 'US' ? `.${record.exchange}` : ''}</span>
+                    <span className="text-slate-300 w-24">{record.entryPrice > 0 ? formatPrice(record.entryPrice, record.currency) : '-'}</span>
+                    <span className="text-slate-300 w-20">{record.shares ?? '-'} sh</span>
+                    <span className="text-slate-400 w-24">{record.purchaseDate || ''}</span>
+                    <span className="text-red-400">{record.errors.join('; ')}</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            <div className="flex gap-3">
+              <button onClick={() => setStep('source')} className="flex-1 px-4 py-2 bg-slate-700 text-white rounded-lg hover:bg-slate-600 transition-colors">Back</button>
+              <button onClick={toReview} disabled={records.length === 0} className="flex-1 px-4 py-2 bg-emerald-600 text-white rounded-lg hover:bg-emerald-700 disabled:bg-slate-600 transition-colors">Look up and review</button>
+            </div>
+          </div>
+        )}
+
+        {step === 'review' && progress && (
+          <p className="text-slate-300 text-sm">Looking up {progress.done + 1} of {progress.total}...</p>
+        )}
+
+        {step === 'review' && !progress && (
+          <div className="space-y-4">
+            <p className="text-slate-400 text-sm">
+              {['new', 'watched', 'update', 'unchanged', 'error'].map(status => `${plan.filter(row => row.status === status).length} ${status}`).join(' · ')}.
+              Positions already tracked but not in the file are left as they are.
+            </p>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-slate-400 border-b border-slate-700">
+                    <th className="py-2 pr-3">Symbol</th>
+                    <th className="py-2 pr-3">Status</th>
+                    <th className="py-2 pr-3">Entry</th>
+                    <th className="py-2 pr-3">Shares</th>
+                    <th className="py-2 pr-3">Last Close</th>
+                    <th className="py-2 pr-3">Notes</th>
+                    <th className="py-2">Action</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {plan.map((row, index) => {
+                    const { record, lookup } = row;
+                    return (
+                      <tr key={record.lines.join('-')} className="border-b border-slate-700/50 align-top">
+                        <td className="py-2 pr-3 text-white">{record.symbol || `Row ${record.line}`}{record.exchange && record.exchange !== 'US' ? `.${record.exchange}` : ''}</td>
+                        <td className={`py-2 pr-3 capitalize ${STATUS_STYLES[row.status]}`}>{row.status}</td>
+                        <td className="py-2 pr-3 text-slate-300">{record.entryPrice > 0 ? formatPrice(record.entryPrice, record.currency) : '-'}</td>
+                        <td className="py-2 pr-3 text-slate-300">{record.shares ?? '-'}</td>
+                        <td className="py-2 pr-3 text-slate-300">{lookup ? formatPrice(lookup.price, record.currency) : '-'}</td>
+                        <td className="py-2 pr-3 text-xs">
+                          {(row.changes || []).map(change => (
+                            <p key={change.field} className="text-amber-400">{change.field}: {change.from ?? '-'} → {+change.to.toFixed(4)}</p>
+                          ))}
+                          {row.errors.map(error => <p key={error} className="text-red-400">{error}</p>)}
+                          {row.problems.map(problem => <p key={problem} className="text-amber-400">{problem}</p>)}
+                          {lookup?.splitsUnavailable && <p className="text-amber-400">Split history unavailable; closes not split-adjusted</p>}
+                          {row.watched && <p className="text-blue-400">On your watchlist</p>}
+                          {record.lines.length > 1 && <p className="text-slate-500">Combined from rows {record.lines.join(', ')}</p>}
+                        </td>
+                        <td className="py-2">
+                          <select value={row.action} onChange={(e) => setAction(index, e.target.value)} className={selectClass}>
+                            {actionsFor(row, policy).map(action => <option key={action} value={action}>{ACTION_LABELS[action]}</option>)}
+                          </select>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+
+            {needsOverride && (
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-1">Override reason</label>
+                <input type="text" value={overrideReason} onChange={(e) => setOverrideReason(e.target.value)} placeholder="Why positions that miss the policy are added anyway" className="w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded text-white text-sm" />
+              </div>
+            )}
+
+            <div className="flex gap-3">
+              <button onClick={() => setStep('mapping')} className="flex-1 px-4 py-2 bg-slate-700 text-white rounded-lg hover:bg-slate-600 transition-colors">Back</button>
+              <button onClick={commit} disabled={chosen.length === 0 || saving} className="flex-1 px-4 py-2 bg-emerald-600 text-white rounded-lg hover:bg-emerald-700 disabled:bg-slate-600 transition-colors">
+                {saving ? 'Saving...' : `Import ${chosen.length} change${chosen.length === 1 ? '' : 's'}`}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,84 @@
+import React from 'react';
+import { CHANNELS, AUDIENCES, notificationSettings } from './shared/notifications';
+import { pushSupported, subscribeToPush } from './webPush';
+
+// Where each channel's address is entered; email uses the address above
+const CHANNEL_FIELDS = {
+  webhook: { field: 'webhookUrl', placeholder: 'https://example.com/hook' },
+  slack: { field: 'slackWebhookUrl', placeholder: 'https://hooks.slack.com/services/...' },
+  discord: { field: 'discordWebhookUrl', placeholder: 'https://discord.com/api/webhooks/...' },
+  telegram: { field: 'telegramChatId', placeholder: 'Chat ID' }
+};
+
+// Channel addresses and which channels alerts and summaries go out on
+export default function NotificationSettings({ preferences, onChange }) {
+  const settings = notificationSettings(preferences);
+  const update = (changes) => onChange({ ...preferences, notifications: { ...settings, ...changes } });
+
+  const toggle = (audience, channel) => {
+    const chosen = settings[audience] || [];
+    update({ [audience]: chosen.includes(channel) ? chosen.filter(c => c !== channel) : [...chosen, channel] });
+  };
+
+  const addPushSubscription = async () => {
+    try {
+      const subscription = await subscribeToPush();
+      const others = settings.pushSubscriptions.filter(s => s.endpoint !== subscription.endpoint);
+      update({ pushSubscriptions: [...others, subscription] });
+    } catch (error) {
+      alert(`Could not enable browser push: ${error.message}`);
+    }
+  };
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-slate-300 mb-2">Notification Channels</label>
+      <div className="space-y-2">
+        <div className="grid grid-cols-[1fr_auto_auto] gap-x-3 text-xs text-slate-500">
+          <span></span>
+          {Object.keys(AUDIENCES).map(audience => <span key={audience} title={AUDIENCES[audience]} className="w-16 text-center capitalize">{audience}</span>)}
+        </div>
+        {Object.entries(CHANNELS).map(([channel, def]) => (
+          <div key={channel} className="grid grid-cols-[1fr_auto_auto] gap-x-3 items-center">
+            <div>
+              <span className="text-sm text-slate-300">{def.label}</span>
+              {CHANNEL_FIELDS[channel] && (
+                <input
+                  type="text"
+                  value={settings[CHANNEL_FIELDS[channel].field] || ''}
+                  onChange={(e) => update({ [CHANNEL_FIELDS[channel].field]: e.target.value.trim() })}
+                  placeholder={CHANNEL_FIELDS[channel].placeholder}
+                  className="w-full mt-1 px-3 py-1 bg-slate-700 border border-slate-600 rounded text-white text-sm"
+                />
+              )}
+              {channel === 'webpush' && (
+                pushSupported() ? (
+                  <div className="flex items-center gap-2 mt-1 text-xs text-slate-400">
+                    <span>{settings.pushSubscriptions.length} browser(s)</span>
+                    <button type="button" onClick={addPushSubscription} className="text-blue-400 hover:text-blue-300">Add this browser</button>
+                    {settings.pushSubscriptions.length > 0 && (
+                      <button type="button" onClick={() => update({ pushSubscriptions: [] })} className="text-red-400 hover:text-red-300">Remove all</button>
+                    )}
+                  </div>
+                ) : (
+                  <p className="text-xs text-slate-500 mt-1">Not available in this browser or deployment</p>
+                )
+              )}
+            </div>
+            {Object.keys(AUDIENCES).map(audience => (
+              <input
+                key={audience}
+                type="checkbox"
+                checked={(settings[audience] || []).includes(channel)}
+                onChange={() => toggle(audience, channel)}
+                disabled={!def.configured(preferences, settings)}
+                className="w-16 h-4 text-emerald-500 disabled:opacity-40"
+              />
+            ))}
+          </div>
+        ))}
+      </div>
+      <p className="text-xs text-slate-500 mt-2">Alerts cover UM triggers, alert rules, intraday breaches and eligible watchlist candidates. A channel can be ticked once its address is filled in.</p>
+    </div>
+  );
+}
@@ -0,0 +1,130 @@
+import React from 'react';
+import { Printer, X } from 'lucide-react';
+import { currencyOf, formatPrice, formatAmount } from './shared/listings';
+import { calculateStopPrice, describeStopModel, umLadder } from './shared/umRules';
+import { positionSummary, portfolioTotals, realizedGain } from './shared/positions';
+import { describePolicy } from './shared/eligibility';
+import { archiveAnalytics, closedPositionStats } from './shared/analytics';
+import { distanceToTrigger } from './portfolioExport';
+
+const percent = (value, digits = 1) => (value === null || value === undefined || isNaN(value) ? '—' : `${value >= 0 ? '+' : ''}${value.toFixed(digits)}%`);
+
+function Figure({ label, value }) {
+  return (
+    <div>
+      <p className="text-slate-500 text-xs">{label}</p>
+      <p className="font-semibold">{value}</p>
+    </div>
+  );
+}
+
+// Printable quarterly review: each position's UM plan and distance to trigger, then realized outcomes
+export default function PortfolioReport({ stocks, archivedStocks, policy, baseCurrency, fx, onClose }) {
+  const today = new Date().toISOString().split('T')[0];
+  const totals = portfolioTotals(stocks, { baseCurrency, fx, umPrice: calculateStopPrice });
+  const { overall } = archiveAnalytics(archivedStocks);
+  const byDistance = [...stocks].sort((a, b) => (distanceToTrigger(a) ?? Infinity) - (distanceToTrigger(b) ?? Infinity));
+
+  return (
+    <div className="min-h-screen bg-white text-slate-900 p-8 print:p-0">
+      <div className="max-w-5xl mx-auto">
+        <div className="flex justify-end gap-2 mb-6 print:hidden">
+          <button onClick={() => window.print()} className="flex items-center gap-2 px-4 py-2 bg-emerald-600 text-white rounded-lg hover:bg-emerald-700 transition-colors">
+            <Printer size={18} /> Print or save as PDF
+          </button>
+          <button onClick={onClose} className="flex items-center gap-2 px-4 py-2 bg-slate-200 text-slate-800 rounded-lg hover:bg-slate-300 transition-colors">
+            <X size={18} /> Close
+          </button>
+        </div>
+
+        <h1 className="text-2xl font-bold">Upside Maximizer Portfolio Review</h1>
+        <p className="text-slate-500 text-sm mb-6">{today} · {stocks.length} active, {archivedStocks.length} closed · Policy v{policy.version}: {describePolicy(policy)}</p>
+
+        <div className="grid grid-cols-4 gap-4 mb-8 p-4 border border-slate-300 rounded-lg">
+          <Figure label={`Market Value (${baseCurrency})`} value={formatAmount(totals.marketValue, baseCurrency)} />
+          <Figure label="Protected at UM Prices" value={formatAmount(totals.protectedValue, baseCurrency)} />
+          <Figure label="Unrealized Gain" value={formatAmount(totals.unrealizedGain, baseCurrency)} />
+          <Figure label="Realized Gain (active)" value={formatAmount(totals.realizedGain, baseCurrency)} />
+        </div>
+
+        <h2 className="text-lg font-bold mb-1">Active Positions</h2>
+        <p className="text-slate-500 text-xs mb-3">Closest to trigger first. Distance is how far the last close would have to fall to reach the UM Execution Price.</p>
+        <div className="space-y-3 mb-8">
+          {byDistance.map(stock => {
+            const currency = currencyOf(stock);
+            const umPrice = calculateStopPrice(stock);
+            const summary = positionSummary(stock, umPrice);
+            const ladder = umLadder(stock);
+            return (
+              <div key={stock.id} className="border border-slate-300 rounded-lg p-3 break-inside-avoid">
+                <div className="flex justify-between items-baseline">
+                  <p className="font-semibold">{stock.symbol}{stock.companyName && stock.companyName !== stock.symbol ? ` - ${stock.companyName}` : ''}</p>
+                  <p className="text-slate-500 text-xs">Added {stock.dateAdded}{stock.eligibility ? ` · Policy v${stock.eligibility.policyVersion}` : ''}{stock.eligibility?.override ? ` · Override: ${stock.eligibility.override.reason}` : ''}</p>
+                </div>
+                <div className="grid grid-cols-6 gap-3 mt-2 text-sm">
+                  <Figure label="Entry" value={formatPrice(stock.entryPrice, currency)} />
+                  <Figure label="Last Close" value={`${formatPrice(stock.currentPrice, currency)} (${percent((stock.currentPrice - stock.entryPrice) / stock.entryPrice * 100)})`} />
+                  <Figure label="Highest Close" value={`${formatPrice(stock.highestClose, currency)} ${stock.highestCloseDate || ''}`} />
+                  <Figure label="UM Execution Price" value={umPrice === null ? 'Pending' : formatPrice(umPrice, currency)} />
+                  <Figure label="Distance to Trigger" value={stock.triggered ? `Triggered ${stock.triggeredDate || ''}` : percent(distanceToTrigger(stock, umPrice))} />
+                  <Figure label="Locked-in Profit" value={summary ? formatAmount(summary.lockedInProfit, currency) : '—'} />
+                </div>
+                <p className="text-xs text-slate-600 mt-2">Plan: {describeStopModel(stock)}</p>
+                {ladder.length > 1 && (
+                  <p className="text-xs text-slate-600">
+                    {ladder.map((level, i) => `L${i + 1} ${level.multiplier}× ${level.sharePercent}% at ${level.umPrice === null ? 'pending' : formatPrice(level.umPrice, currency)}${level.triggeredResolved ? ` (executed ${level.umExecutedDate || ''})` : level.triggered ? ' (triggered)' : ''}`).join(' · ')}
+                  </p>
+                )}
+                {summary && (
+                  <p className="text-xs text-slate-600">{+summary.sharesHeld.toFixed(4)} shares at {formatPrice(summary.costBasis, currency)} · Realized {formatAmount(summary.realizedGain, currency)}</p>
+                )}
+                {stock.note && <p className="text-xs text-slate-500 italic">"{stock.note}"</p>}
+              </div>
+            );
+          })}
+          {stocks.length === 0 && <p className="text-slate-500 text-sm">No active positions.</p>}
+        </div>
+
+        <h2 className="text-lg font-bold mb-1 break-before-page">Realized Outcomes</h2>
+        <p className="text-slate-500 text-xs mb-3">
+          {overall.count} closed · Avg gain {percent(overall.averageGain)} · Avg capture {overall.averageCaptureRatio === null ? '—' : `${(overall.averageCaptureRatio * 100).toFixed(0)}%`} · Avg giveback {percent(overall.averageGiveback)} · Median hold {overall.medianHoldingDays === null ? '—' : `${Math.round(overall.medianHoldingDays)}d`}
+        </p>
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-slate-500 border-b border-slate-300">
+              <th className="py-1 pr-2">Symbol</th>
+              <th className="py-1 pr-2">Held</th>
+              <th className="py-1 pr-2">Entry</th>
+              <th className="py-1 pr-2">Peak</th>
+              <th className="py-1 pr-2">Close</th>
+              <th className="py-1 pr-2">Gain</th>
+              <th className="py-1 pr-2">Capture</th>
+              <th className="py-1 pr-2">Realized</th>
+              <th className="py-1">Note</th>
+            </tr>
+          </thead>
+          <tbody>
+            {archivedStocks.map(stock => {
+              const stats = closedPositionStats(stock);
+              const currency = currencyOf(stock);
+              return (
+                <tr key={stock.id} className="border-b border-slate-200 align-top break-inside-avoid">
+                  <td className="py-1 pr-2 font-semibold">{stock.symbol}</td>
+                  <td className="py-1 pr-2 text-xs">{stock.dateAdded} – {stock.closeDate}{stats.holdingDays !== null ? ` (${stats.holdingDays}d)` : ''}</td>
+                  <td className="py-1 pr-2">{formatPrice(stock.entryPrice, currency)}</td>
+                  <td className="py-1 pr-2">{formatPrice(stock.highestClose, currency)}</td>
+                  <td className="py-1 pr-2">{formatPrice(parseFloat(stock.closePrice), currency)}</td>
+                  <td className="py-1 pr-2">{percent(stats.gain)}</td>
+                  <td className="py-1 pr-2">{stats.captureRatio === null ? '—' : `${(stats.captureRatio * 100).toFixed(0)}%`}</td>
+                  <td className="py-1 pr-2">{formatAmount(realizedGain(stock), currency)}</td>
+                  <td className="py-1 text-xs text-slate-600">{stock.closeNote}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        {archivedStocks.length === 0 && <p className="text-slate-500 text-sm mt-2">No closed positions.</p>}
+      </div>
+    </div>
+  );
+}
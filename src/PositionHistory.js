@@ -0,0 +1,44 @@
+import React, { useState, useEffect } from 'react';
+import { getEntryEvents } from './firebase';
+import { positionTimeline, formatChangeValue } from './shared/auditTrail';
+
+const KIND_LABELS = { added: 'Added', moved: 'Moved', removed: 'Removed' };
+
+// When a position's volatility, multiplier, note and highest close changed, newest first
+export default function PositionHistory({ userId, stockId }) {
+  const [timeline, setTimeline] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getEntryEvents(userId, stockId)
+      .then(events => { if (!cancelled) setTimeline(positionTimeline(events, stockId)); })
+      .catch(() => { if (!cancelled) setTimeline([]); });
+    return () => { cancelled = true; };
+  }, [userId, stockId]);
+
+  if (timeline === null) return <p className="text-slate-400 text-sm">Loading history...</p>;
+  if (timeline.length === 0) return <p className="text-slate-400 text-sm">No recorded changes yet. Changes are recorded from now on.</p>;
+
+  return (
+    <div className="space-y-2">
+      {timeline.map(entry => (
+        <div key={entry.eventId} className={`flex gap-3 text-sm ${entry.undone ? 'opacity-50' : ''}`}>
+          <span className="text-slate-500 w-36 shrink-0">{new Date(entry.time).toLocaleString()}</span>
+          <div>
+            <p className="text-slate-300">
+              {entry.action}
+              {entry.source === 'updater' && <span className="text-slate-500"> · nightly update</span>}
+              {entry.undone && <span className="text-slate-500"> · undone</span>}
+            </p>
+            {entry.fields.map(field => (
+              <p key={field.field} className="text-xs text-slate-400">
+                {field.label}: {entry.kind === 'added' ? formatChangeValue(field.after) : `${formatChangeValue(field.before)} → ${formatChangeValue(field.after)}`}
+              </p>
+            ))}
+            {entry.fields.length === 0 && KIND_LABELS[entry.kind] && <p className="text-xs text-slate-500">{KIND_LABELS[entry.kind]}</p>}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,66 @@
+import React, { useState } from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import { formatPrice } from './shared/listings';
+
+const emptyEntry = () => ({ type: 'buy', date: new Date().toISOString().split('T')[0], shares: '', price: '' });
+
+// Buy lots and sales for one position, with a form to record more
+export default function PositionLots({ stock, currency, onAddEntry, onRemoveEntry }) {
+  const [entry, setEntry] = useState(emptyEntry);
+
+  const rows = [
+    ...(stock.lots || []).map(lot => ({ ...lot, type: 'buy' })),
+    ...(stock.sales || []).map(sale => ({ ...sale, type: 'sell' }))
+  ].sort((a, b) => a.date.localeCompare(b.date));
+
+  const submit = () => {
+    const shares = parseFloat(entry.shares);
+    const price = parseFloat(entry.price);
+    if (!(shares > 0) || !(price > 0) || !entry.date) { alert('Please enter a date, share count and price'); return; }
+    onAddEntry(entry.type, { id: Date.now(), date: entry.date, shares, price });
+    setEntry(emptyEntry());
+  };
+
+  return (
+    <div>
+      {rows.length === 0 ? (
+        <p className="text-slate-500 text-sm mb-3">No lots recorded. Add your buys to see cost basis and dollar values.</p>
+      ) : (
+        <table className="w-full text-sm mb-3">
+          <thead>
+            <tr className="text-slate-500 text-xs text-left">
+              <th className="pb-1 font-normal">Date</th>
+              <th className="pb-1 font-normal">Type</th>
+              <th className="pb-1 font-normal text-right">Shares</th>
+              <th className="pb-1 font-normal text-right">Price</th>
+              <th className="pb-1"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={`${row.type}-${row.id}`} className="text-slate-300">
+                <td className="py-1">{row.date}</td>
+                <td className={`py-1 ${row.type === 'buy' ? 'text-emerald-400' : 'text-amber-400'}`}>{row.type === 'buy' ? 'Buy' : 'Sell'}</td>
+                <td className="py-1 text-right">{row.shares}</td>
+                <td className="py-1 text-right">{formatPrice(row.price, currency)}</td>
+                <td className="py-1 text-right">
+                  <button onClick={() => onRemoveEntry(row.type, row.id)} className="text-slate-600 hover:text-red-400 transition-colors"><Trash2 size={14} /></button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <div className="flex flex-wrap gap-2 items-end">
+        <select value={entry.type} onChange={(e) => setEntry({...entry, type: e.target.value})} className="px-2 py-1 bg-slate-700 border border-slate-600 rounded text-white text-sm">
+          <option value="buy">Buy</option>
+          <option value="sell">Sell</option>
+        </select>
+        <input type="date" value={entry.date} onChange={(e) => setEntry({...entry, date: e.target.value})} className="px-2 py-1 bg-slate-700 border border-slate-600 rounded text-white text-sm" />
+        <input type="number" step="any" min="0" value={entry.shares} onChange={(e) => setEntry({...entry, shares: e.target.value})} placeholder="Shares" className="w-24 px-2 py-1 bg-slate-700 border border-slate-600 rounded text-white text-sm" />
+        <input type="number" step="0.01" min="0" value={entry.price} onChange={(e) => setEntry({...entry, price: e.target.value})} placeholder="Price" className="w-24 px-2 py-1 bg-slate-700 border border-slate-600 rounded text-white text-sm" />
+        <button onClick={submit} className="px-3 py-1 bg-emerald-600 text-white text-sm rounded hover:bg-emerald-700 flex items-center gap-1"><Plus size={14} /> Add</button>
+      </div>
+    </div>
+  );
+}
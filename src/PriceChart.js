@@ -0,0 +1,64 @@
+import React from 'react';
+import { formatPrice } from './shared/listings';
+
+const WIDTH = 600;
+const HEIGHT = 180;
+const PADDING = { top: 10, right: 10, bottom: 20, left: 50 };
+
+// Closes, running highest close and the UM Execution Price line for one position
+export default function PriceChart({ history, currency, getUMPrice }) {
+  if (!history || history.length < 2) {
+    return <p className="text-slate-500 text-sm">Not enough price history yet. A close is recorded after each market day.</p>;
+  }
+
+  // Models that need more history than is saved have no UM price early on
+  let runningHigh = 0;
+  const points = history.map(({ date, close }, i) => {
+    runningHigh = Math.max(runningHigh, close);
+    return { date, close, high: runningHigh, um: getUMPrice(runningHigh, date, history.slice(0, i + 1)) };
+  });
+
+  const values = points.flatMap(p => [p.close, p.high, p.um]).filter(v => v !== null);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const range = max - min || 1;
+
+  const x = (i) => PADDING.left + (i / (points.length - 1)) * (WIDTH - PADDING.left - PADDING.right);
+  const y = (v) => PADDING.top + (1 - (v - min) / range) * (HEIGHT - PADDING.top - PADDING.bottom);
+  const line = (key) => points.map((p, i) => (p[key] === null ? null : `${x(i).toFixed(1)},${y(p[key]).toFixed(1)}`)).filter(Boolean).join(' ');
+
+  // How close the nearest dip came to the UM price at the time
+  const closest = points.filter(p => p.um !== null).reduce((best, p) => {
+    const distance = (p.close - p.um) / p.close * 100;
+    return !best || distance < best.distance ? { ...p, distance } : best;
+  }, null);
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto">
+        <text x={PADDING.left - 6} y={y(max) + 4} textAnchor="end" className="fill-slate-500" fontSize="10">{formatPrice(max, currency)}</text>
+        <text x={PADDING.left - 6} y={y(min) + 4} textAnchor="end" className="fill-slate-500" fontSize="10">{formatPrice(min, currency)}</text>
+        <text x={PADDING.left} y={HEIGHT - 4} className="fill-slate-500" fontSize="10">{points[0].date}</text>
+        <text x={WIDTH - PADDING.right} y={HEIGHT - 4} textAnchor="end" className="fill-slate-500" fontSize="10">{points[points.length - 1].date}</text>
+        <polyline points={line('high')} fill="none" stroke="#34d399" strokeWidth="1" strokeDasharray="4 3" />
+        <polyline points={line('um')} fill="none" stroke="#fb923c" strokeWidth="1.5" />
+        <polyline points={line('close')} fill="none" stroke="#e2e8f0" strokeWidth="1.5" />
+        {points.map((p, i) => p.um !== null && p.close <= p.um && (
+          <circle key={p.date} cx={x(i)} cy={y(p.close)} r="3" fill="#f87171" />
+        ))}
+      </svg>
+      <div className="flex flex-wrap gap-4 text-xs mt-1">
+        <span className="text-slate-300">— Close</span>
+        <span className="text-emerald-400">- - Highest Close</span>
+        <span className="text-orange-400">— UM Execution Price</span>
+        <span className="text-slate-400">
+          {!closest
+            ? 'UM price needs more saved history'
+            : closest.distance > 0
+            ? `Closest approach: ${closest.distance.toFixed(1)}% above UM on ${closest.date}`
+            : `Closed at or below UM on ${closest.date}`}
+        </span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,53 @@
+import React from 'react';
+import { STOP_MODELS } from './shared/umRules';
+
+const PARAM_LABELS = {
+  atrPeriod: 'ATR Period (days)',
+  atrMultiple: 'ATR Multiple',
+  period: 'Moving Average (days)',
+  startPercent: 'Starting % Below High',
+  stepPercent: 'Tighten By (%)',
+  minPercent: 'Floor (%)',
+  everyDays: 'Every N Days'
+};
+
+// Stop model picker plus the parameters of the chosen model. The volatility
+// model's inputs are the existing Typical Volatility and Multiplier fields.
+export default function StopModelFields({ value, onChange, compact = false }) {
+  const type = value?.type || 'volatility';
+  const params = { ...STOP_MODELS[type].defaults, ...value };
+  const inputClass = compact
+    ? 'w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded text-white text-sm'
+    : 'w-full px-4 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white focus:ring-2 focus:ring-emerald-500';
+  const labelClass = compact ? 'block text-xs text-slate-400 mb-1' : 'block text-sm font-medium text-slate-300 mb-2';
+
+  return (
+    <div className="space-y-3">
+      <div>
+        <label className={labelClass}>Stop Model</label>
+        <select value={type} onChange={(e) => onChange({ type: e.target.value, ...STOP_MODELS[e.target.value].defaults })} className={inputClass}>
+          {Object.entries(STOP_MODELS).map(([key, model]) => (
+            <option key={key} value={key}>{model.label}</option>
+          ))}
+        </select>
+      </div>
+      {Object.keys(STOP_MODELS[type].defaults).length > 0 && (
+        <div className="grid grid-cols-2 gap-3">
+          {Object.keys(STOP_MODELS[type].defaults).map(key => (
+            <div key={key}>
+              <label className={labelClass}>{PARAM_LABELS[key] || key}</label>
+              <input
+                type="number"
+                step="any"
+                min="0"
+                value={params[key]}
+                onChange={(e) => onChange({ ...params, type, [key]: e.target.value === '' ? '' : parseFloat(e.target.value) })}
+                className={inputClass}
+              />
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+import React from 'react';
+import { Plus, X } from 'lucide-react';
+
+// Staged exit plan: several UM levels, each with its own multiplier and share
+// of the position. An empty plan keeps the single multiplier above.
+export default function TierPlanFields({ tiers, onChange, baseMultiplier, compact = false }) {
+  const inputClass = compact
+    ? 'w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded text-white text-sm'
+    : 'w-full px-4 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white focus:ring-2 focus:ring-emerald-500';
+  const labelClass = compact ? 'block text-xs text-slate-400 mb-1' : 'block text-sm font-medium text-slate-300 mb-2';
+  const total = tiers.reduce((sum, tier) => sum + (parseFloat(tier.sharePercent) || 0), 0);
+
+  const update = (id, field, value) => onChange(tiers.map(tier => tier.id === id ? { ...tier, [field]: value } : tier));
+
+  // Start from the single level, then split the position evenly
+  const addLevel = () => {
+    const start = tiers.length === 0
+      ? [{ id: Date.now() - 1, multiplier: String(baseMultiplier ?? ''), sharePercent: '' }]
+      : tiers;
+    const last = parseFloat(start[start.length - 1].multiplier) || 1;
+    const next = [...start, { id: Date.now(), multiplier: String(last + 1), sharePercent: '' }];
+    const even = Math.floor(1000 / next.length) / 10;
+    onChange(next.map((tier, i) => ({ ...tier, sharePercent: String(i === next.length - 1 ? +(100 - even * (next.length - 1)).toFixed(1) : even) })));
+  };
+
+  return (
+    <div>
+      <div className="flex justify-between items-center">
+        <label className={labelClass}>UM Levels</label>
+        <button type="button" onClick={addLevel} className="text-xs text-blue-400 hover:text-blue-300 flex items-center gap-1">
+          <Plus size={12} /> Add level
+        </button>
+      </div>
+      {tiers.length === 0 ? (
+        <p className="text-xs text-slate-500">One level: sell the whole position at the UM Execution Price.</p>
+      ) : (
+        <div className="space-y-2">
+          {tiers.map((tier, i) => (
+            <div key={tier.id} className="flex items-center gap-2">
+              <span className="text-xs text-slate-500 w-6">L{i + 1}</span>
+              <input type="number" step="0.25" min="0" value={tier.multiplier} onChange={(e) => update(tier.id, 'multiplier', e.target.value)} disabled={tier.triggered || tier.triggeredResolved} placeholder="Multiplier" className={inputClass} />
+              <span className="text-slate-500 text-sm">×</span>
+              <input type="number" step="any" min="0" max="100" value={tier.sharePercent} onChange={(e) => update(tier.id, 'sharePercent', e.target.value)} disabled={tier.triggered || tier.triggeredResolved} placeholder="% of position" className={inputClass} />
+              <span className="text-slate-500 text-sm">%</span>
+              {!tier.triggered && !tier.triggeredResolved && (
+                <button type="button" onClick={() => onChange(tiers.filter(t => t.id !== tier.id))} className="text-slate-500 hover:text-red-400"><X size={14} /></button>
+              )}
+            </div>
+          ))}
+          <p className={`text-xs ${Math.abs(total - 100) > 0.5 ? 'text-amber-400' : 'text-slate-500'}`}>Levels cover {+total.toFixed(1)}% of the position</p>
+        </div>
+      )}
+    </div>
+  );
+}
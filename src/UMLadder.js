@@ -0,0 +1,51 @@
+import React, { useState } from 'react';
+import { AlertCircle, CheckCircle, Edit3 } from 'lucide-react';
+import { formatPrice } from './shared/listings';
+
+// Every UM level of a tiered position, first to trigger at the top
+export default function UMLadder({ ladder, currentPrice, currency, sharesBought, onResolve, onSaveExecutedDate }) {
+  const [editing, setEditing] = useState({ id: null, date: '' });
+
+  return (
+    <div className="mt-3 space-y-1">
+      {ladder.map((level, i) => {
+        const distance = level.umPrice === null ? null : (currentPrice - level.umPrice) / currentPrice * 100;
+        return (
+          <div key={level.id} className={`flex justify-between items-center text-sm px-2 py-1 rounded ${level.triggered ? 'bg-red-900/40' : 'bg-slate-800/60'}`}>
+            <span className="text-slate-400">
+              L{i + 1} · {level.multiplier}× · {level.sharePercent}%
+              {sharesBought !== null && <span className="text-slate-500"> ({+(sharesBought * level.sharePercent / 100).toFixed(4)} sh)</span>}
+            </span>
+            <div className="flex items-center gap-3">
+              <span className={`font-semibold ${level.triggeredResolved ? 'text-slate-500 line-through' : 'text-orange-400'}`}>
+                {level.umPrice === null ? 'Pending' : formatPrice(level.umPrice, currency)}
+              </span>
+              {level.triggered ? (
+                <div className="flex items-center gap-2">
+                  <span className="text-red-400 font-semibold flex items-center gap-1 text-xs"><AlertCircle size={14} /> TRIGGERED {level.triggeredDate}</span>
+                  <button onClick={() => onResolve(level.id)} className="px-2 py-0.5 bg-slate-700 text-slate-300 text-xs rounded hover:bg-slate-600 border border-slate-600 transition-colors">Resolve</button>
+                </div>
+              ) : level.triggeredResolved ? (
+                editing.id === level.id ? (
+                  <div className="flex items-center gap-1">
+                    <input type="date" value={editing.date} onChange={(e) => setEditing({ ...editing, date: e.target.value })} className="px-2 py-0.5 bg-slate-700 border border-slate-600 rounded text-white text-xs" autoFocus />
+                    <button onClick={() => { onSaveExecutedDate(level.id, editing.date); setEditing({ id: null, date: '' }); }} className="px-2 py-0.5 bg-emerald-600 text-white text-xs rounded hover:bg-emerald-700">Save</button>
+                    <button onClick={() => setEditing({ id: null, date: '' })} className="px-2 py-0.5 bg-slate-600 text-white text-xs rounded hover:bg-slate-500">✕</button>
+                  </div>
+                ) : (
+                  <div className="flex items-center gap-1">
+                    <CheckCircle size={12} className="text-red-400/70" />
+                    <span className="text-red-400/70 text-xs">Executed - {level.umExecutedDate || 'unknown date'}</span>
+                    <button onClick={() => setEditing({ id: level.id, date: level.umExecutedDate || new Date().toISOString().split('T')[0] })} className="text-slate-600 hover:text-slate-400 transition-colors"><Edit3 size={12} /></button>
+                  </div>
+                )
+              ) : (
+                <span className={`text-xs w-12 text-right ${distance !== null && distance < 5 ? 'text-red-400' : 'text-slate-500'}`}>{distance === null ? '—' : `${distance.toFixed(1)}%`}</span>
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
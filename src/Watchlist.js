@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+import { Eye, Trash2, Edit3, TrendingUp } from 'lucide-react';
+import { currencyOf, formatPrice } from './shared/listings';
+import { eligiblePrice, watchTarget, isEligible, targetProgress } from './shared/watchlist';
+
+// Candidates on their way to meeting the eligibility policy, promoted to a UM position once they do
+export default function Watchlist({ items, policy, onPromote, onRemove, onSaveTarget }) {
+  const [editingTargetId, setEditingTargetId] = useState(null);
+  const [editingTarget, setEditingTarget] = useState('');
+
+  if (items.length === 0) return null;
+  const today = new Date().toISOString().split('T')[0];
+
+  const saveTarget = (id) => {
+    onSaveTarget(id, parseFloat(editingTarget) || null);
+    setEditingTargetId(null);
+  };
+
+  return (
+    <div className="bg-slate-800/50 backdrop-blur rounded-lg shadow-xl p-6 mb-6 border border-slate-700">
+      <div className="flex items-center gap-2 mb-4">
+        <Eye className="text-blue-400" size={24} />
+        <h2 className="text-xl font-bold text-white">Watchlist</h2>
+        <span className="bg-slate-700 text-slate-400 text-xs px-2 py-0.5 rounded-full">{items.length}</span>
+      </div>
+      <div className="space-y-3">
+        {items.map(item => {
+          const currency = currencyOf(item);
+          const gain = (item.currentPrice - item.entryPrice) / item.entryPrice * 100;
+          const eligible = isEligible(item, policy, today);
+          return (
+            <div key={item.id} id={`watch-${item.id}`} className={`p-4 rounded-lg border ${eligible ? 'bg-emerald-900/20 border-emerald-700' : 'bg-slate-900/50 border-slate-700'}`}>
+              <div className="flex flex-wrap justify-between items-start gap-3">
+                <div>
+                  <p className="text-lg font-semibold text-white">
+                    {item.symbol}{item.companyName && item.companyName !== item.symbol ? ` - ${item.companyName}` : ''}
+                  </p>
+                  <p className="text-slate-500 text-xs">
+                    Watching since {item.dateAdded}{item.purchaseDate ? ` · Bought ${item.purchaseDate}` : ''}{item.lastProcessedDate ? ` · Last close ${item.lastProcessedDate}` : ''}
+                  </p>
+                  {item.note && <p className="text-slate-400 text-sm italic mt-1">"{item.note}"</p>}
+                </div>
+                <div className="flex items-center gap-2">
+                  {eligible && (
+                    <button
+                      onClick={() => onPromote(item)}
+                      className="flex items-center gap-1 px-3 py-1.5 bg-emerald-600 text-white text-sm rounded-lg hover:bg-emerald-700 transition-colors"
+                      title="Start an Upside Maximizer for this position"
+                    >
+                      <TrendingUp size={14} />
+                      Promote{item.volatilityEstimate ? ` at ${item.volatilityEstimate.value}%` : ''}
+                    </button>
+                  )}
+                  <button onClick={() => onRemove(item.id)} className="text-red-400 hover:text-red-300 transition-colors" title="Remove from watchlist">
+                    <Trash2 size={18} />
+                  </button>
+                </div>
+              </div>
+
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-3">
+                <div>
+                  <p className="text-slate-400 text-sm">Entry Price</p>
+                  <p className="text-white font-semibold">{formatPrice(item.entryPrice, currency)}</p>
+                </div>
+                <div>
+                  <p className="text-slate-400 text-sm">Last Close</p>
+                  <p className="text-white font-semibold">{formatPrice(item.currentPrice, currency)}</p>
+                  <p className={`text-xs ${gain >= 0 ? 'text-emerald-400' : 'text-red-400'}`}>{gain >= 0 ? '+' : ''}{gain.toFixed(1)}%</p>
+                </div>
+                <div>
+                  <p className="text-slate-400 text-sm">Eligible At</p>
+                  <p className={`font-semibold ${eligible ? 'text-emerald-400' : 'text-white'}`}>{formatPrice(eligiblePrice(item, policy), currency)}</p>
+                  {item.eligibleDate && <p className="text-slate-500 text-xs">Reached {item.eligibleDate}</p>}
+                </div>
+                <div>
+                  <p className="text-slate-400 text-sm">Target</p>
+                  {editingTargetId === item.id ? (
+                    <div className="flex gap-1">
+                      <input type="number" step="0.01" value={editingTarget} onChange={(e) => setEditingTarget(e.target.value)} placeholder={eligiblePrice(item, policy).toFixed(2)} className="w-24 px-2 py-1 bg-slate-700 border border-slate-600 rounded text-white text-sm" autoFocus />
+                      <button onClick={() => saveTarget(item.id)} className="px-2 py-1 bg-emerald-600 text-white text-xs rounded hover:bg-emerald-700">Save</button>
+                    </div>
+                  ) : (
+                    <div className="flex items-center gap-2">
+                      <p className="text-white font-semibold">{formatPrice(watchTarget(item, policy), currency)}</p>
+                      <button onClick={() => { setEditingTargetId(item.id); setEditingTarget(item.targetPrice ? String(item.targetPrice) : ''); }} className="text-slate-500 hover:text-slate-300 transition-colors"><Edit3 size={14} /></button>
+                    </div>
+                  )}
+                </div>
+              </div>
+
+              <div className="mt-3">
+                <div className="h-2 bg-slate-700 rounded-full overflow-hidden">
+                  <div className={`h-full ${eligible ? 'bg-emerald-500' : 'bg-blue-500'}`} style={{ width: `${targetProgress(item, policy) * 100}%` }} />
+                </div>
+                <p className="text-slate-500 text-xs mt-1">
+                  {Math.round(targetProgress(item, policy) * 100)}% of the way to target
+                  {item.volatilityEstimate && ` · Suggested volatility ${item.volatilityEstimate.value}% (${item.volatilityEstimate.description.toLowerCase()})`}
+                </p>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -1,6 +1,6 @@
 import { initializeApp } from 'firebase/app';
 import { getAuth, GoogleAuthProvider, signInWithPopup, signInWithEmailAndPassword, createUserWithEmailAndPassword, signOut } from 'firebase/auth';
-import { getFirestore, doc, setDoc, getDoc, onSnapshot, collection } from 'firebase/firestore';
+import { getFirestore, doc, setDoc, getDoc, getDocs, onSnapshot, collection, query, where, orderBy, limit, writeBatch } from 'firebase/firestore';
 
 // Firebase configuration
 // You'll need to replace these with your actual Firebase config
@@ -46,7 +46,6 @@ export const signUpWithEmail = async (email, password) => {
     // Create initial portfolio for new user
     await setDoc(doc(db, 'portfolios', result.user.uid), {
       stocks: [],
-      alerts: [],
       lastUpdate: null,
       createdAt: new Date().toISOString()
     });
@@ -67,12 +66,22 @@ export const logOut = async () => {
 };
 
 // Database functions
-export const savePortfolio = async (userId, portfolioData) => {
+// `event` (src/shared/auditTrail.js) is written with the portfolio in one batch;
+// an undo event also marks the event it reverses as undone. Only the fields
+// passed are replaced, so ones the app doesn't manage, such as legacy alerts
+// still waiting for the nightly script to move them, are left alone.
+export const savePortfolio = async (userId, portfolioData, event = null) => {
   try {
-    await setDoc(doc(db, 'portfolios', userId), {
+    const batch = writeBatch(db);
+    batch.set(doc(db, 'portfolios', userId), {
       ...portfolioData,
       lastUpdate: new Date().toISOString()
-    });
+    }, { merge: true });
+    if (event) {
+      batch.set(doc(db, 'portfolios', userId, 'events', event.id), event);
+      if (event.undoOf) batch.update(doc(db, 'portfolios', userId, 'events', event.undoOf), { undoneAt: event.time });
+    }
+    await batch.commit();
   } catch (error) {
     console.error('Error saving portfolio:', error);
     throw error;
@@ -90,7 +99,6 @@ export const getPortfolio = async (userId) => {
       // Create initial portfolio if it doesn't exist
       const initialPortfolio = {
         stocks: [],
-        alerts: [],
         lastUpdate: null
       };
       await setDoc(docRef, initialPortfolio);
@@ -111,4 +119,104 @@ export const subscribeToPortfolio = (userId, callback) => {
   });
 };
 
+// Alert inbox: portfolios/{uid}/alerts, written by the update scripts.
+// The app changes read, acknowledged and snoozed state and restores backups.
+export const subscribeToAlerts = (userId, callback, count = 200) => {
+  const alertsQuery = query(collection(db, 'portfolios', userId, 'alerts'), orderBy('time', 'desc'), limit(count));
+  return onSnapshot(alertsQuery, (snapshot) => {
+    callback(snapshot.docs.map(d => ({ ...d.data(), id: d.id })));
+  }, (error) => console.error('Error loading alerts:', error));
+};
+
+export const updateAlerts = async (userId, alertIds, changes) => {
+  try {
+    const batch = writeBatch(db);
+    alertIds.forEach(id => batch.update(doc(db, 'portfolios', userId, 'alerts', id), changes));
+    await batch.commit();
+  } catch (error) {
+    console.error('Error updating alerts:', error);
+    throw error;
+  }
+};
+
+// Every alert, newest first, for exports and backups
+export const getAlerts = async (userId) => {
+  try {
+    const snapshot = await getDocs(query(collection(db, 'portfolios', userId, 'alerts'), orderBy('time', 'desc')));
+    // The stored id wins so a restore writes back exactly what was read
+    return snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+  } catch (error) {
+    console.error('Error getting alerts:', error);
+    throw error;
+  }
+};
+
+// Write alerts back from a backup under their own ids, in batches of Firestore's 500 limit
+export const restoreAlerts = async (userId, alerts) => {
+  try {
+    for (let i = 0; i < alerts.length; i += 500) {
+      const batch = writeBatch(db);
+      alerts.slice(i, i + 500).forEach(alert => batch.set(doc(db, 'portfolios', userId, 'alerts', String(alert.id)), alert));
+      await batch.commit();
+    }
+  } catch (error) {
+    console.error('Error restoring alerts:', error);
+    throw error;
+  }
+};
+
+// Audit trail of portfolio changes, newest first
+export const subscribeToEvents = (userId, callback, count = 50) => {
+  const eventsQuery = query(collection(db, 'portfolios', userId, 'events'), orderBy('time', 'desc'), limit(count));
+  return onSnapshot(eventsQuery, (snapshot) => {
+    callback(snapshot.docs.map(d => d.data()));
+  }, (error) => console.error('Error loading change history:', error));
+};
+
+// Every event that touched one position, watchlist candidate or closed position
+export const getEntryEvents = async (userId, entryId) => {
+  try {
+    const snapshot = await getDocs(query(collection(db, 'portfolios', userId, 'events'), where('entryIds', 'array-contains', entryId)));
+    return snapshot.docs.map(d => d.data());
+  } catch (error) {
+    console.error('Error getting position history:', error);
+    throw error;
+  }
+};
+
+// Delivery log written by the scripts in .github/scripts, newest first
+export const subscribeToNotificationLog = (userId, callback, count = 30) => {
+  const logQuery = query(collection(db, 'portfolios', userId, 'notifications'), orderBy('createdAt', 'desc'), limit(count));
+  return onSnapshot(logQuery, (snapshot) => {
+    callback(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+  }, (error) => console.error('Error loading delivery history:', error));
+};
+
+// Price history functions
+// Daily closes live in a shared prices/{SYMBOL} document, keyed by session
+// date. Only the nightly script writes it; the app reads it.
+export const getPriceHistory = async (symbol) => {
+  try {
+    const docSnap = await getDoc(doc(db, 'prices', symbol));
+    if (!docSnap.exists()) return [];
+    const closes = docSnap.data().closes || {};
+    return Object.keys(closes).sort().map(date => ({ date, close: closes[date] }));
+  } catch (error) {
+    console.error('Error getting price history:', error);
+    throw error;
+  }
+};
+
+// FX rates functions
+// The nightly script stores daily rates in fx/{date} and the newest in fx/latest
+export const getFxRates = async () => {
+  try {
+    const docSnap = await getDoc(doc(db, 'fx', 'latest'));
+    return docSnap.exists() ? docSnap.data() : null;
+  } catch (error) {
+    console.error('Error getting FX rates:', error);
+    throw error;
+  }
+};
+
 export { auth, db };
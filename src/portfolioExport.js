@@ -0,0 +1,142 @@
+// Portfolio exports: CSV sheets for spreadsheets and the versioned JSON backup
+
+import { exchangeOf, currencyOf, assetTypeOf } from './shared/listings';
+import { calculateStopPrice, describeStopModel } from './shared/umRules';
+import { sharesHeld, costBasis, realizedGain } from './shared/positions';
+import { closedPositionStats } from './shared/analytics';
+
+export const BACKUP_FORMAT = 'upside-maximizer-backup';
+// Bump when the backup layout changes; readBackup refuses newer versions
+export const BACKUP_VERSION = 1;
+
+const round = (value, digits = 4) => (value === null || value === undefined || isNaN(value) ? null : +value.toFixed(digits));
+
+// How far the last close is above the UM Execution Price, as a share of the close
+export function distanceToTrigger(stock, umPrice = calculateStopPrice(stock)) {
+  if (umPrice === null || !(stock.currentPrice > 0)) return null;
+  return (stock.currentPrice - umPrice) / stock.currentPrice * 100;
+}
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// [header, (row) => value] columns to CSV text with a header row
+export function toCsv(columns, rows) {
+  return [columns.map(([header]) => header), ...rows.map(row => columns.map(([, value]) => value(row)))]
+    .map(cells => cells.map(csvCell).join(','))
+    .join('\r\n');
+}
+
+export const STOCK_COLUMNS = [
+  ['Symbol', s => s.symbol],
+  ['Exchange', exchangeOf],
+  ['Currency', currencyOf],
+  ['Asset Type', assetTypeOf],
+  ['Company', s => s.companyName],
+  ['Date Added', s => s.dateAdded],
+  ['Purchase Date', s => s.purchaseDate],
+  ['Entry Price', s => s.entryPrice],
+  ['Shares Held', sharesHeld],
+  ['Cost Basis', s => round(costBasis(s))],
+  ['Last Close', s => s.currentPrice],
+  ['Last Close Date', s => s.lastProcessedDate],
+  ['Gain %', s => round((s.currentPrice - s.entryPrice) / s.entryPrice * 100, 2)],
+  ['Highest Close', s => s.highestClose],
+  ['Highest Close Date', s => s.highestCloseDate],
+  ['UM Plan', s => describeStopModel(s)],
+  ['Typical Volatility %', s => s.typicalVolatility],
+  ['Multiplier', s => s.volatilityMultiplier],
+  ['UM Execution Price', s => round(calculateStopPrice(s))],
+  ['Distance to Trigger %', s => round(distanceToTrigger(s), 2)],
+  ['Triggered', s => (s.triggered ? s.triggeredDate || 'yes' : '')],
+  ['UM Executed', s => s.umExecutedDate],
+  ['Realized Gain', s => round(realizedGain(s), 2)],
+  ['Policy Version', s => s.eligibility?.policyVersion],
+  ['Override Reason', s => s.eligibility?.override?.reason],
+  ['Note', s => s.note]
+];
+
+export const ARCHIVE_COLUMNS = [
+  ['Symbol', s => s.symbol],
+  ['Exchange', exchangeOf],
+  ['Currency', currencyOf],
+  ['Company', s => s.companyName],
+  ['Date Added', s => s.dateAdded],
+  ['Close Date', s => s.closeDate],
+  ['Holding Days', s => closedPositionStats(s).holdingDays],
+  ['Entry Price', s => s.entryPrice],
+  ['Highest Close', s => s.highestClose],
+  ['Close Price', s => parseFloat(s.closePrice)],
+  ['Gain %', s => round(closedPositionStats(s).gain, 2)],
+  ['Peak Gain %', s => round(closedPositionStats(s).peakGain, 2)],
+  ['Capture Ratio', s => round(closedPositionStats(s).captureRatio, 3)],
+  ['Giveback from Peak %', s => round(closedPositionStats(s).givebackFromPeak, 2)],
+  ['Multiplier', s => s.volatilityMultiplier],
+  ['Realized Gain', s => round(realizedGain(s), 2)],
+  ['Close Note', s => s.closeNote],
+  ['Note', s => s.note]
+];
+
+export const ALERT_COLUMNS = [
+  ['Time', a => a.time],
+  ['Date', a => a.date],
+  ['Type', a => a.type],
+  ['Symbol', a => a.symbol],
+  ['Message', a => a.message],
+  ['Read', a => (a.read ? 'yes' : 'no')],
+  ['Acknowledged At', a => a.acknowledgedAt],
+  ['Snoozed Until', a => a.snoozedUntil],
+  ['Note', a => a.note]
+];
+
+// Everything a restore needs, as stored: the portfolio document's fields and the alert inbox
+export function createBackup({ stocks, archivedStocks, watchlist, emailPreferences, alerts }) {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    portfolio: { stocks, archivedStocks, watchlist, emailPreferences },
+    alerts
+  };
+}
+
+/**
+ * The backup in `text`, checked before anything is overwritten. Throws an
+ * Error with a message for the user when it isn't a backup this app can read.
+ */
+export function readBackup(text) {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (e) {
+    throw new Error('The file is not valid JSON');
+  }
+  if (!backup || backup.format !== BACKUP_FORMAT) throw new Error('The file is not an Upside Maximizer backup');
+  if (!(backup.version <= BACKUP_VERSION)) throw new Error(`The backup is from a newer version of the app (v${backup.version}); update the app to restore it`);
+
+  const { portfolio = {}, alerts = [] } = backup;
+  const lists = { stocks: portfolio.stocks, archivedStocks: portfolio.archivedStocks || [], watchlist: portfolio.watchlist || [] };
+  if (!Object.values(lists).every(Array.isArray) || !Array.isArray(alerts)) throw new Error('The backup is incomplete');
+  if (alerts.some(alert => !alert.id)) throw new Error('The backup has alerts without an id');
+
+  return {
+    exportedAt: backup.exportedAt,
+    portfolio: { ...lists, emailPreferences: portfolio.emailPreferences || { summaryFrequency: 'none', emailAddress: '' } },
+    alerts
+  };
+}
+
+// Save text as a file through a temporary link
+export function downloadFile(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,254 @@
+// Reading positions from CSV files and broker exports for the import dialog
+
+import { EXCHANGES, CURRENCIES, listingKey } from './shared/listings';
+import { sharesHeld } from './shared/positions';
+import { eligibilityProblems } from './shared/eligibility';
+
+// Position fields a column can be mapped to; `guess` picks a column from its header
+export const IMPORT_FIELDS = {
+  symbol: { label: 'Symbol', required: true, guess: /^(symbol|ticker)$/i },
+  entryPrice: { label: 'Entry price per share', guess: /^(avg|average)\b.*(cost|price)|^entry|^cost per share|^purchase price/i },
+  costBasis: { label: 'Total cost', guess: /^(cost basis( total)?|total cost)$/i },
+  shares: { label: 'Shares', guess: /^(shares|quantity|qty)\b/i },
+  purchaseDate: { label: 'Bought on', guess: /^(date|bought|purchase date|acquired|open date)/i },
+  exchange: { label: 'Exchange', guess: /^exchange$/i },
+  currency: { label: 'Currency', guess: /^currency$/i },
+  typicalVolatility: { label: 'Typical volatility (%)', guess: /volatility/i },
+  volatilityMultiplier: { label: 'Multiplier', guess: /multiplier/i },
+  note: { label: 'Note', guess: /^(note|notes|comment|memo)$/i }
+};
+
+// Exchange names as they appear in files, beyond our own codes
+const EXCHANGE_ALIASES = {
+  NYSE: 'US', NASDAQ: 'US', AMEX: 'US', ARCA: 'US', BATS: 'US', NMS: 'US',
+  LON: 'LSE', TO: 'TSX', TOR: 'TSX', TYO: 'TSE', JPX: 'TSE'
+};
+
+/**
+ * Broker exports the importer recognizes by their header row. `columns`
+ * maps fields to the broker's header names (the first one present wins),
+ * `skip` drops cash, totals and similar rows.
+ */
+export const BROKER_FORMATS = {
+  csv: { label: 'CSV (map the columns yourself)' },
+  schwab: {
+    label: 'Charles Schwab positions',
+    signature: ['Symbol', 'Cost Basis', 'Security Type'],
+    columns: { symbol: ['Symbol'], shares: ['Qty (Quantity)', 'Quantity'], costBasis: ['Cost Basis'] },
+    skip: (record) => /^(cash|account total)/i.test(record.Symbol) || /^cash/i.test(record['Security Type'] || ''),
+    assetType: (record) => (/ETF/i.test(record['Security Type'] || '') ? 'etf' : 'stock')
+  },
+  fidelity: {
+    label: 'Fidelity positions',
+    signature: ['Account Number', 'Symbol', 'Average Cost Basis'],
+    columns: { symbol: ['Symbol'], shares: ['Quantity'], entryPrice: ['Average Cost Basis'], costBasis: ['Cost Basis Total'] },
+    // Money market sweeps are marked with **, pending activity has no symbol
+    skip: (record) => !record.Symbol || /\*\*$/.test(record.Symbol) || /pending activity/i.test(record.Symbol)
+  },
+  ibkr: {
+    label: 'Interactive Brokers Flex query (open positions)',
+    signature: ['Symbol', 'CostBasisPrice'],
+    columns: { symbol: ['Symbol'], shares: ['Quantity', 'Position'], entryPrice: ['CostBasisPrice'], costBasis: ['CostBasisMoney'], purchaseDate: ['OpenDateTime'], exchange: ['ListingExchange'], currency: ['CurrencyPrimary'] },
+    // Lot-level rows repeat the summary row's shares
+    skip: (record) => (record.AssetClass && !['STK', 'CRYPTO'].includes(record.AssetClass)) || (record.LevelOfDetail && record.LevelOfDetail !== 'SUMMARY'),
+    assetType: (record) => (record.AssetClass === 'CRYPTO' ? 'crypto' : record.SubCategory === 'ETF' ? 'etf' : 'stock'),
+    // IBKR calls Toronto TSE and Tokyo TSEJ
+    exchanges: { TSE: 'TSX', TSEJ: 'TSE', PAXOS: 'CRYPTO', ZEROHASH: 'CRYPTO' }
+  }
+};
+
+// Rows of cells from CSV text; handles quotes, escaped quotes and CRLF
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') { cell += '"'; i++; }
+      else if (char === '"') quoted = false;
+      else cell += char;
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell); cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row); row = []; cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) { row.push(cell); rows.push(row); }
+
+  // Flex queries with header and trailer records prefix rows with their type and section
+  return rows
+    .filter(r => !['BOF', 'EOF', 'BOA', 'EOA', 'BOS', 'EOS'].includes(r[0]))
+    .map(r => (['HEADER', 'DATA'].includes(r[0]) ? r.slice(2) : r))
+    .map(r => r.map(c => c.trim()))
+    .filter(r => r.some(c => c !== ''));
+}
+
+// '$1,234.56', '(12.5)' and '--' style numbers; null when there is no number
+export function parseNumber(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  if (!text || /^(-+|n\/?a)$/i.test(text)) return null;
+  const negative = /^\(.*\)$/.test(text) || text.startsWith('-');
+  const number = parseFloat(text.replace(/[^0-9.]/g, ''));
+  if (Number.isNaN(number)) return null;
+  return negative ? -number : number;
+}
+
+// YYYY-MM-DD from ISO, US (MM/DD/YYYY) or IBKR (YYYYMMDD;HHMMSS) dates
+export function parseDate(value) {
+  const text = String(value || '').trim();
+  let match = text.match(/^(\d{4})-(\d{2})-(\d{2})/) || text.match(/^(\d{4})(\d{2})(\d{2})/);
+  if (match) return `${match[1]}-${match[2]}-${match[3]}`;
+  match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+  if (match) return `${match[3]}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+  return null;
+}
+
+// Which format a file is in and the row holding its column names
+export function detectFormat(rows) {
+  for (const [format, broker] of Object.entries(BROKER_FORMATS)) {
+    if (!broker.signature) continue;
+    const headerIndex = rows.slice(0, 20).findIndex(row => broker.signature.every(name => row.includes(name)));
+    if (headerIndex >= 0) return { format, headerIndex };
+  }
+  return { format: 'csv', headerIndex: 0 };
+}
+
+// Field to column name for a format's header row; '' leaves a field unmapped
+export function defaultMapping(format, header) {
+  const broker = BROKER_FORMATS[format];
+  return Object.fromEntries(Object.entries(IMPORT_FIELDS).map(([field, { guess }]) => {
+    const column = broker.columns
+      ? (broker.columns[field] || []).find(name => header.includes(name))
+      : header.find(name => guess.test(name));
+    return [field, column || ''];
+  }));
+}
+
+/**
+ * Positions read from the rows under the header, one per data row, with
+ * the problems that stop a row from being imported in `errors`. Rows a
+ * broker format skips (cash, totals) and repeated header rows are left out.
+ */
+export function readPositions(rows, { format, headerIndex, mapping, defaultExchange = 'US' }) {
+  const broker = BROKER_FORMATS[format];
+  const header = rows[headerIndex] || [];
+  const records = [];
+
+  rows.slice(headerIndex + 1).forEach((cells, i) => {
+    const record = Object.fromEntries(header.map((name, column) => [name, cells[column] ?? '']));
+    if (header.every((name, column) => cells[column] === name)) return;
+    if (broker.skip && broker.skip(record)) return;
+    const value = (field) => (mapping[field] ? record[mapping[field]] : '');
+    const errors = [];
+
+    // IBKR writes some London symbols with a trailing dot, e.g. BP.
+    const symbol = value('symbol').toUpperCase().replace(/\s+/g, '').replace(/\.$/, '');
+    if (!symbol) errors.push('No symbol');
+
+    const exchangeCode = value('exchange').toUpperCase();
+    const exchange = !exchangeCode
+      ? defaultExchange
+      : (broker.exchanges && broker.exchanges[exchangeCode]) || (EXCHANGES[exchangeCode] ? exchangeCode : EXCHANGE_ALIASES[exchangeCode]);
+    if (!exchange) errors.push(`Unknown exchange ${exchangeCode}`);
+
+    const shares = parseNumber(value('shares'));
+    let entryPrice = parseNumber(value('entryPrice'));
+    const costBasis = parseNumber(value('costBasis'));
+    if (!(entryPrice > 0) && costBasis > 0 && shares > 0) entryPrice = costBasis / shares;
+
+    // Files quote London listings in pounds; positions there are kept in pence
+    const fileCurrency = value('currency').toUpperCase();
+    let currency = exchange ? EXCHANGES[exchange].currency : 'USD';
+    if (fileCurrency === 'GBP' && currency === 'GBX') entryPrice = entryPrice === null ? null : entryPrice * CURRENCIES.GBX.perUnit;
+    else if (CURRENCIES[fileCurrency]) currency = fileCurrency;
+    if (!(entryPrice > 0)) errors.push('No entry price or total cost');
+    if (shares !== null && !(shares > 0)) errors.push('Shares must be above zero');
+
+    const assetType = exchange && EXCHANGES[exchange].crypto ? 'crypto' : broker.assetType ? broker.assetType(record) : 'stock';
+    records.push({
+      line: headerIndex + i + 2,
+      symbol,
+      exchange: assetType === 'crypto' ? 'CRYPTO' : exchange,
+      currency,
+      assetType,
+      entryPrice,
+      shares,
+      purchaseDate: parseDate(value('purchaseDate')),
+      typicalVolatility: parseNumber(value('typicalVolatility')),
+      volatilityMultiplier: parseNumber(value('volatilityMultiplier')),
+      note: value('note'),
+      errors
+    });
+  });
+  return records;
+}
+
+// One position per listing: the same symbol in several accounts or lots is combined
+export function combineListings(records) {
+  const combined = new Map();
+  for (const record of records) {
+    if (record.errors.length > 0 || !combined.has(listingKey(record))) {
+      combined.set(record.errors.length > 0 ? `line-${record.line}` : listingKey(record), { ...record, lines: [record.line] });
+      continue;
+    }
+    const into = combined.get(listingKey(record));
+    const shares = (into.shares || 0) + (record.shares || 0);
+    combined.set(listingKey(record), {
+      ...into,
+      shares: shares || null,
+      entryPrice: shares ? ((into.shares || 0) * into.entryPrice + (record.shares || 0) * record.entryPrice) / shares : into.entryPrice,
+      purchaseDate: [into.purchaseDate, record.purchaseDate].filter(Boolean).sort()[0] || null,
+      lines: [...into.lines, record.line]
+    });
+  }
+  return [...combined.values()];
+}
+
+const samePrice = (a, b) => Math.abs(a - b) < 0.005;
+
+/**
+ * The import as a diff against the portfolio: each position with its
+ * looked-up listing (or null when the lookup failed), its status (new,
+ * update, unchanged, watched or error), eligibility problems under `policy`
+ * and the default action (add, update, watch or skip).
+ */
+export function planImport(records, { stocks, watchlist, policy, today, lookups }) {
+  return records.map(record => {
+    const lookup = record.errors.length === 0 ? lookups[listingKey(record)] : undefined;
+    if (record.errors.length > 0 || !lookup) {
+      const errors = record.errors.length > 0 ? record.errors : [`${record.symbol} not found on ${EXCHANGES[record.exchange].label}`];
+      return { record, lookup: null, status: 'error', errors, problems: [], action: 'skip' };
+    }
+
+    const existing = stocks.find(stock => listingKey(stock) === listingKey(record));
+    if (existing) {
+      const held = sharesHeld(existing);
+      const changes = [
+        !samePrice(existing.entryPrice, record.entryPrice) && { field: 'Entry price', from: existing.entryPrice, to: record.entryPrice },
+        record.shares !== null && held !== record.shares && { field: 'Shares', from: held, to: record.shares }
+      ].filter(Boolean);
+      if (changes.length === 0) return { record, lookup, existing, status: 'unchanged', errors: [], problems: [], changes, action: 'skip' };
+      // Sales and separate buys can't be rebuilt from a positions file, so those are edited by hand
+      const errors = (existing.sales || []).length > 0 ? ['Has recorded sales; update its lots by hand']
+        : (existing.lots || []).length > 1 && changes.some(change => change.field === 'Shares') ? [`Bought in ${existing.lots.length} lots; update its lots by hand`]
+        : [];
+      return { record, lookup, existing, status: 'update', errors, problems: [], changes, action: errors.length > 0 ? 'skip' : 'update' };
+    }
+
+    const problems = eligibilityProblems({ ...record, currentPrice: lookup.price }, policy, today);
+    const watched = watchlist.find(item => listingKey(item) === listingKey(record));
+    const errors = record.typicalVolatility || lookup.volatilityEstimate ? [] : ['No typical volatility in the file and no suggestion from the lookup'];
+    const action = problems.length > 0 ? (watched ? 'skip' : 'watch') : errors.length > 0 ? 'skip' : 'add';
+    return { record, lookup, watched, status: watched ? 'watched' : 'new', errors, problems, action };
+  });
+}
@@ -0,0 +1,136 @@
+/**
+ * Upside Maximizer - Alert Rules
+ * Notifications beyond the UM trigger itself, set on a position
+ * (stock.alertRules) or for every position in a portfolio
+ * (emailPreferences.alertRules).
+ *
+ * CommonJS so the scripts in .github/scripts can require it too.
+ * A rule is { id, type, ...params }. Condition rules fire when their
+ * condition turns true and re-arm once it is false again, so a position
+ * sitting near its UM price is reported once rather than every night.
+ * Event rules (a new high) fire on every session they match. Either way a
+ * rule fires at most once per session; that state is kept on the stock in
+ * alertState, keyed by ruleKey.
+ */
+
+const { currencyOf, formatPrice } = require('./listings');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Highlight threshold in the daily summary when no approaching rule is set
+const DEFAULT_APPROACH_PERCENT = 10;
+
+const gainPercent = (stock, close) => (close - stock.entryPrice) / stock.entryPrice * 100;
+const distancePercent = (close, umPrice) => (umPrice === null ? null : (close - umPrice) / close * 100);
+const daysSinceHigh = (stock, date) => (new Date(date) - new Date(stock.highestCloseDate || stock.dateAdded)) / DAY_MS;
+
+// Each type: label, params with defaults for the form, check(stock, params, session) and message(...).
+// session is { date, close, previousHigh, umPrice }, checked after the close is applied.
+const ALERT_RULES = {
+  approachingTrigger: {
+    label: 'Close within % of UM price',
+    params: { percent: { label: 'Within %', default: 10 } },
+    check: (stock, { percent }, { close, umPrice }) => {
+      const distance = distancePercent(close, umPrice);
+      return distance !== null && distance > 0 && distance < percent;
+    },
+    message: (stock, { percent }, { close, umPrice }) =>
+      `${stock.symbol} closed within ${percent}% of its UM Execution Price: ${formatPrice(close, currencyOf(stock))} vs ${formatPrice(umPrice, currencyOf(stock))} (${distancePercent(close, umPrice).toFixed(1)}% away)`
+  },
+  newHigh: {
+    label: 'New highest close',
+    params: {},
+    event: true,
+    check: (stock, params, { close, previousHigh }) => close > (previousHigh || 0),
+    message: (stock, params, { close }) =>
+      `${stock.symbol} made a new highest close at ${formatPrice(close, currencyOf(stock))}`
+  },
+  gainAbove: {
+    label: 'Gain above %',
+    params: { percent: { label: 'Gain %', default: 200 } },
+    check: (stock, { percent }, { close }) => gainPercent(stock, close) >= percent,
+    message: (stock, { percent }, { close }) =>
+      `${stock.symbol} is up ${gainPercent(stock, close).toFixed(0)}% from entry, past your ${percent}% mark`
+  },
+  noNewHigh: {
+    label: 'No new high for days',
+    params: { days: { label: 'Days', default: 90 } },
+    check: (stock, { days }, { date }) => daysSinceHigh(stock, date) >= days,
+    message: (stock, params, { date }) =>
+      `${stock.symbol} has gone ${Math.floor(daysSinceHigh(stock, date))} days without a new high (last ${stock.highestCloseDate || stock.dateAdded})`
+  }
+};
+
+const ruleKey = (scope, rule) => `${scope}:${rule.id}`;
+
+// The position's own rules, then the portfolio-wide ones, with their state keys
+function rulesFor(stock, portfolioRules = []) {
+  return [
+    ...(stock.alertRules || []).map(rule => ({ key: ruleKey('position', rule), rule })),
+    ...portfolioRules.map(rule => ({ key: ruleKey('portfolio', rule), rule }))
+  ].filter(({ rule }) => ALERT_RULES[rule.type]);
+}
+
+// Fill in defaults for params a stored rule leaves out
+function ruleParams(rule) {
+  const params = {};
+  for (const [name, param] of Object.entries(ALERT_RULES[rule.type].params)) {
+    params[name] = rule[name] ?? param.default;
+  }
+  return params;
+}
+
+function describeAlertRule(rule) {
+  const type = ALERT_RULES[rule.type];
+  if (!type) return 'Unknown rule';
+  const params = ruleParams(rule);
+  switch (rule.type) {
+    case 'approachingTrigger': return `Close within ${params.percent}% of UM price`;
+    case 'gainAbove': return `Gain above ${params.percent}%`;
+    case 'noNewHigh': return `No new high for ${params.days} days`;
+    default: return type.label;
+  }
+}
+
+/**
+ * Check every rule against one session and update stock.alertState.
+ * Returns what fired as [{ key, rule, date, message }]. Mutates the stock.
+ */
+function evaluateAlertRules(stock, portfolioRules, session) {
+  const rules = rulesFor(stock, portfolioRules);
+  const state = {};
+  const fired = [];
+
+  for (const { key, rule } of rules) {
+    const type = ALERT_RULES[rule.type];
+    const params = ruleParams(rule);
+    const previous = (stock.alertState || {})[key] || { active: false, firedDate: null };
+    const active = type.check(stock, params, session);
+    const fires = active && previous.firedDate !== session.date && (type.event || !previous.active);
+
+    state[key] = { active, firedDate: fires ? session.date : previous.firedDate };
+    if (fires) fired.push({ key, rule, date: session.date, message: type.message(stock, params, session) });
+  }
+
+  // Rules that were removed drop out of the state
+  stock.alertState = state;
+  return fired;
+}
+
+// The percentage the summary email highlights a position at
+function approachThreshold(stock, portfolioRules = []) {
+  const percents = rulesFor(stock, portfolioRules)
+    .filter(({ rule }) => rule.type === 'approachingTrigger')
+    .map(({ rule }) => ruleParams(rule).percent);
+  return percents.length > 0 ? Math.max(...percents) : DEFAULT_APPROACH_PERCENT;
+}
+
+module.exports = {
+  ALERT_RULES,
+  DEFAULT_APPROACH_PERCENT,
+  rulesFor,
+  ruleParams,
+  describeAlertRule,
+  evaluateAlertRules,
+  approachThreshold
+};
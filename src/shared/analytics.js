@@ -0,0 +1,108 @@
+/**
+ * Upside Maximizer - Archive Analytics
+ * Outcomes of closed positions: the gain realized versus the gain available
+ * at the highest close, giveback from the peak and holding time, overall,
+ * as a distribution and per volatility multiplier. Positions with lots
+ * count every sale, scale-outs included, against the cost basis.
+ *
+ * CommonJS so the nightly script in .github/scripts can require it too.
+ */
+
+const { costBasis, sharesBought, positionSummary } = require('./positions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const GAIN_BUCKETS = [
+  { label: 'Loss', max: 0 },
+  { label: '0–100%', max: 100 },
+  { label: '100–200%', max: 200 },
+  { label: '200–500%', max: 500 },
+  { label: '500%+', max: Infinity }
+];
+
+const average = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+
+const median = (values) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Average price the shares were sold at, weighted by shares; the close price without lots
+function exitPrice(stock) {
+  const sales = stock.sales || [];
+  const sold = sales.reduce((total, sale) => total + sale.shares, 0);
+  return costBasis(stock) !== null && sold > 0
+    ? sales.reduce((total, sale) => total + sale.shares * sale.price, 0) / sold
+    : parseFloat(stock.closePrice);
+}
+
+// Per-position outcome: what was realized versus what was available at the peak
+function closedPositionStats(stock) {
+  const summary = positionSummary(stock, null);
+  const entry = summary ? summary.costBasis : stock.entryPrice;
+  const exit = exitPrice(stock);
+  const gain = summary
+    ? summary.realizedGain / (entry * sharesBought(stock)) * 100
+    : (exit - entry) / entry * 100;
+  const peakGain = (stock.highestClose - entry) / entry * 100;
+  const holdingDays = stock.dateAdded && stock.closeDate
+    ? Math.round((new Date(stock.closeDate) - new Date(stock.dateAdded)) / DAY_MS)
+    : null;
+
+  return {
+    id: stock.id,
+    symbol: stock.symbol,
+    multiplier: stock.volatilityMultiplier,
+    gain,
+    peakGain,
+    captureRatio: peakGain > 0 ? gain / peakGain : null,
+    givebackFromPeak: (stock.highestClose - exit) / stock.highestClose * 100,
+    holdingDays
+  };
+}
+
+function summarize(stats) {
+  const pick = (key) => stats.map(s => s[key]).filter(v => v !== null && !isNaN(v));
+  return {
+    count: stats.length,
+    averageGain: average(pick('gain')),
+    averageCaptureRatio: average(pick('captureRatio')),
+    averageGiveback: average(pick('givebackFromPeak')),
+    averageHoldingDays: average(pick('holdingDays')),
+    medianHoldingDays: median(pick('holdingDays'))
+  };
+}
+
+function archiveAnalytics(archivedStocks) {
+  const stats = archivedStocks.map(closedPositionStats);
+  const holdingDays = stats.map(s => s.holdingDays).filter(d => d !== null);
+
+  const distribution = GAIN_BUCKETS.map((bucket, i) => ({
+    label: bucket.label,
+    count: stats.filter(s => s.gain < bucket.max && (i === 0 || s.gain >= GAIN_BUCKETS[i - 1].max)).length
+  }));
+
+  const multipliers = [...new Set(stats.map(s => s.multiplier))].sort((a, b) => a - b);
+  const byMultiplier = multipliers.map(multiplier => ({
+    multiplier,
+    ...summarize(stats.filter(s => s.multiplier === multiplier))
+  }));
+
+  return {
+    overall: {
+      ...summarize(stats),
+      shortestHoldingDays: holdingDays.length ? Math.min(...holdingDays) : null,
+      longestHoldingDays: holdingDays.length ? Math.max(...holdingDays) : null
+    },
+    distribution,
+    byMultiplier,
+    positions: stats
+  };
+}
+
+module.exports = {
+  closedPositionStats,
+  archiveAnalytics
+};
@@ -0,0 +1,171 @@
+/**
+ * Upside Maximizer - Audit Trail
+ * Each save of the portfolio document from the app is recorded as an event
+ * in portfolios/{uid}/events with the before and after value of every field
+ * it changed, so edits can be reviewed, shown per position and undone. The
+ * nightly updater records its highest close changes the same way.
+ *
+ * Changes are kept per entry (a position, closed position or watchlist
+ * candidate, by id) and per top-level field. Undoing an event puts back
+ * only what it changed, on top of the portfolio as it is now, so closes
+ * applied by the nightly updater in between are kept.
+ *
+ * CommonJS so the nightly script in .github/scripts can require it too.
+ */
+
+const LISTS = ['stocks', 'archivedStocks', 'watchlist'];
+
+// How many of the latest app actions can be undone, newest first
+const UNDO_DEPTH = 5;
+
+// Fields in a position's history timeline
+const TIMELINE_FIELDS = {
+  typicalVolatility: 'Typical volatility',
+  volatilityMultiplier: 'Multiplier',
+  note: 'Note',
+  highestClose: 'Highest close'
+};
+
+// JSON with object keys sorted, so key order alone never counts as a change
+const stable = (value) => JSON.stringify(value, (key, v) => (
+  v && typeof v === 'object' && !Array.isArray(v) ? Object.fromEntries(Object.keys(v).sort().map(k => [k, v[k]])) : v
+));
+
+// Fields that differ between two versions of an entry, as { field: { before, after } }.
+// Missing values are stored as null since Firestore has no undefined.
+function changedFields(before, after, only = null) {
+  const fields = {};
+  for (const field of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (only && !only.includes(field)) continue;
+    if (stable(before[field] ?? null) === stable(after[field] ?? null)) continue;
+    fields[field] = { before: before[field] ?? null, after: after[field] ?? null };
+  }
+  return fields;
+}
+
+/**
+ * Entry-level changes between two versions of the portfolio document:
+ * entries added to or removed from a list (with the whole entry) and
+ * changed fields of the ones in both. `only` limits the fields compared.
+ */
+function portfolioChanges(before, after, only = null) {
+  const changes = [];
+  for (const list of LISTS) {
+    if (!after[list]) continue;
+    const was = before[list] || [];
+    for (const entry of after[list]) {
+      const old = was.find(e => e.id === entry.id);
+      if (!old) {
+        if (!only) changes.push({ list, id: entry.id, symbol: entry.symbol || null, kind: 'added', after: entry });
+        continue;
+      }
+      const fields = changedFields(old, entry, only);
+      if (Object.keys(fields).length > 0) changes.push({ list, id: entry.id, symbol: entry.symbol || null, kind: 'changed', fields });
+    }
+    if (only) continue;
+    was.forEach((entry, index) => {
+      if (!after[list].some(e => e.id === entry.id)) changes.push({ list, id: entry.id, symbol: entry.symbol || null, kind: 'removed', index, before: entry });
+    });
+  }
+  if (after.emailPreferences && !only) {
+    const fields = changedFields(before.emailPreferences || {}, after.emailPreferences);
+    if (Object.keys(fields).length > 0) changes.push({ list: 'emailPreferences', kind: 'changed', fields });
+  }
+  return changes;
+}
+
+/**
+ * The event for saving `after` over `before`. `source` is 'app' or
+ * 'updater'; `undoOf` is the id of the event an undo reverses. Events with
+ * no changes are only saved for undos, to mark the original undone.
+ */
+function portfolioEvent(action, before, after, { source = 'app', undoOf = null, only = null } = {}) {
+  const changes = portfolioChanges(before, after, only);
+  const time = new Date().toISOString();
+  return {
+    id: `${Date.now()}-${source}`,
+    time,
+    source,
+    action,
+    changes,
+    entryIds: [...new Set(changes.filter(c => c.id !== undefined).map(c => c.id))],
+    undoOf,
+    undoneAt: null
+  };
+}
+
+// The portfolio with an event's changes reversed on top of `current`
+function revertEvent(current, event) {
+  const next = {
+    ...current,
+    ...Object.fromEntries(LISTS.map(list => [list, [...(current[list] || [])]])),
+    emailPreferences: { ...(current.emailPreferences || {}) }
+  };
+  const previous = (fields) => Object.fromEntries(Object.entries(fields).map(([field, { before }]) => [field, before]));
+
+  for (const change of [...event.changes].reverse()) {
+    if (change.list === 'emailPreferences') {
+      Object.assign(next.emailPreferences, previous(change.fields));
+      continue;
+    }
+    const entries = next[change.list];
+    const at = entries.findIndex(e => e.id === change.id);
+    if (change.kind === 'added' && at >= 0) entries.splice(at, 1);
+    if (change.kind === 'removed' && at < 0) entries.splice(Math.min(change.index, entries.length), 0, change.before);
+    if (change.kind === 'changed' && at >= 0) entries[at] = { ...entries[at], ...previous(change.fields) };
+  }
+  return next;
+}
+
+// The latest app action that can still be undone, within the last UNDO_DEPTH actions
+function nextUndo(events) {
+  return events
+    .filter(event => event.source === 'app' && !event.undoOf)
+    .slice(0, UNDO_DEPTH)
+    .find(event => !event.undoneAt) || null;
+}
+
+/**
+ * One position's history from its events, newest first: when it was added,
+ * moved between lists (closed, promoted) or removed, and each change to a
+ * TIMELINE_FIELDS field. Additions list the fields' starting values.
+ */
+function positionTimeline(events, id) {
+  const entries = [];
+  for (const event of events) {
+    const changes = event.changes.filter(c => c.id === id);
+    if (changes.length === 0) continue;
+    const added = changes.find(c => c.kind === 'added');
+    const removed = changes.find(c => c.kind === 'removed');
+    const change = added || removed || changes[0];
+    const kind = added && removed ? 'moved' : change.kind;
+    const values = kind === 'changed' ? change.fields : kind === 'added' ? changedFields({}, change.after) : {};
+    const fields = Object.keys(TIMELINE_FIELDS)
+      .filter(field => values[field])
+      .map(field => ({ field, label: TIMELINE_FIELDS[field], ...values[field] }));
+    if (kind === 'changed' && fields.length === 0) continue;
+    entries.push({ eventId: event.id, time: event.time, action: event.action, source: event.source, list: change.list, kind, fields, undone: Boolean(event.undoneAt) });
+  }
+  return entries.sort((a, b) => b.time.localeCompare(a.time));
+}
+
+// A before or after value for display
+function formatChangeValue(value) {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'number') return String(+value.toFixed(4));
+  if (typeof value === 'string') return value;
+  if (typeof value === 'boolean') return value ? 'yes' : 'no';
+  if (Array.isArray(value)) return `${value.length} item${value.length === 1 ? '' : 's'}`;
+  return value.type || 'changed';
+}
+
+module.exports = {
+  UNDO_DEPTH,
+  TIMELINE_FIELDS,
+  portfolioChanges,
+  portfolioEvent,
+  revertEvent,
+  nextUndo,
+  positionTimeline,
+  formatChangeValue
+};
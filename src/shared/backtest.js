@@ -0,0 +1,73 @@
+/**
+ * Upside Maximizer - UM Rule Backtest
+ * Replays the close-only UM rule over historical candles.
+ *
+ * Works on any candle array (provider, saved history or fixture), so it
+ * runs the same in the add form and offline from .github/scripts/backtest.js.
+ */
+
+const { calculateUMPrice } = require('./umRules');
+
+const DEFAULT_MULTIPLIERS = [1.0, 1.5, 2.0, 2.5, 3.0, 3.5, 4.0];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Hold from the first candle's close until a close at or below the UM
+ * price, exactly as the nightly updater would have. Gains are measured
+ * from the first close; buy-and-hold rides to the last close.
+ */
+function backtestUMRule(candles, typicalVolatility, multiplier) {
+  if (!candles || candles.length < 2) return null;
+
+  const start = candles[0];
+  const last = candles[candles.length - 1];
+  let highestClose = start.close;
+  let highestCloseDate = start.date;
+  let exit = null;
+
+  for (const candle of candles.slice(1)) {
+    if (candle.close > highestClose) {
+      highestClose = candle.close;
+      highestCloseDate = candle.date;
+    }
+    const umPrice = calculateUMPrice(highestClose, typicalVolatility, multiplier);
+    if (candle.close <= umPrice) {
+      exit = { date: candle.date, price: candle.close, umPrice };
+      break;
+    }
+  }
+
+  const exitPrice = exit ? exit.price : last.close;
+  const exitDate = exit ? exit.date : last.date;
+  const gain = (exitPrice - start.close) / start.close * 100;
+  const peakGain = (highestClose - start.close) / start.close * 100;
+
+  return {
+    multiplier,
+    triggered: !!exit,
+    triggerDate: exit ? exit.date : null,
+    exitPrice,
+    umPriceAtExit: exit ? exit.umPrice : calculateUMPrice(highestClose, typicalVolatility, multiplier),
+    highestClose,
+    highestCloseDate,
+    startDate: start.date,
+    startPrice: start.close,
+    daysHeld: Math.round((new Date(exitDate) - new Date(start.date)) / DAY_MS),
+    gain,
+    buyAndHoldGain: (last.close - start.close) / start.close * 100,
+    captureRatio: peakGain > 0 ? gain / peakGain : null
+  };
+}
+
+// Run the same window across a grid of multipliers
+function sweepMultipliers(candles, typicalVolatility, multipliers = DEFAULT_MULTIPLIERS) {
+  return multipliers
+    .map(multiplier => backtestUMRule(candles, typicalVolatility, multiplier))
+    .filter(Boolean);
+}
+
+module.exports = {
+  DEFAULT_MULTIPLIERS,
+  backtestUMRule,
+  sweepMultipliers
+};
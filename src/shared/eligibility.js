@@ -0,0 +1,77 @@
+/**
+ * Upside Maximizer - Eligibility Policy
+ * Which positions may get an Upside Maximizer: a minimum gain from entry,
+ * an optional minimum holding period, and whether a position that misses
+ * them can be admitted anyway with a reason. The policy lives in user
+ * settings (emailPreferences.eligibilityPolicy) and is applied the same
+ * way by the add form, imports and the nightly updater's watchlist check.
+ *
+ * Every saved change to the terms bumps the policy's version; positions
+ * record the version and terms they were admitted under (admissionRecord).
+ *
+ * CommonJS so the nightly script in .github/scripts can require it too.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The rule before policies were configurable: doubled, held any time, no overrides
+const DEFAULT_POLICY = { version: 0, minGainPercent: 100, minHoldingDays: null, allowOverride: false };
+
+const eligibilityPolicy = (prefs = {}) => ({ ...DEFAULT_POLICY, ...(prefs.eligibilityPolicy || {}) });
+
+// The lowest price at which a position bought at `entryPrice` meets the gain threshold
+const requiredPrice = (entryPrice, policy) => entryPrice * (1 + policy.minGainPercent / 100);
+
+const daysHeld = (purchaseDate, today) => Math.floor((new Date(today) - new Date(purchaseDate)) / DAY_MS);
+
+const sameTerms = (a, b) =>
+  a.minGainPercent === b.minGainPercent && (a.minHoldingDays || null) === (b.minHoldingDays || null) && Boolean(a.allowOverride) === Boolean(b.allowOverride);
+
+/**
+ * Reasons a position does not meet the policy, empty when it does.
+ * `purchaseDate` (YYYY-MM-DD) is only needed when there is a holding period.
+ */
+function eligibilityProblems({ entryPrice, currentPrice, purchaseDate }, policy, today) {
+  const problems = [];
+  if (!(currentPrice >= requiredPrice(entryPrice, policy))) {
+    const gain = (currentPrice - entryPrice) / entryPrice * 100;
+    problems.push(`Must be up at least ${policy.minGainPercent}% from entry (now ${gain >= 0 ? '+' : ''}${gain.toFixed(1)}%)`);
+  }
+  if (policy.minHoldingDays) {
+    if (!purchaseDate) {
+      problems.push(`Needs a purchase date for the ${policy.minHoldingDays}-day holding period`);
+    } else if (daysHeld(purchaseDate, today) < policy.minHoldingDays) {
+      problems.push(`Must be held at least ${policy.minHoldingDays} days (held ${Math.max(0, daysHeld(purchaseDate, today))})`);
+    }
+  }
+  return problems;
+}
+
+// What a position keeps about the policy it was admitted under
+function admissionRecord(policy, today, overrideReason = null) {
+  return {
+    policyVersion: policy.version,
+    minGainPercent: policy.minGainPercent,
+    minHoldingDays: policy.minHoldingDays || null,
+    override: overrideReason ? { reason: overrideReason } : null,
+    admittedAt: today
+  };
+}
+
+function describePolicy(policy) {
+  return [
+    `Up ${policy.minGainPercent}%+ from entry`,
+    policy.minHoldingDays && `held ${policy.minHoldingDays}+ days`,
+    policy.allowOverride && 'overrides with a reason'
+  ].filter(Boolean).join(', ');
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  eligibilityPolicy,
+  requiredPrice,
+  sameTerms,
+  eligibilityProblems,
+  admissionRecord,
+  describePolicy
+};
@@ -0,0 +1,118 @@
+/**
+ * Upside Maximizer - Listings and Currencies
+ * What kind of asset a position is, which exchange it trades on, how
+ * providers spell its symbol, and how its native-currency values convert
+ * to a base currency.
+ *
+ * CommonJS so the scripts in .github/scripts can require it too.
+ * Positions without an exchange are US listings priced in USD.
+ *
+ * FX rates are { date, base: 'USD', rates: { GBP: 0.79, ... } }: units of
+ * each currency per US dollar.
+ */
+
+// Provider symbol suffixes per exchange; a provider missing from the map
+// does not cover that exchange
+const EXCHANGES = {
+  US: { label: 'US (NYSE / Nasdaq)', currency: 'USD', suffixes: { finnhub: '', alphavantage: '' } },
+  LSE: { label: 'London (LSE)', currency: 'GBX', suffixes: { finnhub: '.L', alphavantage: '.LON' } },
+  TSX: { label: 'Toronto (TSX)', currency: 'CAD', suffixes: { finnhub: '.TO', alphavantage: '.TRT' } },
+  TSE: { label: 'Tokyo (TSE)', currency: 'JPY', suffixes: { finnhub: '.T' } },
+  // Trades around the clock; sessions close at a UTC cutoff (see marketCalendar.js)
+  CRYPTO: { label: 'Crypto (24/7)', currency: 'USD', crypto: true, suffixes: { coinbase: '-USD' } }
+};
+
+// ETFs trade like stocks; crypto positions always list on CRYPTO
+const ASSET_TYPES = {
+  stock: { label: 'Stock' },
+  etf: { label: 'ETF' },
+  crypto: { label: 'Crypto', exchange: 'CRYPTO' }
+};
+
+// GBX is pence: London prices are quoted in pence, money totals in pounds
+const CURRENCIES = {
+  USD: { label: 'US Dollar', prefix: '$', decimals: 2 },
+  CAD: { label: 'Canadian Dollar', prefix: 'C$', decimals: 2 },
+  GBP: { label: 'British Pound', prefix: '£', decimals: 2 },
+  GBX: { label: 'British Pence', suffix: 'p', decimals: 2, unitOf: 'GBP', perUnit: 100 },
+  EUR: { label: 'Euro', prefix: '€', decimals: 2 },
+  JPY: { label: 'Japanese Yen', prefix: '¥', decimals: 0 }
+};
+
+// Currencies a portfolio total can be shown in
+const BASE_CURRENCIES = ['USD', 'CAD', 'GBP', 'EUR', 'JPY'];
+
+const exchangeOf = (stock) => (EXCHANGES[stock.exchange] ? stock.exchange : 'US');
+const currencyOf = (stock) => stock.currency || EXCHANGES[exchangeOf(stock)].currency;
+const assetTypeOf = (stock) => (ASSET_TYPES[stock.assetType] ? stock.assetType : 'stock');
+const isCrypto = (stock) => EXCHANGES[exchangeOf(stock)].crypto === true;
+
+// Key for a listing in shared price history and lookups, e.g. 'BP' (US) or 'BP.LSE'
+function listingKey(stock) {
+  const symbol = stock.symbol.toUpperCase();
+  const exchange = exchangeOf(stock);
+  return exchange === 'US' ? symbol : `${symbol}.${exchange}`;
+}
+
+/**
+ * The symbol a provider uses for a listing, or null if it does not cover
+ * the exchange. Plain strings are US symbols; the fixture provider keys
+ * listings by listingKey.
+ */
+function providerSymbol(listing, providerName) {
+  if (typeof listing === 'string') return listing;
+  if (providerName === 'fixture') return listingKey(listing);
+  const suffix = EXCHANGES[exchangeOf(listing)].suffixes[providerName];
+  return suffix === undefined ? null : `${listing.symbol.toUpperCase()}${suffix}`;
+}
+
+// Units of the currency per US dollar, or null without a rate
+function usdRate(currency, fx) {
+  if (currency === 'USD') return 1;
+  const { unitOf, perUnit = 1 } = CURRENCIES[currency] || {};
+  const rate = fx?.rates?.[unitOf || currency];
+  return rate ? rate * perUnit : null;
+}
+
+// Convert between currencies with stored rates; null when a rate is missing
+function convert(value, from, to, fx) {
+  if (value === null || value === undefined) return null;
+  if (from === to) return value;
+  const fromRate = usdRate(from, fx);
+  const toRate = usdRate(to, fx);
+  return fromRate && toRate ? value / fromRate * toRate : null;
+}
+
+// A share price in its quote currency, e.g. $12.34, 512.40p, ¥2815
+function formatPrice(value, currency = 'USD') {
+  if (value === null || value === undefined || isNaN(value)) return '—';
+  const { prefix = '', suffix = '', decimals = 2 } = CURRENCIES[currency] || CURRENCIES.USD;
+  return `${prefix}${value.toFixed(decimals)}${suffix}`;
+}
+
+// A signed money amount with thousands separators; pence are shown as pounds
+function formatAmount(value, currency = 'USD') {
+  if (value === null || value === undefined || isNaN(value)) return '—';
+  const { unitOf, perUnit = 1 } = CURRENCIES[currency] || {};
+  const shown = unitOf || currency;
+  const amount = Math.abs(value / perUnit);
+  const { prefix = '', decimals = 2 } = CURRENCIES[shown] || CURRENCIES.USD;
+  return `${value < 0 ? '-' : ''}${prefix}${amount.toLocaleString(undefined, { minimumFractionDigits: decimals, maximumFractionDigits: decimals })}`;
+}
+
+module.exports = {
+  EXCHANGES,
+  ASSET_TYPES,
+  CURRENCIES,
+  BASE_CURRENCIES,
+  exchangeOf,
+  currencyOf,
+  assetTypeOf,
+  isCrypto,
+  listingKey,
+  providerSymbol,
+  usdRate,
+  convert,
+  formatPrice,
+  formatAmount
+};
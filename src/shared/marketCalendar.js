@@ -0,0 +1,197 @@
+/**
+ * Upside Maximizer - Market Calendar
+ * NYSE trading days, holidays, early closes and session times, plus the
+ * daily sessions of crypto, which trades every day.
+ *
+ * CommonJS so the scripts in .github/scripts can require it too.
+ * Dates are 'YYYY-MM-DD' strings in exchange (New York) time; crypto
+ * session dates are UTC.
+ */
+
+const EXCHANGE = {
+  name: 'NYSE',
+  timeZone: 'America/New_York',
+  // Minutes after midnight, exchange time
+  openMinutes: 9 * 60 + 30,
+  closeMinutes: 16 * 60,
+  earlyCloseMinutes: 13 * 60
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const pad = (n) => String(n).padStart(2, '0');
+const ymd = (year, month, day) => `${year}-${pad(month)}-${pad(day)}`;
+const weekday = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+const addDays = (date, days) => new Date(new Date(`${date}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().split('T')[0];
+
+// nth (1-based) given weekday of a month; n = -1 for the last one
+function nthWeekday(year, month, day, n) {
+  if (n > 0) {
+    const first = weekday(ymd(year, month, 1));
+    return ymd(year, month, 1 + ((day - first + 7) % 7) + (n - 1) * 7);
+  }
+  const lastDate = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const last = weekday(ymd(year, month, lastDate));
+  return ymd(year, month, lastDate - ((last - day + 7) % 7));
+}
+
+// Western Easter Sunday (anonymous Gregorian algorithm)
+function easter(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return ymd(year, month, day);
+}
+
+// Saturday holidays are observed on Friday, Sunday ones on Monday
+function observed(date) {
+  const day = weekday(date);
+  if (day === 6) return addDays(date, -1);
+  if (day === 0) return addDays(date, 1);
+  return date;
+}
+
+const holidayCache = new Map();
+
+// { date: name } of full-day closures in a year
+function holidays(year) {
+  if (holidayCache.has(year)) return holidayCache.get(year);
+
+  const list = {};
+  // No Friday closure when New Year's Day falls on a Saturday
+  if (weekday(ymd(year, 1, 1)) !== 6) list[observed(ymd(year, 1, 1))] = "New Year's Day";
+  list[nthWeekday(year, 1, 1, 3)] = 'Martin Luther King Jr. Day';
+  list[nthWeekday(year, 2, 1, 3)] = "Washington's Birthday";
+  list[addDays(easter(year), -2)] = 'Good Friday';
+  list[nthWeekday(year, 5, 1, -1)] = 'Memorial Day';
+  if (year >= 2022) list[observed(ymd(year, 6, 19))] = 'Juneteenth';
+  list[observed(ymd(year, 7, 4))] = 'Independence Day';
+  list[nthWeekday(year, 9, 1, 1)] = 'Labor Day';
+  list[nthWeekday(year, 11, 4, 4)] = 'Thanksgiving Day';
+  list[observed(ymd(year, 12, 25))] = 'Christmas Day';
+
+  holidayCache.set(year, list);
+  return list;
+}
+
+const holidayName = (date) => holidays(parseInt(date.slice(0, 4), 10))[date] || null;
+
+function isTradingDay(date) {
+  const day = weekday(date);
+  return day !== 0 && day !== 6 && !holidayName(date);
+}
+
+// 1 PM closes: July 3, the day after Thanksgiving and Christmas Eve
+function isEarlyClose(date) {
+  if (!isTradingDay(date)) return false;
+  const year = parseInt(date.slice(0, 4), 10);
+  return date === ymd(year, 7, 3)
+    || date === addDays(nthWeekday(year, 11, 4, 4), 1)
+    || date === ymd(year, 12, 24);
+}
+
+// Minutes after midnight the session closes, or null on non-trading days
+function sessionCloseMinutes(date) {
+  if (!isTradingDay(date)) return null;
+  return isEarlyClose(date) ? EXCHANGE.earlyCloseMinutes : EXCHANGE.closeMinutes;
+}
+
+// Date and time of day on the exchange, so daylight saving is handled
+function exchangeClock(now = new Date()) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: EXCHANGE.timeZone,
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+    }).formatToParts(now).map(part => [part.type, part.value])
+  );
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10),
+    time: `${parts.hour}:${parts.minute} ET`
+  };
+}
+
+function isMarketOpen(now = new Date()) {
+  const { date, minutes } = exchangeClock(now);
+  const close = sessionCloseMinutes(date);
+  return close !== null && minutes >= EXCHANGE.openMinutes && minutes < close;
+}
+
+function previousTradingDay(date) {
+  let day = addDays(date, -1);
+  while (!isTradingDay(day)) day = addDays(day, -1);
+  return day;
+}
+
+function nextTradingDay(date) {
+  let day = addDays(date, 1);
+  while (!isTradingDay(day)) day = addDays(day, 1);
+  return day;
+}
+
+// Timestamp (ms) of a trading day's close, found from the exchange's UTC offset that day
+function sessionCloseTime(date) {
+  const closeMinutes = sessionCloseMinutes(date);
+  if (closeMinutes === null) return null;
+  const asIfUtc = Date.parse(`${date}T00:00:00Z`) + closeMinutes * 60 * 1000;
+  const clock = exchangeClock(new Date(asIfUtc));
+  const localMinutes = (clock.date === date ? 0 : clock.date < date ? -1440 : 1440) + clock.minutes;
+  return asIfUtc - (localMinutes - closeMinutes) * 60 * 1000;
+}
+
+// The most recent session whose close has happened
+function latestSession(now = new Date()) {
+  const { date, minutes } = exchangeClock(now);
+  const close = sessionCloseMinutes(date);
+  return close !== null && minutes >= close ? date : previousTradingDay(date);
+}
+
+// Last trading day of the Monday-Friday week holding `date`
+function lastTradingDayOfWeek(date) {
+  let day = addDays(date, 5 - (weekday(date) || 7));
+  while (!isTradingDay(day)) day = addDays(day, -1);
+  return day;
+}
+
+// Crypto never closes, so its daily close is the last price before a cutoff
+// hour (UTC) on each date. A 0 cutoff means midnight at the end of the date,
+// matching the usual UTC daily candle.
+const cryptoCloseTime = (date, closeHourUtc = 0) => Date.parse(`${date}T00:00:00Z`) + (closeHourUtc || 24) * HOUR_MS;
+
+// The crypto session a timestamp (ms) trades in
+const cryptoSessionOf = (time, closeHourUtc = 0) => new Date(time + (24 - (closeHourUtc || 24)) * HOUR_MS).toISOString().split('T')[0];
+
+// The most recent crypto session whose cutoff has passed
+const latestCryptoSession = (now = new Date(), closeHourUtc = 0) => addDays(cryptoSessionOf(now.getTime(), closeHourUtc), -1);
+
+module.exports = {
+  EXCHANGE,
+  holidays,
+  holidayName,
+  isTradingDay,
+  isEarlyClose,
+  sessionCloseMinutes,
+  exchangeClock,
+  isMarketOpen,
+  previousTradingDay,
+  nextTradingDay,
+  sessionCloseTime,
+  latestSession,
+  lastTradingDayOfWeek,
+  cryptoCloseTime,
+  cryptoSessionOf,
+  latestCryptoSession
+};
@@ -0,0 +1,51 @@
+/**
+ * Upside Maximizer - Notification Preferences
+ * Which channels a portfolio's alerts and summaries go out on.
+ *
+ * CommonJS so the scripts in .github/scripts can require it too; the
+ * senders themselves live in .github/scripts/notify.js.
+ *
+ * Settings live in emailPreferences.notifications:
+ *   { alerts: ['email', 'slack'], summaries: ['email'],
+ *     webhookUrl, slackWebhookUrl, discordWebhookUrl, telegramChatId,
+ *     pushSubscriptions: [PushSubscription JSON] }
+ * "alerts" covers UM triggers, alert rules, intraday breaches and eligible
+ * watchlist candidates.
+ */
+
+const CHANNELS = {
+  email: { label: 'Email', configured: (prefs, settings) => Boolean(prefs.emailAddress) },
+  webhook: { label: 'Webhook', configured: (prefs, settings) => Boolean(settings.webhookUrl) },
+  slack: { label: 'Slack', configured: (prefs, settings) => Boolean(settings.slackWebhookUrl) },
+  discord: { label: 'Discord', configured: (prefs, settings) => Boolean(settings.discordWebhookUrl) },
+  telegram: { label: 'Telegram', configured: (prefs, settings) => Boolean(settings.telegramChatId) },
+  webpush: { label: 'Browser push', configured: (prefs, settings) => (settings.pushSubscriptions || []).length > 0 }
+};
+
+const AUDIENCES = {
+  alerts: 'Trigger and rule alerts',
+  summaries: 'Daily / weekly summaries'
+};
+
+const DEFAULT_SETTINGS = { alerts: ['email'], summaries: ['email'], pushSubscriptions: [] };
+
+// Portfolios saved before channels existed keep email, and keep nothing
+// when they had chosen no emails at all
+function notificationSettings(prefs = {}) {
+  if (prefs.notifications) return { ...DEFAULT_SETTINGS, ...prefs.notifications };
+  return prefs.summaryFrequency === 'none' ? { ...DEFAULT_SETTINGS, alerts: [], summaries: [] } : DEFAULT_SETTINGS;
+}
+
+// Channels chosen for an audience that have what they need to send
+function channelsFor(prefs, audience) {
+  const settings = notificationSettings(prefs);
+  return (settings[audience] || []).filter(channel => CHANNELS[channel] && CHANNELS[channel].configured(prefs, settings));
+}
+
+module.exports = {
+  CHANNELS,
+  AUDIENCES,
+  DEFAULT_SETTINGS,
+  notificationSettings,
+  channelsFor
+};
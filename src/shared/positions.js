@@ -0,0 +1,112 @@
+/**
+ * Upside Maximizer - Position Math
+ * Share counts, cost basis and dollar values from a position's lots.
+ *
+ * lots:  buys  [{ id, date, shares, price }]
+ * sales: sells [{ id, date, shares, price }]
+ * Positions added before lots existed have neither and only support
+ * percentage figures, so every helper returns null for them.
+ */
+
+const { currencyOf, convert } = require('./listings');
+
+const sum = (entries, value) => entries.reduce((total, entry) => total + value(entry), 0);
+
+const hasLots = (stock) => Array.isArray(stock.lots) && stock.lots.length > 0;
+
+// Weighted average price paid across all buy lots
+function costBasis(stock) {
+  if (!hasLots(stock)) return null;
+  const shares = sum(stock.lots, lot => lot.shares);
+  return shares > 0 ? sum(stock.lots, lot => lot.shares * lot.price) / shares : null;
+}
+
+function sharesBought(stock) {
+  if (!hasLots(stock)) return null;
+  return sum(stock.lots, lot => lot.shares);
+}
+
+function sharesHeld(stock) {
+  if (!hasLots(stock)) return null;
+  return sum(stock.lots, lot => lot.shares) - sum(stock.sales || [], sale => sale.shares);
+}
+
+// Profit booked by sales, measured against the average cost basis
+function realizedGain(stock) {
+  const basis = costBasis(stock);
+  if (basis === null) return null;
+  return sum(stock.sales || [], sale => sale.shares * (sale.price - basis));
+}
+
+/**
+ * Dollar view of a position at its current price and UM Execution Price.
+ * protectedValue is what the remaining shares are worth if sold at the UM
+ * price; lockedInProfit is the gain over cost basis that still survives then.
+ * Both are null while the stop model has no UM price yet.
+ */
+function positionSummary(stock, umPrice) {
+  const basis = costBasis(stock);
+  if (basis === null) return null;
+  const held = sharesHeld(stock);
+
+  return {
+    sharesHeld: held,
+    costBasis: basis,
+    marketValue: held * stock.currentPrice,
+    protectedValue: umPrice === null ? null : held * umPrice,
+    lockedInProfit: umPrice === null ? null : held * (umPrice - basis),
+    unrealizedGain: held * (stock.currentPrice - basis),
+    realizedGain: realizedGain(stock)
+  };
+}
+
+/**
+ * Dollar view of the whole portfolio in one base currency. Each position's
+ * native-currency figures convert at the stored FX rates; positions without
+ * lots, or in a currency with no rate yet, are listed instead of counted.
+ * umPrice is (stock) => UM Execution Price.
+ */
+function portfolioTotals(stocks, { baseCurrency = 'USD', fx = null, umPrice }) {
+  const totals = { baseCurrency, marketValue: 0, protectedValue: 0, unrealizedGain: 0, realizedGain: 0, counted: 0, withoutShares: [], withoutFx: [] };
+
+  for (const stock of stocks) {
+    const summary = positionSummary(stock, umPrice(stock));
+    if (!summary) { totals.withoutShares.push(stock.symbol); continue; }
+
+    const currency = currencyOf(stock);
+    const inBase = (value) => convert(value, currency, baseCurrency, fx);
+    if (inBase(1) === null) {
+      if (!totals.withoutFx.includes(currency)) totals.withoutFx.push(currency);
+      continue;
+    }
+
+    totals.marketValue += inBase(summary.marketValue);
+    totals.protectedValue = totals.protectedValue === null || summary.protectedValue === null ? null : totals.protectedValue + inBase(summary.protectedValue);
+    totals.unrealizedGain += inBase(summary.unrealizedGain);
+    totals.realizedGain += inBase(summary.realizedGain);
+    totals.counted += 1;
+  }
+  return totals;
+}
+
+// Restate lots and sales dated before a split on the post-split scale
+function applySplitToLots(stock, { date, ratio }) {
+  const rescale = (entry) => (entry.date < date
+    ? { ...entry, shares: entry.shares * ratio, price: entry.price / ratio }
+    : entry);
+  return {
+    lots: (stock.lots || []).map(rescale),
+    sales: (stock.sales || []).map(rescale)
+  };
+}
+
+module.exports = {
+  hasLots,
+  costBasis,
+  sharesBought,
+  sharesHeld,
+  realizedGain,
+  positionSummary,
+  portfolioTotals,
+  applySplitToLots
+};
@@ -0,0 +1,335 @@
+/**
+ * Upside Maximizer - Price Providers
+ * One provider chain for the browser lookup and the nightly script.
+ *
+ * Every provider implements the same calls and resolves to null
+ * when it has no data, so the client can fall through to the next one:
+ *   getQuote(symbol)                  -> { price, date }
+ *   getDailyCandles(symbol, from, to) -> [{ date, open, high, low, close }], oldest first
+ *   getProfile(symbol)                -> { name }
+ *   getSplits(symbol, from, to)       -> [{ date, ratio }] (optional)
+ *   getFxRates(currencies)            -> { date, base: 'USD', rates } (optional)
+ * Candles are raw, not split-adjusted; see adjustCandlesForSplits.
+ * Dates are 'YYYY-MM-DD' strings. Uses global fetch (browsers, Node 18+).
+ *
+ * Client calls take a plain US symbol or a listing { symbol, exchange };
+ * each provider gets its own spelling of the listing (see listings.js) and
+ * is skipped for exchanges it does not cover.
+ */
+
+const { providerSymbol } = require('./listings');
+const { cryptoCloseTime, cryptoSessionOf } = require('./marketCalendar');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const toDateString = (date) => date.toISOString().split('T')[0];
+const toUnix = (dateString) => Math.floor(new Date(`${dateString}T00:00:00Z`).getTime() / 1000);
+
+class RateLimitError extends Error {
+  constructor(provider) {
+    super(`${provider} API call limit reached`);
+    this.code = 'RATE_LIMIT';
+    this.provider = provider;
+  }
+}
+
+const getJson = async (url) => {
+  const response = await fetch(url);
+  return response.json();
+};
+
+function createFinnhubProvider({ apiKey }) {
+  const base = 'https://finnhub.io/api/v1';
+  const token = `token=${apiKey}`;
+
+  return {
+    name: 'finnhub',
+    label: 'Finnhub',
+    minIntervalMs: 1000,
+
+    async getQuote(symbol) {
+      const json = await getJson(`${base}/quote?symbol=${encodeURIComponent(symbol)}&${token}`);
+      if (!json.c || json.c <= 0) return null;
+      return { price: json.c, date: json.t ? toDateString(new Date(json.t * 1000)) : null };
+    },
+
+    async getDailyCandles(symbol, from, to) {
+      const json = await getJson(`${base}/stock/candle?symbol=${encodeURIComponent(symbol)}&resolution=D&from=${toUnix(from)}&to=${toUnix(to) + 86399}&${token}`);
+      if (json.s !== 'ok' || !json.c || json.c.length === 0) return null;
+      return json.c.map((close, i) => ({
+        date: toDateString(new Date(json.t[i] * 1000)),
+        open: json.o?.[i],
+        high: json.h?.[i],
+        low: json.l?.[i],
+        close
+      }));
+    },
+
+    async getProfile(symbol) {
+      const json = await getJson(`${base}/stock/profile2?symbol=${encodeURIComponent(symbol)}&${token}`);
+      return json && json.name ? { name: json.name } : null;
+    },
+
+    async getSplits(symbol, from, to) {
+      const json = await getJson(`${base}/stock/split?symbol=${encodeURIComponent(symbol)}&from=${from}&to=${to}&${token}`);
+      if (!Array.isArray(json)) return null;
+      return json.map(split => ({ date: split.date, ratio: split.toFactor / split.fromFactor }));
+    }
+  };
+}
+
+function createAlphaVantageProvider({ apiKey }) {
+  const query = (params) => getJson(`https://www.alphavantage.co/query?${params}&apikey=${apiKey}`);
+  const checkLimit = (json) => {
+    if (json['Note'] || json['Information']) throw new RateLimitError('Alpha Vantage');
+    return json;
+  };
+
+  return {
+    name: 'alphavantage',
+    label: 'Alpha Vantage',
+    minIntervalMs: 12000,
+
+    async getQuote(symbol) {
+      const json = checkLimit(await query(`function=GLOBAL_QUOTE&symbol=${encodeURIComponent(symbol)}`));
+      const quote = json['Global Quote'];
+      if (!quote || !quote['05. price']) return null;
+      return { price: parseFloat(quote['05. price']), date: quote['07. latest trading day'] || null };
+    },
+
+    async getDailyCandles(symbol, from, to) {
+      // compact covers the last 100 sessions, roughly 140 calendar days
+      const outputsize = Date.now() - new Date(from).getTime() > 140 * DAY_MS ? 'full' : 'compact';
+      const json = checkLimit(await query(`function=TIME_SERIES_DAILY&symbol=${encodeURIComponent(symbol)}&outputsize=${outputsize}`));
+      const timeSeries = json['Time Series (Daily)'];
+      if (json['Error Message'] || !timeSeries) return null;
+      const candles = Object.keys(timeSeries).sort()
+        .filter(date => date >= from && date <= to)
+        .map(date => ({
+          date,
+          open: parseFloat(timeSeries[date]['1. open']),
+          high: parseFloat(timeSeries[date]['2. high']),
+          low: parseFloat(timeSeries[date]['3. low']),
+          close: parseFloat(timeSeries[date]['4. close'])
+        }));
+      return candles.length > 0 ? candles : null;
+    },
+
+    async getProfile(symbol) {
+      const json = checkLimit(await query(`function=SYMBOL_SEARCH&keywords=${encodeURIComponent(symbol)}`));
+      const matches = json['bestMatches'] || [];
+      const match = matches.find(m => m['1. symbol'].toUpperCase() === symbol.toUpperCase()) || matches[0];
+      return match ? { name: match['2. name'] } : null;
+    }
+  };
+}
+
+// Coinbase Exchange public market data for crypto; no key needed. Daily
+// candles are built from hourly ones so each close falls at the UTC cutoff
+// hour (see cryptoSessionOf in marketCalendar.js).
+function createCoinbaseProvider({ closeHourUtc = 0 } = {}) {
+  const base = 'https://api.exchange.coinbase.com';
+  // Coinbase returns at most 300 candles per request
+  const PAGE_HOURS = 300;
+  const get = async (path) => {
+    const json = await getJson(`${base}${path}`);
+    if (json && /rate limit/i.test(json.message || '')) throw new RateLimitError('Coinbase');
+    return json;
+  };
+
+  return {
+    name: 'coinbase',
+    label: 'Coinbase',
+    minIntervalMs: 200,
+
+    async getQuote(product) {
+      const json = await get(`/products/${encodeURIComponent(product)}/ticker`);
+      if (!json || !json.price) return null;
+      return { price: parseFloat(json.price), date: cryptoSessionOf(Date.parse(json.time), closeHourUtc) };
+    },
+
+    async getDailyCandles(product, from, to) {
+      const start = cryptoCloseTime(from, closeHourUtc) - DAY_MS;
+      const end = Math.min(cryptoCloseTime(to, closeHourUtc), Date.now());
+      const hours = new Map();
+      for (let pageStart = start; pageStart < end; pageStart += PAGE_HOURS * HOUR_MS) {
+        const pageEnd = Math.min(pageStart + PAGE_HOURS * HOUR_MS, end);
+        const rows = await get(`/products/${encodeURIComponent(product)}/candles?granularity=3600&start=${new Date(pageStart).toISOString()}&end=${new Date(pageEnd).toISOString()}`);
+        if (!Array.isArray(rows)) return null;
+        // [time, low, high, open, close, volume], newest first
+        rows.forEach(([time, low, high, open, close]) => hours.set(time, { time: time * 1000, low, high, open, close }));
+      }
+
+      const days = new Map();
+      for (const hour of [...hours.values()].sort((a, b) => a.time - b.time)) {
+        if (hour.time >= end) continue;
+        const date = cryptoSessionOf(hour.time, closeHourUtc);
+        const day = days.get(date);
+        if (!day) {
+          days.set(date, { date, open: hour.open, high: hour.high, low: hour.low, close: hour.close });
+        } else {
+          day.high = Math.max(day.high, hour.high);
+          day.low = Math.min(day.low, hour.low);
+          day.close = hour.close;
+        }
+      }
+      const candles = [...days.values()].filter(c => c.date >= from && c.date <= to);
+      return candles.length > 0 ? candles : null;
+    },
+
+    async getProfile(product) {
+      const json = await get(`/currencies/${encodeURIComponent(product.split('-')[0])}`);
+      return json && json.name ? { name: json.name } : null;
+    },
+
+    // Coins do not split
+    async getSplits() {
+      return [];
+    }
+  };
+}
+
+// Serves prices from an in-memory fixture for offline runs:
+// { AAPL: { name: 'Apple Inc', candles: [{ date, open, high, low, close }], splits: [{ date, ratio }] } }
+function createFixtureProvider({ fixtures = {} } = {}) {
+  const lookup = (symbol) => fixtures[symbol.toUpperCase()] || null;
+
+  return {
+    name: 'fixture',
+    label: 'Fixture',
+    minIntervalMs: 0,
+
+    async getQuote(symbol) {
+      const candles = lookup(symbol)?.candles || [];
+      const last = candles[candles.length - 1];
+      return last ? { price: last.close, date: last.date } : null;
+    },
+
+    async getDailyCandles(symbol, from, to) {
+      const candles = (lookup(symbol)?.candles || []).filter(c => c.date >= from && c.date <= to);
+      return candles.length > 0 ? candles : null;
+    },
+
+    async getProfile(symbol) {
+      const fixture = lookup(symbol);
+      return fixture?.name ? { name: fixture.name } : null;
+    },
+
+    async getSplits(symbol, from, to) {
+      const fixture = lookup(symbol);
+      if (!fixture) return null;
+      return (fixture.splits || []).filter(s => s.date >= from && s.date <= to);
+    },
+
+    // Rates come from a top-level _fx entry: { date, base: 'USD', rates }
+    async getFxRates() {
+      return fixtures._fx || null;
+    }
+  };
+}
+
+// ECB reference rates through the Frankfurter API; no key needed
+function createFrankfurterProvider() {
+  return {
+    name: 'frankfurter',
+    label: 'Frankfurter',
+    minIntervalMs: 0,
+
+    async getFxRates(currencies) {
+      const wanted = currencies.filter(c => c !== 'USD');
+      if (wanted.length === 0) return null;
+      const json = await getJson(`https://api.frankfurter.app/latest?from=USD&to=${wanted.join(',')}`);
+      return json && json.rates ? { date: json.date, base: 'USD', rates: json.rates } : null;
+    }
+  };
+}
+
+const PROVIDER_FACTORIES = {
+  finnhub: createFinnhubProvider,
+  alphavantage: createAlphaVantageProvider,
+  frankfurter: createFrankfurterProvider,
+  coinbase: createCoinbaseProvider,
+  fixture: createFixtureProvider
+};
+
+/**
+ * Build a client that tries each provider in order until one returns data.
+ *
+ * providers:  names from PROVIDER_FACTORIES or ready-made provider objects
+ * options:    per-provider factory options keyed by name, e.g. { finnhub: { apiKey } }
+ * rateLimits: per-provider minimum ms between calls, overriding the defaults
+ * log:        optional (message) => void for fallbacks and failures
+ */
+function createPriceClient({ providers = ['finnhub', 'alphavantage'], options = {}, rateLimits = {}, log = () => {} } = {}) {
+  const chain = providers
+    .map(p => (typeof p === 'string' ? PROVIDER_FACTORIES[p]?.(options[p] || {}) : p))
+    .filter(Boolean);
+  const lastCall = new Map();
+
+  const throttle = async (provider) => {
+    const interval = rateLimits[provider.name] ?? provider.minIntervalMs ?? 0;
+    const wait = (lastCall.get(provider.name) || 0) + interval - Date.now();
+    if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+    lastCall.set(provider.name, Date.now());
+  };
+
+  const call = async (method, listing, args) => {
+    let lastError = null;
+    for (const provider of chain) {
+      if (typeof provider[method] !== 'function') continue;
+      const symbol = listing === null ? null : providerSymbol(listing, provider.name);
+      if (listing !== null && symbol === null) continue;
+      try {
+        await throttle(provider);
+        const data = await provider[method](...(listing === null ? args : [symbol, ...args]));
+        if (data) return { data, source: provider.label };
+      } catch (error) {
+        lastError = error;
+        log(`${provider.label} ${method} failed: ${error.message}`);
+      }
+    }
+    if (lastError && lastError.code === 'RATE_LIMIT') throw lastError;
+    return null;
+  };
+
+  return {
+    providers: chain.map(p => p.name),
+    getQuote: (listing) => call('getQuote', listing, []),
+    getDailyCandles: (listing, from, to = toDateString(new Date())) => call('getDailyCandles', listing, [from, to]),
+    getProfile: (listing) => call('getProfile', listing, []),
+    getSplits: (listing, from, to = toDateString(new Date())) => call('getSplits', listing, [from, to]),
+    getFxRates: (currencies) => call('getFxRates', null, [currencies])
+  };
+}
+
+// Restate raw candles on the post-split scale. A 10:1 split (ratio 10)
+// divides every price before the split date by 10.
+function adjustCandlesForSplits(candles, splits = []) {
+  if (splits.length === 0) return candles;
+  return candles.map(candle => {
+    const factor = splits
+      .filter(split => split.date > candle.date)
+      .reduce((total, split) => total * split.ratio, 1);
+    if (factor === 1) return candle;
+    return {
+      ...candle,
+      open: candle.open / factor,
+      high: candle.high / factor,
+      low: candle.low / factor,
+      close: candle.close / factor
+    };
+  });
+}
+
+module.exports = {
+  RateLimitError,
+  createFinnhubProvider,
+  createAlphaVantageProvider,
+  createFrankfurterProvider,
+  createCoinbaseProvider,
+  createFixtureProvider,
+  createPriceClient,
+  adjustCandlesForSplits,
+  toDateString
+};
@@ -0,0 +1,206 @@
+/**
+ * Upside Maximizer - UM Execution Price
+ * The trailing stop models shared by the dashboard, backtests and the nightly script.
+ *
+ * A position picks a model with stock.stopModel = { type, ...params }.
+ * Positions without one use the original volatility rule, which reads
+ * typicalVolatility and volatilityMultiplier from the stock itself.
+ * Models that need indicators read them from stock.indicators, which
+ * computeIndicators fills in from daily candles.
+ *
+ * A position can also stage its exit across several UM levels with
+ * stock.tiers = [{ id, multiplier, sharePercent, triggered, triggeredDate,
+ * triggeredResolved, umExecutedDate }]. Each level prices the model with its
+ * own multiplier; the position's UM price is that of the next open level.
+ */
+
+const { averageTrueRange } = require('./volatility');
+const { currencyOf, formatPrice } = require('./listings');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Highest close less typical volatility × multiplier percent
+function calculateUMPrice(highestClose, typicalVol, multiplier) {
+  const volatilityDecline = typicalVol * multiplier;
+  return highestClose * (1 - volatilityDecline / 100);
+}
+
+const gainPercent = (stock) => (stock.highestClose - stock.entryPrice) / stock.entryPrice * 100;
+
+const STOP_MODELS = {
+  volatility: {
+    label: 'Volatility %',
+    defaults: {},
+    lookbackSessions: () => 0,
+    price: (stock) => calculateUMPrice(stock.highestClose, stock.typicalVolatility, stock.volatilityMultiplier),
+    describe: (stock) => `Vol: ${stock.typicalVolatility}% × ${stock.volatilityMultiplier} = ${(stock.typicalVolatility * stock.volatilityMultiplier).toFixed(1)}% below high`
+  },
+
+  // Highest close less a multiple of the average true range
+  chandelier: {
+    label: 'ATR chandelier',
+    defaults: { atrPeriod: 22, atrMultiple: 3 },
+    multiplierParam: 'atrMultiple',
+    lookbackSessions: (params) => params.atrPeriod + 1,
+    price: (stock, params, indicators) => (indicators?.atr ? stock.highestClose - params.atrMultiple * indicators.atr : null),
+    describe: (stock, params, indicators) => `${params.atrMultiple} × ATR(${params.atrPeriod})${indicators?.atr ? ` = ${formatPrice(params.atrMultiple * indicators.atr, currencyOf(stock))}` : ''} below high`
+  },
+
+  // Trigger on a close below the moving average
+  movingAverage: {
+    label: 'Moving average close',
+    defaults: { period: 50 },
+    lookbackSessions: (params) => params.period,
+    price: (stock, params, indicators) => indicators?.movingAverage ?? null,
+    describe: (stock, params) => `Close below the ${params.period}-day moving average`
+  },
+
+  // Percent below high that narrows by stepPercent for every further 100% of gain
+  tighteningPercent: {
+    label: 'Tightening % from high',
+    defaults: { startPercent: 25, stepPercent: 5, minPercent: 10 },
+    lookbackSessions: () => 0,
+    percent: (stock, params) => Math.max(params.minPercent, params.startPercent - Math.max(0, Math.floor((gainPercent(stock) - 100) / 100)) * params.stepPercent),
+    price: (stock, params) => stock.highestClose * (1 - STOP_MODELS.tighteningPercent.percent(stock, params) / 100),
+    describe: (stock, params) => `${STOP_MODELS.tighteningPercent.percent(stock, params)}% below high (${params.startPercent}% at 2×, −${params.stepPercent}% per further 100% gain, floor ${params.minPercent}%)`
+  },
+
+  // Percent below high that narrows by stepPercent every everyDays held
+  timeRatchet: {
+    label: 'Time ratchet',
+    defaults: { startPercent: 25, stepPercent: 2.5, everyDays: 30, minPercent: 10 },
+    lookbackSessions: () => 0,
+    percent: (stock, params, asOfDate) => {
+      const daysHeld = Math.max(0, (new Date(asOfDate) - new Date(stock.dateAdded)) / DAY_MS);
+      return Math.max(params.minPercent, params.startPercent - Math.floor(daysHeld / params.everyDays) * params.stepPercent);
+    },
+    price: (stock, params, indicators, asOfDate) => stock.highestClose * (1 - STOP_MODELS.timeRatchet.percent(stock, params, asOfDate) / 100),
+    describe: (stock, params, indicators, asOfDate) => `${STOP_MODELS.timeRatchet.percent(stock, params, asOfDate)}% below high (−${params.stepPercent}% every ${params.everyDays} days from ${params.startPercent}%, floor ${params.minPercent}%)`
+  }
+};
+
+// The position's model with defaults filled in
+function getStopModel(stock) {
+  const { type = 'volatility', ...params } = stock.stopModel || {};
+  const model = STOP_MODELS[type] || STOP_MODELS.volatility;
+  return { type: STOP_MODELS[type] ? type : 'volatility', model, params: { ...model.defaults, ...params } };
+}
+
+// Only models measured as a multiple of something can be staged into levels
+function supportsTiers(stock) {
+  const { type, model } = getStopModel(stock);
+  return type === 'volatility' || Boolean(model.multiplierParam);
+}
+
+const hasTiers = (stock) => Array.isArray(stock.tiers) && stock.tiers.length > 0 && supportsTiers(stock);
+
+// The multiplier a single-level position uses, as the starting point for a tier plan
+function baseMultiplier(stock) {
+  const { type, model, params } = getStopModel(stock);
+  if (type === 'volatility') return stock.volatilityMultiplier;
+  return model.multiplierParam ? params[model.multiplierParam] : null;
+}
+
+// The stock priced with another multiplier in place of its model's own
+function withMultiplier(stock, multiplier) {
+  const { type, model } = getStopModel(stock);
+  if (type === 'volatility') return { ...stock, volatilityMultiplier: multiplier };
+  if (model.multiplierParam) return { ...stock, stopModel: { ...stock.stopModel, [model.multiplierParam]: multiplier } };
+  return stock;
+}
+
+const tierIsOpen = (tier) => !tier.triggered && !tier.triggeredResolved;
+
+function priceWithoutTiers(stock, indicators, asOfDate) {
+  const { model, params } = getStopModel(stock);
+  return model.price(stock, params, indicators, asOfDate);
+}
+
+function tierStopPrice(stock, tier, indicators = stock.indicators, asOfDate = new Date().toISOString().split('T')[0]) {
+  return priceWithoutTiers(withMultiplier(stock, tier.multiplier), indicators, asOfDate);
+}
+
+/**
+ * Every UM level of a position with its price, highest (first to trigger)
+ * first. A position without tiers is a single level at its own multiplier.
+ */
+function umLadder(stock, indicators = stock.indicators, asOfDate = new Date().toISOString().split('T')[0]) {
+  if (!hasTiers(stock)) {
+    return [{
+      id: 'position',
+      multiplier: baseMultiplier(stock),
+      sharePercent: 100,
+      triggered: Boolean(stock.triggered),
+      triggeredDate: stock.triggeredDate || null,
+      triggeredResolved: Boolean(stock.triggeredResolved),
+      umExecutedDate: stock.umExecutedDate || null,
+      umPrice: priceWithoutTiers(stock, indicators, asOfDate)
+    }];
+  }
+  return stock.tiers
+    .map(tier => ({ ...tier, umPrice: tierStopPrice(stock, tier, indicators, asOfDate) }))
+    .sort((a, b) => (b.umPrice ?? -Infinity) - (a.umPrice ?? -Infinity));
+}
+
+/**
+ * UM Execution Price for a position on a given date: the next open level
+ * for tiered positions (the last level once all have triggered). Returns
+ * null when the model needs an indicator that has not been computed yet.
+ */
+function calculateStopPrice(stock, indicators = stock.indicators, asOfDate = new Date().toISOString().split('T')[0]) {
+  if (!hasTiers(stock)) return priceWithoutTiers(stock, indicators, asOfDate);
+  const ladder = umLadder(stock, indicators, asOfDate);
+  return (ladder.find(tierIsOpen) || ladder[ladder.length - 1]).umPrice;
+}
+
+function describeStopModel(stock, indicators = stock.indicators, asOfDate = new Date().toISOString().split('T')[0]) {
+  if (hasTiers(stock)) {
+    const ladder = umLadder(stock, indicators, asOfDate);
+    const next = ladder.find(tierIsOpen) || ladder[ladder.length - 1];
+    const described = describeStopModel({ ...withMultiplier(stock, next.multiplier), tiers: null }, indicators, asOfDate);
+    return `${described} (level ${ladder.indexOf(next) + 1} of ${ladder.length})`;
+  }
+  const { model, params } = getStopModel(stock);
+  return model.describe(stock, params, indicators, asOfDate);
+}
+
+// How many sessions of candles the position's model needs before the replay window
+function stopModelLookback(stock) {
+  const { model, params } = getStopModel(stock);
+  return model.lookbackSessions(params);
+}
+
+// Indicators as of the last candle, for models that use them
+function computeIndicators(stock, candles) {
+  const { type, params } = getStopModel(stock);
+  if (!candles || candles.length === 0) return null;
+  const asOf = candles[candles.length - 1].date;
+
+  if (type === 'chandelier') {
+    const atr = averageTrueRange(candles, params.atrPeriod);
+    return atr === null ? null : { atr, asOf };
+  }
+  if (type === 'movingAverage') {
+    if (candles.length < params.period) return null;
+    const recent = candles.slice(-params.period);
+    return { movingAverage: recent.reduce((total, c) => total + c.close, 0) / params.period, asOf };
+  }
+  return null;
+}
+
+module.exports = {
+  STOP_MODELS,
+  calculateUMPrice,
+  getStopModel,
+  calculateStopPrice,
+  supportsTiers,
+  hasTiers,
+  baseMultiplier,
+  withMultiplier,
+  tierIsOpen,
+  tierStopPrice,
+  umLadder,
+  describeStopModel,
+  stopModelLookback,
+  computeIndicators
+};
@@ -0,0 +1,112 @@
+/**
+ * Upside Maximizer - Typical Volatility Estimation
+ * Suggests a typical volatility % from daily candles.
+ *
+ * CommonJS so the nightly script in .github/scripts can require it too.
+ * Candles are { date: 'YYYY-MM-DD', open, high, low, close }, oldest first.
+ */
+
+// Pullbacks smaller than this are day-to-day noise, not a "dip"
+const MIN_PULLBACK_PERCENT = 2;
+// Need at least this many completed pullbacks before trusting the median
+const MIN_PULLBACKS = 2;
+// An ordinary pullback spans roughly three average daily ranges
+const ATR_PERIOD = 14;
+const ATR_MULTIPLE = 3;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// Peak-to-trough declines that were followed by a new closing high
+function findPullbacks(candles) {
+  const pullbacks = [];
+  let peak = null;
+  let trough = null;
+
+  for (const candle of candles) {
+    if (peak === null || candle.close > peak) {
+      if (trough !== null) {
+        const decline = (peak - trough) / peak * 100;
+        if (decline >= MIN_PULLBACK_PERCENT) pullbacks.push(decline);
+      }
+      peak = candle.close;
+      trough = null;
+    } else if (trough === null || candle.close < trough) {
+      trough = candle.close;
+    }
+  }
+
+  return pullbacks;
+}
+
+// Average true range over the last `period` sessions. Close-only candles
+// (saved history, quote fallbacks) degrade to the close-to-close range.
+function averageTrueRange(candles, period = ATR_PERIOD) {
+  if (!candles || candles.length < period + 1) return null;
+
+  const recent = candles.slice(-(period + 1));
+  let total = 0;
+  for (let i = 1; i < recent.length; i++) {
+    const high = recent[i].high > 0 ? recent[i].high : recent[i].close;
+    const low = recent[i].low > 0 ? recent[i].low : recent[i].close;
+    const prevClose = recent[i - 1].close;
+    total += Math.max(high - low, Math.abs(high - prevClose), Math.abs(low - prevClose));
+  }
+  return total / period;
+}
+
+// Average true range as % of the last close; needs real highs and lows
+function atrPercent(candles, period = ATR_PERIOD) {
+  if (candles.length < period + 1) return null;
+  if (candles.some(c => !(c.high > 0) || !(c.low > 0))) return null;
+  return averageTrueRange(candles, period) / candles[candles.length - 1].close * 100;
+}
+
+/**
+ * Suggest a typical volatility for the given candles.
+ * Prefers the median pullback; falls back to an ATR multiple when the
+ * window holds too few completed pullbacks. Returns null if neither works.
+ */
+function estimateTypicalVolatility(candles) {
+  if (!candles || candles.length < 2) return null;
+
+  const lookback = {
+    lookbackStart: candles[0].date,
+    lookbackEnd: candles[candles.length - 1].date,
+    sessions: candles.length
+  };
+
+  const pullbacks = findPullbacks(candles);
+  if (pullbacks.length >= MIN_PULLBACKS) {
+    return {
+      value: round1(median(pullbacks)),
+      method: 'medianPullback',
+      description: `Median of ${pullbacks.length} peak-to-trough pullbacks`,
+      ...lookback
+    };
+  }
+
+  const atr = atrPercent(candles);
+  if (atr !== null) {
+    return {
+      value: round1(atr * ATR_MULTIPLE),
+      method: 'atr',
+      description: `${ATR_MULTIPLE} × ATR(${ATR_PERIOD}) as % of last close`,
+      ...lookback
+    };
+  }
+
+  return null;
+}
+
+module.exports = {
+  findPullbacks,
+  averageTrueRange,
+  atrPercent,
+  estimateTypicalVolatility
+};
@@ -0,0 +1,70 @@
+/**
+ * Upside Maximizer - Watchlist
+ * Candidates that don't meet the eligibility policy yet (eligibility.js),
+ * tracked with their entry price and a target. The nightly updater
+ * refreshes their closes and a suggested typical volatility; once one is
+ * eligible it can be promoted to a UM position.
+ *
+ * CommonJS so the nightly script in .github/scripts can require it too.
+ */
+
+const { estimateTypicalVolatility } = require('./volatility');
+const { requiredPrice, eligibilityProblems } = require('./eligibility');
+
+// Sessions behind the suggested volatility, about the ~100 days of a lookup
+const WATCH_LOOKBACK_SESSIONS = 70;
+
+const eligiblePrice = (item, policy) => requiredPrice(item.entryPrice, policy);
+const watchTarget = (item, policy) => item.targetPrice || eligiblePrice(item, policy);
+const isEligible = (item, policy, today) => eligibilityProblems(item, policy, today).length === 0;
+
+// How far the last close has come from the entry price towards the target, 0 to 1
+function targetProgress(item, policy) {
+  const target = watchTarget(item, policy);
+  if (!(target > item.entryPrice)) return 1;
+  return Math.min(1, Math.max(0, (item.currentPrice - item.entryPrice) / (target - item.entryPrice)));
+}
+
+/**
+ * Apply fetched closes (oldest first, with any lookback sessions) to a
+ * watched listing: last close, highest close and suggested volatility.
+ * Before its first update, closes from before the candidate was bought
+ * (or added) don't count towards its highest close.
+ * Returns true when the candidate becomes eligible under `policy`, once
+ * per crossing: `eligibleDate` is cleared again when it no longer is.
+ */
+function processWatchItem(item, { candles }, policy) {
+  const fresh = candles.filter(c => !item.lastProcessedDate || c.date > item.lastProcessedDate);
+  const estimate = estimateTypicalVolatility(candles);
+  if (estimate) item.volatilityEstimate = estimate;
+  if (fresh.length === 0) return false;
+
+  const heldSince = item.lastProcessedDate ? null : item.purchaseDate || item.dateAdded || null;
+  for (const candle of fresh) {
+    if (heldSince && candle.date < heldSince) continue;
+    if (!(candle.close <= item.highestClose)) {
+      item.highestClose = candle.close;
+      item.highestCloseDate = candle.date;
+    }
+  }
+  const last = fresh[fresh.length - 1];
+  item.currentPrice = last.close;
+  item.lastProcessedDate = last.date;
+
+  if (!isEligible(item, policy, last.date)) {
+    item.eligibleDate = null;
+    return false;
+  }
+  if (item.eligibleDate) return false;
+  item.eligibleDate = last.date;
+  return true;
+}
+
+module.exports = {
+  WATCH_LOOKBACK_SESSIONS,
+  eligiblePrice,
+  watchTarget,
+  isEligible,
+  targetProgress,
+  processWatchItem
+};
@@ -0,0 +1,24 @@
+// Browser push subscriptions for the webpush notification channel
+const VAPID_PUBLIC_KEY = process.env.REACT_APP_VAPID_PUBLIC_KEY;
+
+export const pushSupported = () =>
+  Boolean(VAPID_PUBLIC_KEY) && 'serviceWorker' in navigator && 'PushManager' in window;
+
+// The VAPID key is URL-safe base64; PushManager wants the raw bytes
+const urlBase64ToUint8Array = (base64) => {
+  const padded = (base64 + '='.repeat((4 - base64.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(padded), c => c.charCodeAt(0));
+};
+
+// Subscribe this browser; returns the subscription as plain JSON for Firestore
+export const subscribeToPush = async () => {
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') throw new Error('Notifications are blocked for this site');
+  const registration = await navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/push-sw.js`);
+  await navigator.serviceWorker.ready;
+  const subscription = await registration.pushManager.subscribe({
+    userVisibleOnly: true,
+    applicationServerKey: urlBase64ToUint8Array(VAPID_PUBLIC_KEY)
+  });
+  return subscription.toJSON();
+};